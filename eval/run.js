@@ -0,0 +1,245 @@
+/**
+ * Evaluate the parser against labeled fixtures
+ *
+ *   npm run eval -- [fixturesDir] [--live] [--json report.json] [--compare baseline.json] [--verbose]
+ *
+ * A fixture is a saved page and its label side by side:
+ *   <name>.html   the Amazon page
+ *   <name>.json   { "input": { url, asin, marketplace }, "expected": { field: value },
+ *                   "model": { ... }, "responses": [ ... ],
+ *                   "vision": { "answers": { ... }, "responses": [ ... ] } }
+ *   <name>.images/ optional local copies of the gallery, named by Amazon image id
+ *                  (81abcXYZ.jpg for .../images/I/81abcXYZ._AC_SL1500_.jpg)
+ *
+ * By default the model is the mock provider (src/providers/mock.js), answering
+ * from the fixture's "model" and "responses", so runs are deterministic and
+ * need no LLM. Fixtures with "vision" also run the vision pass, answered from
+ * it by a second mock provider. --live uses LLM_PROVIDER and its model chain
+ * instead, and VISION_MODEL for the vision pass.
+ */
+
+import 'dotenv/config'
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseAmazonProduct } from '../src/parser.js'
+import { createProvider, getDefaultModels, getVisionModels } from '../src/providers/index.js'
+import { getImageId } from '../src/image-gallery.js'
+import { PROMPT_VERSION } from '../src/schema.js'
+import { scoreProduct } from './scoring.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const LIVE_PROVIDER = process.env.LLM_PROVIDER || 'ollama'
+
+function parseArgs(argv) {
+  const args = { dir: path.join(__dirname, 'fixtures'), live: false, json: null, compare: null, verbose: false }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--live') args.live = true
+    else if (arg === '--verbose') args.verbose = true
+    else if (arg === '--json') args.json = argv[++i]
+    else if (arg === '--compare') args.compare = argv[++i]
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`)
+    else args.dir = arg
+  }
+  return args
+}
+
+/**
+ * Fixtures in dir: every <name>.json with a matching <name>.html, sorted by name
+ */
+async function loadFixtures(dir) {
+  let files
+  try {
+    files = await fs.readdir(dir)
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Fixtures directory not found: ${dir}`)
+    throw error
+  }
+  const fixtures = []
+  for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+    const name = file.slice(0, -'.json'.length)
+    if (!files.includes(`${name}.html`)) continue
+    const label = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))
+    if (!label.expected || typeof label.expected !== 'object') {
+      throw new Error(`${file} has no "expected" object`)
+    }
+    fixtures.push({
+      name,
+      html: await fs.readFile(path.join(dir, `${name}.html`), 'utf8'),
+      input: label.input || {},
+      expected: label.expected,
+      responses: label.responses || [],
+      model: label.model || {},
+      vision: label.vision || null,
+      imagesDir: files.includes(`${name}.images`) ? path.join(dir, `${name}.images`) : null
+    })
+  }
+  return fixtures
+}
+
+/**
+ * Image loader that serves gallery URLs from a fixture's images directory.
+ * Images without a local copy fail, so a fixture never reaches the network.
+ */
+async function createLocalImageLoader(imagesDir) {
+  const files = imagesDir ? await fs.readdir(imagesDir) : []
+  return async (url) => {
+    const id = getImageId(url)
+    const file = files.find(name => name.slice(0, name.lastIndexOf('.')) === id)
+    if (!file) throw new Error(`no local copy of image ${id}`)
+    return (await fs.readFile(path.join(imagesDir, file))).toString('base64')
+  }
+}
+
+/**
+ * Vision options for a fixture: a mock answering from its "vision" label, or
+ * VISION_MODEL when live. Images come from the fixture's images directory when it has one.
+ */
+async function createVisionOptions(fixture, { live }) {
+  const loadImage = fixture.imagesDir ? await createLocalImageLoader(fixture.imagesDir) : undefined
+  if (live) {
+    const models = getVisionModels()
+    return models.length > 0 ? { models, loadImage } : null
+  }
+  if (!fixture.vision) return null
+  return {
+    provider: createProvider('mock', { responses: fixture.vision.responses || [], answers: fixture.vision.answers || {} }),
+    models: ['mock-vision'],
+    loadImage: loadImage || await createLocalImageLoader(null)
+  }
+}
+
+/**
+ * Run fn with the parser's console output muted
+ */
+async function quietly(fn) {
+  const { log, warn } = console
+  console.log = () => {}
+  console.warn = () => {}
+  try {
+    return await fn()
+  } finally {
+    console.log = log
+    console.warn = warn
+  }
+}
+
+async function evaluateFixture(fixture, { live, verbose }) {
+  const provider = live
+    ? createProvider(LIVE_PROVIDER)
+    : createProvider('mock', { responses: fixture.responses, answers: fixture.model })
+  const models = live ? getDefaultModels(LIVE_PROVIDER) : ['mock']
+  const vision = await createVisionOptions(fixture, { live })
+  const { url = null, asin = null, marketplace } = fixture.input
+  const parse = () => parseAmazonProduct(provider, models, url, asin, fixture.html, { marketplace, vision })
+
+  try {
+    const product = verbose ? await parse() : await quietly(parse)
+    return { scores: scoreProduct(fixture.expected, product), error: null }
+  } catch (error) {
+    const scores = {}
+    for (const field of Object.keys(fixture.expected)) {
+      scores[field] = { score: 0, note: `parse failed: ${error.message}` }
+    }
+    return { scores, error: error.message }
+  }
+}
+
+/**
+ * Per-field accuracy (mean score) and perfect-case count over all fixtures
+ */
+function summarize(results) {
+  const fields = {}
+  for (const { scores } of Object.values(results)) {
+    for (const [field, { score }] of Object.entries(scores)) {
+      if (!fields[field]) fields[field] = { cases: 0, total: 0, perfect: 0 }
+      fields[field].cases++
+      fields[field].total += score
+      if (score === 1) fields[field].perfect++
+    }
+  }
+  let total = 0
+  let cases = 0
+  const summary = {}
+  for (const [field, stats] of Object.entries(fields).sort(([a], [b]) => a.localeCompare(b))) {
+    summary[field] = { cases: stats.cases, accuracy: stats.total / stats.cases, perfect: stats.perfect }
+    total += stats.total
+    cases += stats.cases
+  }
+  return { fields: summary, overall: cases ? total / cases : 0 }
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`
+}
+
+function formatDelta(current, baseline) {
+  if (baseline === undefined) return ''
+  const delta = (current - baseline) * 100
+  if (Math.abs(delta) < 0.05) return '='
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(1)}`
+}
+
+function printReport(report, baseline) {
+  const baselineFields = baseline ? baseline.fields : {}
+  console.log(`\n📊 ${report.fixtureCount} fixture(s), model ${report.model}, prompt ${report.promptVersion}\n`)
+  console.log(`${'Field'.padEnd(16)}${'Cases'.padStart(6)}${'Accuracy'.padStart(10)}${'Perfect'.padStart(9)}${baseline ? 'Δ pts'.padStart(8) : ''}`)
+  for (const [field, stats] of Object.entries(report.fields)) {
+    const base = baselineFields[field] ? baselineFields[field].accuracy : undefined
+    console.log(`${field.padEnd(16)}${String(stats.cases).padStart(6)}${percent(stats.accuracy).padStart(10)}${`${stats.perfect}/${stats.cases}`.padStart(9)}${baseline ? formatDelta(stats.accuracy, base).padStart(8) : ''}`)
+  }
+  console.log(`${'Overall'.padEnd(16)}${''.padStart(6)}${percent(report.overall).padStart(10)}${''.padStart(9)}${baseline ? formatDelta(report.overall, baseline.overall).padStart(8) : ''}`)
+
+  const misses = Object.entries(report.fixtures)
+    .map(([name, { scores }]) => [name, Object.entries(scores).filter(([, { score }]) => score < 1)])
+    .filter(([, fields]) => fields.length > 0)
+  if (misses.length > 0) {
+    console.log('')
+    for (const [name, fields] of misses) {
+      console.log(`❌ ${name}`)
+      for (const [field, { score, note }] of fields) {
+        const previous = baseline && baseline.fixtures[name] && baseline.fixtures[name].scores[field]
+        const regressed = previous && previous.score > score ? ' (regressed)' : ''
+        console.log(`   ${field.padEnd(14)} ${score.toFixed(2)}  ${note || ''}${regressed}`)
+      }
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const fixtures = await loadFixtures(args.dir)
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures found in ${args.dir} (expected <name>.html + <name>.json pairs)`)
+  }
+
+  const results = {}
+  for (const fixture of fixtures) {
+    process.stdout.write(`🧪 ${fixture.name}... `)
+    results[fixture.name] = await evaluateFixture(fixture, args)
+    console.log(results[fixture.name].error ? `error: ${results[fixture.name].error}` : 'done')
+  }
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    model: args.live ? `${LIVE_PROVIDER}:${getDefaultModels(LIVE_PROVIDER).join(',')}` : 'mock',
+    promptVersion: PROMPT_VERSION,
+    fixtureCount: fixtures.length,
+    ...summarize(results),
+    fixtures: results
+  }
+
+  const baseline = args.compare ? JSON.parse(await fs.readFile(args.compare, 'utf8')) : null
+  printReport(report, baseline)
+
+  if (args.json) {
+    await fs.writeFile(args.json, JSON.stringify(report, null, 2))
+    console.log(`\n💾 Report written to ${args.json}`)
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,149 @@
+/**
+ * Per-field scoring of a parse result against a labeled expectation
+ *
+ * Every scorer returns a score between 0 and 1 and a short note on what
+ * differed. Only fields present in the expectation are scored.
+ */
+
+// Fields compared exactly (after trimming)
+const EXACT_FIELDS = ['asin', 'type', 'marketplace', 'currency']
+
+// Absolute tolerance per numeric field; others get NUMBER_RELATIVE_TOLERANCE
+const NUMBER_TOLERANCES = {
+  price: 0.01,
+  quantity: 0
+}
+const NUMBER_RELATIVE_TOLERANCE = 0.02
+
+function normalizeText(value) {
+  return String(value).toLowerCase().replace(/\s+/g, ' ').trim()
+}
+
+function result(score, note = null) {
+  return { score, note }
+}
+
+function scoreExact(expected, actual) {
+  if (expected === null) return actual === null || actual === undefined ? result(1) : result(0, `expected null, got ${JSON.stringify(actual)}`)
+  return actual !== null && actual !== undefined && String(actual).trim() === String(expected).trim()
+    ? result(1)
+    : result(0, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+}
+
+function scoreNumber(field, expected, actual) {
+  if (expected === null) return scoreExact(expected, actual)
+  if (typeof actual !== 'number') return result(0, `expected ${expected}, got ${JSON.stringify(actual)}`)
+  const tolerance = NUMBER_TOLERANCES[field] !== undefined
+    ? NUMBER_TOLERANCES[field]
+    : Math.max(0.01, Math.abs(expected) * NUMBER_RELATIVE_TOLERANCE)
+  return Math.abs(actual - expected) <= tolerance + 1e-9
+    ? result(1)
+    : result(0, `expected ${expected}, got ${actual}`)
+}
+
+function scoreText(expected, actual) {
+  if (expected === null || actual === null || actual === undefined) return scoreExact(expected, actual)
+  return normalizeText(actual) === normalizeText(expected)
+    ? result(1)
+    : result(0, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+}
+
+/**
+ * F1 of two string sets, compared case- and whitespace-insensitively
+ */
+export function setF1(expected, actual) {
+  const wanted = new Set((expected || []).map(normalizeText))
+  const got = new Set((actual || []).map(normalizeText))
+  if (wanted.size === 0 && got.size === 0) return 1
+  if (wanted.size === 0 || got.size === 0) return 0
+  const hits = [...got].filter(value => wanted.has(value)).length
+  if (hits === 0) return 0
+  const precision = hits / got.size
+  const recall = hits / wanted.size
+  return 2 * precision * recall / (precision + recall)
+}
+
+function scoreSet(expected, actual) {
+  if (expected === null) return scoreExact(expected, actual && actual.length ? actual : null)
+  const score = setF1(expected, Array.isArray(actual) ? actual : [])
+  if (score === 1) return result(1)
+  const wanted = new Set(expected.map(normalizeText))
+  const got = new Set((actual || []).map(normalizeText))
+  const missing = expected.filter(value => !got.has(normalizeText(value)))
+  const extra = (actual || []).filter(value => !wanted.has(normalizeText(value)))
+  return result(score, [
+    missing.length ? `missing ${JSON.stringify(missing)}` : null,
+    extra.length ? `extra ${JSON.stringify(extra)}` : null
+  ].filter(Boolean).join(', '))
+}
+
+/**
+ * Structural checks for wrapping paper rolls: the roll count, then per roll
+ * the numbering, area, front and back print names, reverse side and pairing. The score is
+ * the share of checks that pass.
+ */
+function scoreRolls(expected, actual) {
+  if (expected === null) return scoreExact(expected, actual && actual.length ? actual : null)
+  const rolls = Array.isArray(actual) ? actual : []
+  const checks = []
+  const check = (passed, note) => checks.push({ passed, note })
+
+  check(rolls.length === expected.length, `expected ${expected.length} roll(s), got ${rolls.length}`)
+  expected.forEach((wanted, index) => {
+    const roll = rolls[index]
+    const label = `roll ${index + 1}`
+    if (!roll) {
+      check(false, `${label} missing`)
+      return
+    }
+    check(roll.rollNumber === index + 1, `${label} has rollNumber ${roll.rollNumber}`)
+    for (const field of ['onHand', 'maxArea']) {
+      if (wanted[field] !== undefined) {
+        check(scoreNumber(field, wanted[field], roll[field]).score === 1, `${label} ${field} ${roll[field]} != ${wanted[field]}`)
+      }
+    }
+    for (const field of ['printName', 'backPrintName']) {
+      if (wanted[field] !== undefined) {
+        check(scoreText(wanted[field], roll[field]).score === 1, `${label} ${field} ${JSON.stringify(roll[field])} != ${JSON.stringify(wanted[field])}`)
+      }
+    }
+    for (const field of ['reverseType', 'hasReverseSide', 'pairedRollNumber']) {
+      if (wanted[field] !== undefined) {
+        check(roll[field] === wanted[field], `${label} ${field} ${JSON.stringify(roll[field])} != ${JSON.stringify(wanted[field])}`)
+      }
+    }
+  })
+
+  const failed = checks.filter(c => !c.passed)
+  return result((checks.length - failed.length) / checks.length, failed.map(c => c.note).slice(0, 3).join('; ') || null)
+}
+
+function scoreDeep(expected, actual) {
+  return JSON.stringify(expected) === JSON.stringify(actual === undefined ? null : actual)
+    ? result(1)
+    : result(0, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+}
+
+/**
+ * Score one field. The scorer is picked by field name, then by the expected value's type.
+ */
+export function scoreField(field, expected, actual) {
+  if (EXACT_FIELDS.includes(field)) return scoreExact(expected, actual)
+  if (field === 'rolls') return scoreRolls(expected, actual)
+  if (typeof expected === 'number') return scoreNumber(field, expected, actual)
+  if (typeof expected === 'string') return scoreText(expected, actual)
+  if (Array.isArray(expected) && expected.every(value => typeof value === 'string')) return scoreSet(expected, actual)
+  if (expected === null) return scoreExact(expected, actual)
+  return scoreDeep(expected, actual)
+}
+
+/**
+ * Score every expected field of a product: { field: { score, note } }
+ */
+export function scoreProduct(expected, product) {
+  const scores = {}
+  for (const [field, value] of Object.entries(expected)) {
+    scores[field] = scoreField(field, value, product ? product[field] : undefined)
+  }
+  return scores
+}
@@ -0,0 +1,60 @@
+const DEFAULT_SERVER = 'http://localhost:3001';
+
+const serverInput = document.getElementById('server');
+const sendBtn = document.getElementById('send');
+const statusText = document.getElementById('status');
+
+function setStatus(text, isError = false) {
+    statusText.textContent = text;
+    statusText.classList.toggle('error', isError);
+}
+
+chrome.storage.local.get({ server: DEFAULT_SERVER }, ({ server }) => {
+    serverInput.value = server;
+});
+
+/**
+ * The rendered page of the active tab, as the user sees it
+ */
+async function readActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const [{ result }] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => ({ url: location.href, html: '<!DOCTYPE html>\n' + document.documentElement.outerHTML })
+    });
+    return result;
+}
+
+sendBtn.addEventListener('click', async () => {
+    const server = serverInput.value.trim().replace(/\/+$/, '') || DEFAULT_SERVER;
+    chrome.storage.local.set({ server });
+    sendBtn.disabled = true;
+    setStatus('Reading the page...');
+
+    try {
+        const page = await readActiveTab();
+        setStatus(`Sending ${(page.html.length / 1024).toFixed(0)} KB...`);
+        const compressed = new Blob([page.html]).stream().pipeThrough(new CompressionStream('gzip'));
+        const response = await fetch(`${server}/ingest?url=${encodeURIComponent(page.url)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Content-Encoding': 'gzip'
+            },
+            body: await new Response(compressed).blob()
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `The server answered ${response.status}`);
+        }
+
+        const params = new URLSearchParams({ marketplace: data.data.marketplace, cache: 'only' });
+        params.set(data.data.asin ? 'asin' : 'url', data.data.asin || data.data.url);
+        chrome.tabs.create({ url: `${server}/?${params}` });
+        setStatus('Sent. Parsing in a new tab.');
+    } catch (err) {
+        setStatus(`Could not send the page: ${err.message}`, true);
+    } finally {
+        sendBtn.disabled = false;
+    }
+});
@@ -5,7 +5,24 @@
 import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
-import { parseAmazonProduct, createOllamaClient } from './src/parser.js'
+import { parseAmazonPage } from './src/parser.js'
+import { discoverProducts } from './src/discovery.js'
+import { createProvider, getDefaultModels, getProviderNames, getVisionModels, parseModelList } from './src/providers/index.js'
+import { createJobQueue } from './src/job-queue.js'
+import { createProductStore } from './src/product-store.js'
+import { createCorrectionStore, prepareCorrection } from './src/correction-store.js'
+import { listProfiles } from './src/profiles/index.js'
+import { describeProductFields } from './src/schema.js'
+import { createWatchlist } from './src/watchlist.js'
+import { createWatchScheduler } from './src/watch-scheduler.js'
+import { buildExport, EXPORT_FORMATS, loadColumnMapping, normalizeColumns, pushExport } from './src/inventory-export.js'
+import { CACHE_MODES, createHtmlCache, getCacheKey } from './src/html-cache.js'
+import { getProductUrl, resolveMarketplace } from './src/marketplaces.js'
+import { createPageTypeError, ParseError } from './src/errors.js'
+import { INCLUDE_SECTIONS } from './src/reviews.js'
+import { findPageAsin, readUploadedPage } from './src/page-upload.js'
+import { classifyPage } from './src/page-classifier.js'
+import { extractAsin } from './src/amazon-fetcher.js'
 import path from 'path'
 import { fileURLToPath } from 'url'
 
@@ -19,19 +36,155 @@ dotenv.config()
 const app = express()
 const PORT = process.env.PORT || 3001
 const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434'
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.2'
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'ollama'
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*'
+const PARSE_CONCURRENCY = parseInt(process.env.PARSE_CONCURRENCY, 10) || 2
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 100
+const MAX_VARIATION_PARSES = parseInt(process.env.MAX_VARIATION_PARSES, 10) || 25
+const DISCOVER_MAX_PAGES = parseInt(process.env.DISCOVER_MAX_PAGES, 10) || 5
+// Largest page /ingest accepts, after gzip is unpacked
+const INGEST_MAX_MB = parseInt(process.env.INGEST_MAX_MB, 10) || 50
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'))
+const FETCH_CACHE_TTL_SECONDS = process.env.FETCH_CACHE_TTL_SECONDS !== undefined
+  ? parseInt(process.env.FETCH_CACHE_TTL_SECONDS, 10) || 0
+  : 3600
+const FETCH_CACHE_MODE = CACHE_MODES.includes(process.env.FETCH_CACHE_MODE) ? process.env.FETCH_CACHE_MODE : 'prefer'
+// Offline replay: never touch the network, serve only cached pages
+const OFFLINE_REPLAY = process.env.OFFLINE_REPLAY === 'true'
+// CSV header -> field path mapping for exports; a bad file stops the server at startup
+const EXPORT_COLUMNS = loadColumnMapping(process.env.EXPORT_COLUMNS_FILE)
+const EXPORT_WEBHOOK_URL = process.env.EXPORT_WEBHOOK_URL || null
+const WATCH_TICK_SECONDS = parseInt(process.env.WATCH_TICK_SECONDS, 10) || 60
+const WATCH_DEFAULT_INTERVAL_MINUTES = parseInt(process.env.WATCH_DEFAULT_INTERVAL_MINUTES, 10) || 360
+const WATCH_MIN_INTERVAL_MINUTES = parseInt(process.env.WATCH_MIN_INTERVAL_MINUTES, 10) || 5
+const WATCH_WEBHOOK_URL = process.env.WATCH_WEBHOOK_URL || null
+// Multimodal model chain for reading prints from product photos; empty turns the vision pass off
+const VISION_MODELS = getVisionModels()
 
 // Middleware
+// Chrome asks before a public page (the bookmarklet on amazon.com) may call a server on the local network
+app.options('/ingest', (req, res, next) => {
+  if (req.get('Access-Control-Request-Private-Network') === 'true') {
+    res.set('Access-Control-Allow-Private-Network', 'true')
+  }
+  next()
+})
 app.use(cors({
   origin: CORS_ORIGIN === '*' ? true : CORS_ORIGIN,
   credentials: true
 }))
+// /ingest takes the page itself as the body, whatever its Content-Type says
+app.use('/ingest', express.raw({ type: () => true, limit: `${INGEST_MAX_MB}mb` }))
 app.use(express.json({ limit: '10mb' })) // Allow large HTML payloads
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
 
-// Initialize Ollama client
-const ollamaClient = createOllamaClient(OLLAMA_HOST)
+// Providers are created on first use and shared by every request
+const providers = new Map()
+function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, createProvider(name, name === 'ollama' ? { host: OLLAMA_HOST } : {}))
+  }
+  return providers.get(name)
+}
+
+// Fail fast on a misconfigured default provider
+getProvider(LLM_PROVIDER)
+
+// Every successful parse is saved here, keyed by ASIN
+const productStore = createProductStore({ dataDir: DATA_DIR })
+
+// Reviewer corrections; similar ones are added to future prompts as examples
+const correctionStore = createCorrectionStore({ dataDir: DATA_DIR })
+
+// Fetched pages, so re-parsing the same product doesn't hit Amazon again
+const htmlCache = createHtmlCache({ cacheDir: path.join(DATA_DIR, 'html-cache'), ttlSeconds: FETCH_CACHE_TTL_SECONDS })
+
+/**
+ * Cache mode for a request: offline replay always means "only"
+ */
+function resolveCacheMode(cache) {
+  return OFFLINE_REPLAY ? 'only' : cache || FETCH_CACHE_MODE
+}
+
+/**
+ * Parse a product and save the result with its HTML snapshot.
+ * A failed save is logged but does not fail the parse.
+ * With parseVariations, every sibling variation is parsed (and saved) too.
+ * The vision pass runs when VISION_MODEL is set and the text leaves prints
+ * open; vision true runs it regardless, false skips it.
+ * Returns { product, reviews }; reviews is null unless include has "reviews".
+ */
+async function parseAndStore({ url, asin, html, marketplace, cache, provider, model, vision, include, parseVariations = false }, { onProgress, signal } = {}) {
+  const providerName = provider || LLM_PROVIDER
+  const models = model ? parseModelList(model) : getDefaultModels(providerName)
+  // Images come from Amazon's CDN, so offline replay never sends them
+  const visionEnabled = VISION_MODELS.length > 0 && vision !== false && !OFFLINE_REPLAY
+  const parsed = await parseAmazonPage(getProvider(providerName), models, url, asin, html, {
+    marketplace,
+    onProgress,
+    signal,
+    htmlCache,
+    cache: resolveCacheMode(cache),
+    corrections: correctionStore,
+    vision: visionEnabled ? { models: VISION_MODELS, force: vision === true } : null,
+    include
+  })
+  
+  if (parsed.product.asin) {
+    try {
+      const record = await productStore.saveParse({ ...parsed, source: { url, marketplace, htmlProvided: !!html } })
+      console.log(`💾 Saved parse ${record.id} for ${record.asin}`)
+    } catch (error) {
+      console.error('❌ Failed to save parse:', error.message)
+    }
+  } else {
+    console.warn('⚠️ Parsed product has no ASIN, not saving it')
+  }
+  
+  if (parseVariations && parsed.product.variations) {
+    await parseVariationChildren(parsed.product, { cache, provider, model, vision })
+  }
+  
+  return { product: parsed.product, reviews: parsed.reviews }
+}
+
+/**
+ * Parse each unselected variation one after another and attach the result
+ * (or the error) to its entry, with the parent's cache mode, provider,
+ * model and vision setting. Sequential on purpose: children share a host.
+ * Variations share the parent's reviews on Amazon, so they are not summarized again.
+ */
+async function parseVariationChildren(product, options = {}) {
+  const children = product.variations.filter(variation => !variation.selected && variation.asin !== product.asin)
+  if (children.length > MAX_VARIATION_PARSES) {
+    console.warn(`⚠️ ${children.length} variations found, only parsing the first ${MAX_VARIATION_PARSES}`)
+  }
+  
+  for (const variation of children.slice(0, MAX_VARIATION_PARSES)) {
+    try {
+      console.log(`🧬 Parsing variation ${variation.asin}`)
+      const { product: child } = await parseAndStore({ ...options, asin: variation.asin, marketplace: product.marketplace })
+      variation.product = child
+    } catch (error) {
+      console.error(`❌ Failed to parse variation ${variation.asin}:`, error.message)
+      variation.error = error.message
+      if (error.code) variation.errorCode = error.code
+    }
+  }
+}
+
+// Watched ASINs are re-checked in the background; checks read prices without the model when they can
+const watchlist = createWatchlist({ dataDir: DATA_DIR })
+const watchScheduler = createWatchScheduler({
+  watchlist,
+  htmlCache,
+  fullParse: async input => (await parseAndStore(input)).product,
+  alertWebhook: WATCH_WEBHOOK_URL,
+  tickSeconds: WATCH_TICK_SECONDS
+})
+
+// Batch jobs share one queue so the concurrency limit applies across all of them
+const jobQueue = createJobQueue({ concurrency: PARSE_CONCURRENCY })
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')))
@@ -46,10 +199,18 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
           health: '/health',
-          parse: 'POST /parse'
+          parse: 'POST /parse',
+          stream: 'POST /parse/stream',
+          batch: 'POST /parse/batch',
+          job: 'GET /jobs/:id',
+          products: 'GET /products',
+          product: 'GET /products/:asin',
+          history: 'GET /products/:asin/history',
+          diff: 'GET /products/:asin/diff'
         },
         ollamaHost: OLLAMA_HOST,
-        model: OLLAMA_MODEL
+        provider: LLM_PROVIDER,
+        model: getDefaultModels(LLM_PROVIDER)[0]
       })
     }
   })
@@ -61,14 +222,101 @@ app.get('/health', (req, res) => {
     status: 'ok',
     service: 'ollama-amazon-parser',
     ollamaHost: OLLAMA_HOST,
-    model: OLLAMA_MODEL
+    provider: LLM_PROVIDER,
+    model: getDefaultModels(LLM_PROVIDER)[0],
+    fallbackModels: getDefaultModels(LLM_PROVIDER).slice(1),
+    visionModels: VISION_MODELS,
+    offline: OFFLINE_REPLAY
   })
 })
 
+/**
+ * Response body for a failed parse. Typed errors add a `code` clients can branch on
+ * (e.g. AMAZON_CAPTCHA, PRODUCT_NOT_FOUND) and, for rejected pages, the page type.
+ */
+function parseErrorBody(error) {
+  const body = {
+    success: false,
+    error: error.message || 'Failed to parse Amazon product'
+  }
+  if (error instanceof ParseError) {
+    body.code = error.code
+    if (error.details.pageType) body.pageType = error.details.pageType
+  }
+  return body
+}
+
+/**
+ * Error message for an unknown marketplace or unsupported Amazon store, or null
+ */
+function getMarketplaceError({ url, marketplace }) {
+  try {
+    resolveMarketplace({ url, marketplace })
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+/**
+ * Error message for an invalid cache mode, or null. Offline replay only accepts "only".
+ */
+function getCacheModeError(cache) {
+  if (cache === undefined || cache === null) return null
+  if (!CACHE_MODES.includes(cache)) {
+    return `cache must be one of: ${CACHE_MODES.join(', ')}`
+  }
+  if (OFFLINE_REPLAY && cache !== 'only') {
+    return `The server is in offline replay mode and only serves cached pages; cache "${cache}" is not available`
+  }
+  return null
+}
+
+/**
+ * Error message for an unknown provider or a malformed model, or null
+ */
+function getProviderError({ provider, model }) {
+  if (provider !== undefined && provider !== null && !getProviderNames().includes(provider)) {
+    return `Unknown provider "${provider}". Supported: ${getProviderNames().join(', ')}`
+  }
+  if (model !== undefined && model !== null && parseModelList(model).length === 0) {
+    return 'model must be a model name, a comma-separated fallback chain or an array of model names'
+  }
+  return null
+}
+
+/**
+ * Error message for an invalid vision setting, or null
+ */
+function getVisionError(vision) {
+  if (vision === undefined || vision === null) return null
+  if (typeof vision !== 'boolean') {
+    return 'vision must be true or false'
+  }
+  if (vision && VISION_MODELS.length === 0) {
+    return 'The vision pass is not configured; set VISION_MODEL to a multimodal model'
+  }
+  if (vision && OFFLINE_REPLAY) {
+    return 'The server is in offline replay mode; the vision pass needs to download product images'
+  }
+  return null
+}
+
+/**
+ * Error message for an invalid include list, or null
+ */
+function getIncludeError(include) {
+  if (include === undefined || include === null) return null
+  if (!Array.isArray(include) || include.some(section => !INCLUDE_SECTIONS.includes(section))) {
+    return `include must be an array of: ${INCLUDE_SECTIONS.join(', ')}`
+  }
+  return null
+}
+
 // Main parse endpoint
 app.post('/parse', async (req, res) => {
   try {
-    const { url, asin, html } = req.body
+    const { url, asin, html, marketplace, cache, provider, model, vision, include, parseVariations } = req.body
     
     // Validate input
     if (!url && !asin && !html) {
@@ -78,16 +326,16 @@ app.post('/parse', async (req, res) => {
       })
     }
     
-    console.log(`📦 Parsing request:`, { url, asin, htmlProvided: !!html })
+    const inputError = getMarketplaceError({ url, marketplace }) || getCacheModeError(cache) || getProviderError({ provider, model }) ||
+      getVisionError(vision) || getIncludeError(include)
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError })
+    }
+    
+    console.log(`📦 Parsing request:`, { url, asin, marketplace, cache, provider, model, vision, include, htmlProvided: !!html, parseVariations: !!parseVariations })
     
     // Parse product
-    const productData = await parseAmazonProduct(
-      ollamaClient,
-      OLLAMA_MODEL,
-      url,
-      asin,
-      html
-    )
+    const { product: productData, reviews } = await parseAndStore({ url, asin, html, marketplace, cache, provider, model, vision, include, parseVariations: parseVariations === true })
     
     console.log(`✅ Successfully parsed product:`, {
       asin: productData.asin,
@@ -98,21 +346,722 @@ app.post('/parse', async (req, res) => {
     res.json({
       success: true,
       data: productData,
+      // Only present when requested, so clients that never ask see no change
+      ...(reviews ? { reviews } : {}),
       message: 'Product details extracted successfully.'
     })
   } catch (error) {
+    if (error instanceof ParseError) {
+      console.warn(`⚠️ Parse rejected: ${error.code} - ${error.message}`)
+      return res.status(error.status).json(parseErrorBody(error))
+    }
+    
     console.error('❌ Error parsing product:', error)
     
     res.status(500).json({
+      ...parseErrorBody(error),
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    })
+  }
+})
+
+/**
+ * Streaming parse: the same as POST /parse, but the response is a
+ * Server-Sent Events stream. Each stage is sent as a `progress` event
+ * ({ stage, ... }), then a final `result` or `error` event. Closing the
+ * connection cancels the parse, including the in-flight Ollama request.
+ * GET takes url/asin/marketplace from the query string for EventSource clients.
+ */
+async function streamParse(req, res) {
+  const input = req.method === 'GET' ? req.query : req.body
+  const { url, asin, html, marketplace, cache, provider, model } = input
+  // Query strings only carry text; include is a comma-separated list there
+  const vision = req.method === 'GET' && ['true', 'false'].includes(input.vision) ? input.vision === 'true' : input.vision
+  const include = req.method === 'GET' && typeof input.include === 'string' ? input.include.split(',').map(section => section.trim()).filter(Boolean) : input.include
+  
+  if (!url && !asin && !html) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least one of url, asin, or html is required'
+    })
+  }
+  
+  const inputError = getMarketplaceError({ url, marketplace }) || getCacheModeError(cache) || getProviderError({ provider, model }) ||
+    getVisionError(vision) || getIncludeError(include)
+  if (inputError) {
+    return res.status(400).json({ success: false, error: inputError })
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+  
+  // Client went away before we finished: stop fetching / generating
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('🛑 Stream closed by client, cancelling parse')
+      controller.abort()
+    }
+  })
+  
+  console.log(`📡 Streaming parse request:`, { url, asin, marketplace, cache, provider, model, vision, include, htmlProvided: !!html })
+  
+  try {
+    const { product: productData, reviews } = await parseAndStore({ url, asin, html, marketplace, cache, provider, model, vision, include }, {
+      onProgress: (event) => send('progress', event),
+      signal: controller.signal
+    })
+    send('result', { success: true, data: productData, ...(reviews ? { reviews } : {}) })
+  } catch (error) {
+    if (error.code === 'PARSE_CANCELLED') {
+      console.log('🛑 Parse cancelled')
+    } else {
+      console.error('❌ Error parsing product (stream):', error)
+    }
+    send('error', parseErrorBody(error))
+  }
+  res.end()
+}
+
+app.post('/parse/stream', streamParse)
+app.get('/parse/stream', streamParse)
+
+// Batch parse endpoint - queues items and returns a job id right away
+app.post('/parse/batch', (req, res) => {
+  const { items } = req.body
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'items must be a non-empty array of { url, asin, html } objects'
+    })
+  }
+
+  if (items.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `A batch may contain at most ${MAX_BATCH_SIZE} items`
+    })
+  }
+
+  // Accept bare strings as a shorthand for a URL or ASIN
+  const inputs = items.map((item) => {
+    if (typeof item === 'string') {
+      return /^[A-Z0-9]{10}$/.test(item.trim()) ? { asin: item.trim() } : { url: item.trim() }
+    }
+    const { url, asin, html, marketplace, cache, provider, model, vision, include, parseVariations } = item || {}
+    return { url, asin, html, marketplace, cache, provider, model, vision, include, parseVariations: parseVariations === true }
+  })
+
+  const invalidIndex = inputs.findIndex(({ url, asin, html }) => !url && !asin && !html)
+  if (invalidIndex !== -1) {
+    return res.status(400).json({
       success: false,
-      error: error.message || 'Failed to parse Amazon product',
+      error: `Item ${invalidIndex} needs at least one of url, asin, or html`
+    })
+  }
+
+  for (const [index, input] of inputs.entries()) {
+    const inputError = getMarketplaceError(input) || getCacheModeError(input.cache) || getProviderError(input) ||
+      getVisionError(input.vision) || getIncludeError(input.include)
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: `Item ${index}: ${inputError}`
+      })
+    }
+  }
+
+  const job = jobQueue.enqueue(inputs, parseAndStore)
+
+  console.log(`📦 Queued batch job ${job.id} with ${inputs.length} item(s)`)
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    itemCount: inputs.length,
+    statusUrl: `/jobs/${job.id}`
+  })
+})
+
+// Discovery endpoint - lists the products on a search, storefront or best-seller page,
+// optionally queueing them for a full parse like /parse/batch
+app.post('/discover', async (req, res) => {
+  try {
+    const { url, html, marketplace, cache, pages = 1, includeSponsored = true, enqueue = false, provider, model, vision, include } = req.body
+
+    if (!url && !html) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one of url or html is required'
+      })
+    }
+    if (!Number.isInteger(pages) || pages < 1 || pages > DISCOVER_MAX_PAGES) {
+      return res.status(400).json({ success: false, error: `pages must be an integer from 1 to ${DISCOVER_MAX_PAGES}` })
+    }
+    if (typeof includeSponsored !== 'boolean' || typeof enqueue !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'includeSponsored and enqueue must be true or false' })
+    }
+
+    // Parse settings only matter for the queued items, but are checked up front so a bad one fails before any fetch
+    const inputError = getMarketplaceError({ url, marketplace }) || getCacheModeError(cache) ||
+      (enqueue ? getProviderError({ provider, model }) || getVisionError(vision) || getIncludeError(include) : null)
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError })
+    }
+
+    console.log(`🔎 Discovery request:`, { url, marketplace, cache, pages, includeSponsored, enqueue, htmlProvided: !!html })
+
+    const discovery = await discoverProducts({
+      url,
+      html,
+      marketplace,
+      maxPages: pages,
+      htmlCache,
+      cacheMode: resolveCacheMode(cache)
+    })
+    if (!includeSponsored) {
+      discovery.items = discovery.items.filter(item => !item.sponsored)
+    }
+
+    let job = null
+    if (enqueue && discovery.items.length > 0) {
+      const queued = discovery.items.slice(0, MAX_BATCH_SIZE)
+      if (queued.length < discovery.items.length) {
+        discovery.warnings.push(`Only the first ${MAX_BATCH_SIZE} of ${discovery.items.length} products were queued (MAX_BATCH_SIZE)`)
+      }
+      const inputs = queued.map(item => ({
+        asin: item.asin,
+        marketplace: discovery.marketplace,
+        cache,
+        provider,
+        model,
+        vision,
+        include,
+        parseVariations: false
+      }))
+      const queuedJob = jobQueue.enqueue(inputs, parseAndStore)
+      console.log(`📦 Queued batch job ${queuedJob.id} with ${inputs.length} discovered item(s)`)
+      job = {
+        jobId: queuedJob.id,
+        status: queuedJob.status,
+        itemCount: inputs.length,
+        statusUrl: `/jobs/${queuedJob.id}`
+      }
+    }
+
+    console.log(`✅ Discovered ${discovery.items.length} product(s) on ${discovery.pages.length} ${discovery.kind} page(s)`)
+
+    res.status(job ? 202 : 200).json({
+      success: true,
+      data: discovery,
+      job
+    })
+  } catch (error) {
+    if (error instanceof ParseError) {
+      console.warn(`⚠️ Discovery rejected: ${error.code} - ${error.message}`)
+      return res.status(error.status).json(parseErrorBody(error))
+    }
+
+    console.error('❌ Error discovering products:', error)
+
+    res.status(500).json({
+      ...parseErrorBody(error),
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     })
   }
 })
 
+// Ingest endpoint - takes a page the user's browser already rendered (bookmarklet, extension or
+// a saved file uploaded from the UI) and caches it, so /parse with cache "only" reads it instead
+// of fetching. The body is the page itself: HTML, gzip-compressed HTML or an MHTML archive.
+app.post('/ingest', async (req, res) => {
+  try {
+    const { url: queryUrl, asin: queryAsin, marketplace, parse = 'false' } = req.query
+    const include = typeof req.query.include === 'string' && req.query.include ? req.query.include.split(',') : undefined
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, error: 'The request body must be the page: HTML, gzip-compressed HTML or MHTML' })
+    }
+    if (queryAsin !== undefined && !/^[A-Z0-9]{10}$/.test(queryAsin)) {
+      return res.status(400).json({ success: false, error: 'Invalid ASIN format. ASIN must be 10 alphanumeric characters.' })
+    }
+    if (parse !== 'true' && parse !== 'false') {
+      return res.status(400).json({ success: false, error: 'parse must be true or false' })
+    }
+
+    const page = readUploadedPage(req.body, { contentType: req.get('Content-Type'), maxBytes: INGEST_MAX_MB * 1024 * 1024 })
+    const url = queryUrl || page.url || null
+    const inputError = getMarketplaceError({ url, marketplace }) || (parse === 'true' ? getIncludeError(include) : null)
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError })
+    }
+
+    // Block pages are rejected like fetched ones; listings are kept for /discover
+    const classification = classifyPage(page.html)
+    if (classification.type !== 'listing') {
+      const pageError = createPageTypeError(classification)
+      if (pageError) throw pageError
+    }
+
+    const asin = classification.type === 'listing' ? null : queryAsin || (url && extractAsin(url)) || findPageAsin(page.html)
+    if (!asin && !url) {
+      throw new ParseError('INVALID_UPLOAD', 'Could not tell which page this is; pass url or asin with the upload')
+    }
+    const resolved = resolveMarketplace({ marketplace, url })
+    const cacheKey = getCacheKey({ url, asin, marketplace: resolved })
+    await htmlCache.set(cacheKey, { html: page.html, url: url || getProductUrl(asin, resolved), marketplace: resolved, status: 200 })
+
+    const ingested = {
+      asin,
+      url,
+      marketplace: resolved.id,
+      pageType: classification.type,
+      format: page.format,
+      // Content-Encoding: gzip was already unpacked by the body parser
+      compressed: page.compressed || /gzip|deflate|br/i.test(req.get('Content-Encoding') || ''),
+      bytes: Buffer.byteLength(page.html),
+      cacheKey
+    }
+    console.log(`📥 Ingested ${page.format}${ingested.compressed ? ' (compressed)' : ''} ${classification.type} page as ${cacheKey} (${ingested.bytes} bytes)`)
+
+    if (parse !== 'true') {
+      return res.status(201).json({ success: true, data: ingested })
+    }
+
+    const { product, reviews } = await parseAndStore({ url, asin, html: page.html, marketplace, include })
+    res.json({
+      success: true,
+      data: product,
+      ...(include && include.includes('reviews') ? { reviews } : {}),
+      ingest: ingested,
+      message: 'Product parsed successfully'
+    })
+  } catch (error) {
+    if (error instanceof ParseError) {
+      console.warn(`⚠️ Upload rejected: ${error.code} - ${error.message}`)
+      return res.status(error.status).json(parseErrorBody(error))
+    }
+
+    console.error('❌ Error ingesting page:', error)
+
+    res.status(500).json({
+      ...parseErrorBody(error),
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    })
+  }
+})
+
+// Batch job status endpoint
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id)
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job ${req.params.id} not found`
+    })
+  }
+
+  res.json({
+    success: true,
+    job: {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      counts: job.counts,
+      items: job.items.map((item) => ({
+        index: item.index,
+        // Echo the input without the (potentially huge) HTML payload
+        input: {
+          url: item.input.url || null,
+          asin: item.input.asin || null,
+          marketplace: item.input.marketplace || null,
+          cache: item.input.cache || null,
+          provider: item.input.provider || null,
+          model: item.input.model || null,
+          vision: item.input.vision ?? null,
+          include: item.input.include || null,
+          htmlProvided: !!item.input.html,
+          parseVariations: item.input.parseVariations
+        },
+        status: item.status,
+        // Items resolve to { product, reviews }; reviews only when the item asked for them
+        result: item.result ? item.result.product : item.result,
+        ...(item.result && item.result.reviews ? { reviews: item.result.reviews } : {}),
+        error: item.error,
+        errorCode: item.errorCode,
+        startedAt: item.startedAt,
+        finishedAt: item.finishedAt
+      }))
+    }
+  })
+})
+
+// Product types and their editable fields, for the review form
+app.get('/profiles', (req, res) => {
+  res.json({
+    success: true,
+    baseFields: describeProductFields(),
+    profiles: listProfiles().map(profile => ({
+      type: profile.type,
+      label: profile.label,
+      fields: describeProductFields(profile)
+    }))
+  })
+})
+
+// Stored products, most recently parsed first
+app.get('/products', async (req, res, next) => {
+  try {
+    res.json({ success: true, products: await productStore.listProducts() })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Reject malformed ASINs before they reach the store (they are used as directory names)
+app.param('asin', (req, res, next, asin) => {
+  if (!/^[A-Z0-9]{10}$/.test(asin)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ASIN format. ASIN must be 10 alphanumeric characters.'
+    })
+  }
+  next()
+})
+
+// Latest stored parse for an ASIN
+app.get('/products/:asin', async (req, res, next) => {
+  try {
+    const record = await productStore.getProduct(req.params.asin, {
+      includeHtml: req.query.includeHtml === 'true'
+    })
+    if (!record) {
+      return res.status(404).json({ success: false, error: `Product ${req.params.asin} not found` })
+    }
+    res.json({ success: true, product: record })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Every stored parse for an ASIN, oldest first
+app.get('/products/:asin/history', async (req, res, next) => {
+  try {
+    const history = await productStore.getHistory(req.params.asin)
+    if (history.length === 0) {
+      return res.status(404).json({ success: false, error: `Product ${req.params.asin} not found` })
+    }
+    res.json({ success: true, asin: req.params.asin, history })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// One stored parse, optionally with its HTML snapshot
+app.get('/products/:asin/history/:parseId', async (req, res, next) => {
+  try {
+    const record = await productStore.getParse(req.params.asin, req.params.parseId, {
+      includeHtml: req.query.includeHtml === 'true'
+    })
+    if (!record) {
+      return res.status(404).json({ success: false, error: `Parse ${req.params.parseId} not found` })
+    }
+    res.json({ success: true, parse: record })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// What changed between two parses (defaults to the last two)
+app.get('/products/:asin/diff', async (req, res, next) => {
+  try {
+    const diff = await productStore.diffParses(req.params.asin, req.query.from, req.query.to)
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Need two stored parses to diff. Check the ASIN and the from/to parse ids.'
+      })
+    }
+    res.json({ success: true, diff })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Reviewer corrections for an ASIN, oldest first
+app.get('/products/:asin/corrections', async (req, res, next) => {
+  try {
+    res.json({ success: true, asin: req.params.asin, corrections: await correctionStore.listCorrections(req.params.asin) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Save a reviewer's corrected product against a stored parse (defaults to the latest)
+app.post('/products/:asin/corrections', async (req, res, next) => {
+  try {
+    const { product, parseId } = req.body
+    const record = parseId
+      ? await productStore.getParse(req.params.asin, parseId)
+      : await productStore.getProduct(req.params.asin)
+    if (!record) {
+      return res.status(404).json({ success: false, error: `No stored parse of ${req.params.asin} to correct` })
+    }
+
+    const { product: corrected, errors } = prepareCorrection(product, req.params.asin, record.result)
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Correction is not a valid product', details: errors })
+    }
+
+    const correction = await correctionStore.saveCorrection({
+      asin: req.params.asin,
+      parseId: record.id,
+      sections: record.sections,
+      original: record.result,
+      corrected
+    })
+    console.log(`✏️ Saved correction ${correction.id} for ${correction.asin}: ${correction.changedFields.join(', ') || 'no changes'}`)
+    res.json({ success: true, correction })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Export selection and options from a query string or JSON body.
+ * Returns { options } or { error }. A date-only `to` includes that whole day.
+ */
+function parseExportRequest({ format = 'csv', asins, from, to, columns }) {
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }
+  }
+
+  let asinList = null
+  if (asins !== undefined && asins !== null && asins !== '') {
+    asinList = [].concat(asins).flatMap(value => String(value).split(',')).map(value => value.trim().toUpperCase()).filter(Boolean)
+    const invalid = asinList.find(asin => !/^[A-Z0-9]{10}$/.test(asin))
+    if (invalid) return { error: `Invalid ASIN "${invalid}". ASIN must be 10 alphanumeric characters.` }
+  }
+
+  const range = {}
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (!value) continue
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be an ISO date or date-time` }
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999)
+    range[key] = date
+  }
+
+  let columnMapping = EXPORT_COLUMNS
+  if (columns !== undefined) {
+    try {
+      columnMapping = normalizeColumns(columns)
+    } catch (error) {
+      return { error: error.message }
+    }
+  }
+
+  return { options: { format, asins: asinList, from: range.from || null, to: range.to || null, columns: columnMapping } }
+}
+
+/**
+ * Latest stored parse of each selected product, with the reviewer's correction
+ * of that parse applied when there is one
+ */
+async function collectExportEntries({ asins, from, to }) {
+  const entries = []
+  for (const record of await productStore.findLatestParses({ asins, from, to })) {
+    const correction = (await correctionStore.listCorrections(record.asin))
+      .filter(candidate => candidate.parseId === record.id)
+      .pop()
+    entries.push({
+      product: correction ? { ...record.result, ...correction.corrected } : record.result,
+      parse: { id: record.id, parsedAt: record.parsedAt, model: record.model, promptVersion: record.promptVersion },
+      reviewed: Boolean(correction),
+      correctionId: correction ? correction.id : null
+    })
+  }
+  return entries
+}
+
+/**
+ * Export stored products. GET downloads a file; POST can also push it to a webhook
+ * (`webhook`: a URL, or true for EXPORT_WEBHOOK_URL) instead of returning it.
+ */
+async function exportProducts(req, res, next) {
+  try {
+    const input = req.method === 'GET' ? req.query : req.body
+    const { options, error } = parseExportRequest(input)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    let webhook = null
+    if (req.method === 'POST' && input.webhook) {
+      webhook = input.webhook === true ? EXPORT_WEBHOOK_URL : input.webhook
+      if (!webhook) {
+        return res.status(400).json({ success: false, error: 'webhook is true but EXPORT_WEBHOOK_URL is not set' })
+      }
+      if (typeof webhook !== 'string' || !/^https?:\/\/\S+$/.test(webhook)) {
+        return res.status(400).json({ success: false, error: 'webhook must be an http(s) URL' })
+      }
+    }
+
+    const exported = buildExport(await collectExportEntries(options), options)
+    console.log(`📤 Export: ${exported.products} product(s), ${exported.rows} row(s) as ${exported.format}`)
+
+    if (webhook) {
+      try {
+        const pushed = await pushExport(webhook, exported)
+        console.log(`🪝 Pushed export to ${webhook} (HTTP ${pushed.status})`)
+        return res.json({ success: true, format: exported.format, products: exported.products, rows: exported.rows, webhook: { url: webhook, status: pushed.status } })
+      } catch (pushError) {
+        console.error(`❌ Webhook push to ${webhook} failed:`, pushError.message)
+        return res.status(502).json({ success: false, error: `Webhook push failed: ${pushError.message}` })
+      }
+    }
+
+    res.set('Content-Type', exported.contentType)
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`)
+    res.send(exported.body)
+  } catch (error) {
+    next(error)
+  }
+}
+
+app.get('/export', exportProducts)
+app.post('/export', exportProducts)
+
+/**
+ * Watch settings from a request body, or { error }
+ */
+function parseWatchRequest({ asin, marketplace, intervalMinutes, priceBelow, webhook }) {
+  if (!asin || !/^[A-Z0-9]{10}$/.test(asin)) {
+    return { error: 'asin is required and must be 10 alphanumeric characters' }
+  }
+  const marketplaceError = getMarketplaceError({ marketplace })
+  if (marketplaceError) return { error: marketplaceError }
+
+  const interval = intervalMinutes === undefined || intervalMinutes === null ? WATCH_DEFAULT_INTERVAL_MINUTES : intervalMinutes
+  if (typeof interval !== 'number' || !Number.isFinite(interval) || interval < WATCH_MIN_INTERVAL_MINUTES) {
+    return { error: `intervalMinutes must be a number of at least ${WATCH_MIN_INTERVAL_MINUTES}` }
+  }
+  if (priceBelow !== undefined && priceBelow !== null && (typeof priceBelow !== 'number' || !(priceBelow > 0))) {
+    return { error: 'priceBelow must be a positive number' }
+  }
+  if (webhook !== undefined && webhook !== null && (typeof webhook !== 'string' || !/^https?:\/\/\S+$/.test(webhook))) {
+    return { error: 'webhook must be an http(s) URL' }
+  }
+
+  return {
+    settings: {
+      asin,
+      marketplace: marketplace ? resolveMarketplace({ marketplace }).id : null,
+      intervalMinutes: interval,
+      priceBelow: priceBelow ?? null,
+      webhook: webhook || null
+    }
+  }
+}
+
+// Watched ASINs with their schedule and last check
+app.get('/watch', async (req, res, next) => {
+  try {
+    res.json({ success: true, items: await watchlist.listItems() })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Watch an ASIN, or change its interval, threshold or webhook
+app.post('/watch', async (req, res, next) => {
+  try {
+    const { settings, error } = parseWatchRequest(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+    const item = await watchlist.watch(settings)
+    console.log(`👀 Watching ${item.asin} every ${item.intervalMinutes} min${item.priceBelow !== null ? `, alert below ${item.priceBelow}` : ''}`)
+    res.json({ success: true, item })
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.delete('/watch/:asin', async (req, res, next) => {
+  try {
+    if (!await watchlist.unwatch(req.params.asin)) {
+      return res.status(404).json({ success: false, error: `${req.params.asin} is not being watched` })
+    }
+    res.json({ success: true, asin: req.params.asin })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Price and stock time series for an ASIN, oldest first (?from=&to= ISO dates)
+app.get('/watch/:asin/prices', async (req, res, next) => {
+  try {
+    const range = {}
+    for (const key of ['from', 'to']) {
+      if (!req.query[key]) continue
+      const date = new Date(req.query[key])
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ success: false, error: `${key} must be an ISO date or date-time` })
+      }
+      range[key] = date
+    }
+    const item = await watchlist.getItem(req.params.asin)
+    const prices = await watchlist.getPrices(req.params.asin, range)
+    if (!item && prices.length === 0) {
+      return res.status(404).json({ success: false, error: `No price history for ${req.params.asin}` })
+    }
+    res.json({ success: true, asin: req.params.asin, watching: Boolean(item), prices })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Check a watched ASIN right away instead of waiting for its schedule
+app.post('/watch/:asin/check', async (req, res) => {
+  if (OFFLINE_REPLAY) {
+    return res.status(400).json({ success: false, error: 'The server is in offline replay mode; watch checks need to fetch live pages' })
+  }
+  const item = await watchlist.getItem(req.params.asin).catch(() => null)
+  if (!item) {
+    return res.status(404).json({ success: false, error: `${req.params.asin} is not being watched` })
+  }
+  try {
+    const { snapshot, alerts } = await watchScheduler.checkItem(item)
+    res.json({ success: true, snapshot, alerts })
+  } catch (error) {
+    const status = error instanceof ParseError ? error.status : 500
+    res.status(status).json(parseErrorBody(error))
+  }
+})
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Body parser errors (malformed JSON, bodies over the size limit) are the client's
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, code: 'UPLOAD_TOO_LARGE', error: `The request body is larger than ${err.limit} bytes` })
+  }
+  if (err.expose && err.status < 500) {
+    return res.status(err.status).json({ success: false, error: err.message })
+  }
   console.error('Unhandled error:', err)
   res.status(500).json({
     success: false,
@@ -125,8 +1074,21 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Ollama Amazon Parser service running on port ${PORT}`)
   console.log(`📡 Ollama host: ${OLLAMA_HOST}`)
-  console.log(`🤖 Model: ${OLLAMA_MODEL}`)
+  console.log(`🤖 Provider: ${LLM_PROVIDER}, model chain: ${getDefaultModels(LLM_PROVIDER).join(' -> ')}`)
+  if (VISION_MODELS.length > 0) {
+    console.log(`👁️ Vision pass: ${VISION_MODELS.join(' -> ')}${OFFLINE_REPLAY ? ' (off in offline replay mode)' : ''}`)
+  }
   console.log(`🌐 CORS origin: ${CORS_ORIGIN}`)
+  console.log(`🧵 Batch concurrency: ${PARSE_CONCURRENCY}`)
+  console.log(`💾 Data dir: ${DATA_DIR}`)
+  console.log(`🗄️ HTML cache: ${FETCH_CACHE_MODE}, TTL ${FETCH_CACHE_TTL_SECONDS ? `${FETCH_CACHE_TTL_SECONDS}s` : 'none'}`)
+  if (OFFLINE_REPLAY) {
+    console.log('📴 Offline replay mode: serving cached pages only, Amazon is never contacted')
+    console.log('👀 Watch scheduler disabled in offline replay mode')
+  } else {
+    watchScheduler.start()
+    console.log(`👀 Watch scheduler: checking for due items every ${WATCH_TICK_SECONDS}s`)
+  }
   console.log(`📂 Serving UI from: ${path.join(__dirname, 'public')}`)
 })
 
@@ -0,0 +1,26 @@
+/**
+ * Small async helpers
+ */
+
+import { createCancelledError } from './errors.js'
+
+/**
+ * Wait for ms milliseconds; rejects with PARSE_CANCELLED if the signal aborts first
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError())
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createCancelledError())
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
@@ -0,0 +1,172 @@
+/**
+ * Per-field confidence and evidence for a parse result
+ *
+ * Rule-based fields carry the snippet they were read from. Model answers are
+ * looked up in the extracted sections: a value that appears verbatim (or
+ * nearly) is grounded in the page, one that does not was probably made up.
+ * Values read from the product photos can't be checked against the text.
+ * Low confidence, unverified print names and warnings set `needsReview`.
+ */
+
+import { tokenize } from './text.js'
+
+const CONFIDENCE = {
+  input: 1,
+  rules: 0.95,
+  derived: 0.7,
+  vision: 0.6,
+  llm: { verbatim: 0.8, near: 0.6, unchecked: 0.5, none: 0.3 }
+}
+
+// Fields below this confidence send the product to review
+export const REVIEW_THRESHOLD = Number.isFinite(parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD))
+  ? parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD)
+  : 0.5
+
+const SNIPPET_CONTEXT = 60
+
+// Where print names have to appear: the title or the description
+const PRINT_NAME_SECTIONS = ['productTitle', 'featurebullets_feature_div', 'productDescription']
+
+/**
+ * { section, text } with text cut down to the context around `match`
+ */
+export function createEvidence(section, text, match = null) {
+  if (text === null || text === undefined) return { section, text: null }
+  const value = String(text)
+  if (value.length <= SNIPPET_CONTEXT * 2 + 20) return { section, text: value }
+  const index = match ? value.toLowerCase().indexOf(String(match).toLowerCase()) : -1
+  if (index === -1) return { section, text: value.slice(0, SNIPPET_CONTEXT * 2) + '…' }
+  const start = Math.max(0, index - SNIPPET_CONTEXT)
+  const end = Math.min(value.length, index + String(match).length + SNIPPET_CONTEXT)
+  return { section, text: `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}` }
+}
+
+/**
+ * Extracted sections as [name, text] pairs, in the order evidence is searched
+ */
+function getSections(extractedText) {
+  const details = extractedText.productDetails
+  return [
+    ['productTitle', extractedText.title],
+    ['featurebullets_feature_div', extractedText.description],
+    ['productDetails', details ? Object.entries(details).map(([k, v]) => `${k}: ${v}`).join('\n') : null],
+    ['productDescription', extractedText.productDescription],
+    ['aplus', extractedText.aplus]
+  ].filter(([, text]) => text)
+}
+
+/**
+ * Find a value in the sections. `verbatim` when all its words appear in a
+ * row, `near` when at least 80% of its words appear in one section.
+ * Returns { match, section, text } (match "none" when not found).
+ */
+export function findEvidence(value, sections) {
+  const wanted = tokenize(value)
+  if (wanted.length === 0) return { match: 'none', section: null, text: null }
+
+  for (const [section, text] of sections) {
+    const tokens = tokenize(text)
+    const joined = ` ${tokens.join(' ')} `
+    if (joined.includes(` ${wanted.join(' ')} `)) {
+      return { match: 'verbatim', ...createEvidence(section, text, String(value).split(/\s+/)[0]) }
+    }
+  }
+
+  for (const [section, text] of sections) {
+    const tokens = new Set(tokenize(text))
+    const found = wanted.filter(word => tokens.has(word))
+    if (found.length / wanted.length >= 0.8) {
+      return { match: 'near', ...createEvidence(section, text, found[0]) }
+    }
+  }
+
+  return { match: 'none', section: null, text: null }
+}
+
+/**
+ * Confidence of a model answer from how well it is grounded in the page
+ */
+function assessModelValue(field, value, sections) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    const searchable = field === 'type' ? String(value).replace(/_/g, ' ') : value
+    const found = findEvidence(searchable, sections)
+    return {
+      confidence: CONFIDENCE.llm[found.match],
+      evidence: found.match === 'none' ? null : { section: found.section, text: found.text }
+    }
+  }
+
+  if (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string')) {
+    const entries = value.map(item => ({ value: item, ...findEvidence(item, sections) }))
+    const confidence = entries.reduce((sum, entry) => sum + CONFIDENCE.llm[entry.match], 0) / entries.length
+    return { confidence: Math.round(confidence * 100) / 100, evidence: entries }
+  }
+
+  // Booleans and objects (e.g. rolls) can't be looked up in the text
+  return { confidence: CONFIDENCE.llm.unchecked, evidence: null }
+}
+
+/**
+ * Confidence (0-1) and evidence for every non-empty field of the product.
+ * Returns { confidence, evidence, needsReview, reviewReasons }.
+ */
+export function assessConfidence(product, { fieldSources = {}, ruleEvidence = {}, extractedText = {}, warnings = [] } = {}) {
+  const confidence = {}
+  const evidence = {}
+  const reviewReasons = []
+  const sections = getSections(extractedText)
+
+  for (const [field, source] of Object.entries(fieldSources)) {
+    const value = product[field]
+    if (value === null || value === undefined) continue
+
+    if (source === 'input') {
+      confidence[field] = CONFIDENCE.input
+      evidence[field] = createEvidence('input', typeof value === 'object' ? null : value)
+    } else if (source.startsWith('rules:')) {
+      confidence[field] = CONFIDENCE.rules
+      evidence[field] = ruleEvidence[field] || createEvidence(source.slice('rules:'.length), null)
+    } else if (source === 'llm') {
+      const assessed = assessModelValue(field, value, sections)
+      confidence[field] = assessed.confidence
+      evidence[field] = assessed.evidence
+    } else if (source === 'vision') {
+      confidence[field] = CONFIDENCE.vision
+      evidence[field] = createEvidence('images', null)
+    } else {
+      confidence[field] = CONFIDENCE.derived
+      evidence[field] = null
+    }
+  }
+
+  // Print names must come from the title or description, never be invented
+  if (fieldSources.printNames === 'llm' && Array.isArray(evidence.printNames)) {
+    const titleAndDescription = sections.filter(([section]) => PRINT_NAME_SECTIONS.includes(section))
+    evidence.printNames = product.printNames.map(name => {
+      const found = findEvidence(name, titleAndDescription)
+      return { value: name, match: found.match, section: found.section, text: found.text }
+    })
+    for (const entry of evidence.printNames.filter(entry => entry.match === 'none')) {
+      reviewReasons.push(`printNames entry "${entry.value}" does not appear in the title or description`)
+    }
+    const total = evidence.printNames.reduce((sum, entry) => sum + CONFIDENCE.llm[entry.match], 0)
+    confidence.printNames = Math.round(total / evidence.printNames.length * 100) / 100
+  }
+
+  for (const [field, value] of Object.entries(confidence)) {
+    if (value < REVIEW_THRESHOLD) {
+      reviewReasons.push(`${field} has low confidence (${value})`)
+    }
+  }
+  for (const warning of warnings) {
+    reviewReasons.push(warning)
+  }
+
+  return {
+    confidence,
+    evidence,
+    needsReview: reviewReasons.length > 0,
+    reviewReasons
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Minimal in-memory cookie jar
+ *
+ * Keeps the cookies Amazon sets (session-id, i18n-prefs, ...) and sends them
+ * back on later requests to the same domain, which makes follow-up requests
+ * look like one browsing session instead of many fresh visitors.
+ */
+
+function parseSetCookie(header, requestHost) {
+  const [pair, ...attributes] = header.split(';')
+  const separator = pair.indexOf('=')
+  if (separator <= 0) return null
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: requestHost,
+    hostOnly: true,
+    path: '/',
+    expiresAt: null
+  }
+
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=')
+    const key = rawKey.trim().toLowerCase()
+    const value = rest.join('=').trim()
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase()
+      // Ignore cookies for domains the response did not come from
+      if (requestHost !== domain && !requestHost.endsWith(`.${domain}`)) return null
+      cookie.domain = domain
+      cookie.hostOnly = false
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      cookie.expiresAt = Date.now() + parseInt(value, 10) * 1000
+    } else if (key === 'expires' && cookie.expiresAt === null) {
+      const expires = Date.parse(value)
+      if (!Number.isNaN(expires)) cookie.expiresAt = expires
+    }
+  }
+  return cookie
+}
+
+export function createCookieJar() {
+  const cookies = new Map()
+
+  function isExpired(cookie) {
+    return cookie.expiresAt !== null && cookie.expiresAt <= Date.now()
+  }
+
+  /**
+   * Store the Set-Cookie headers of a response to url
+   */
+  function setCookies(url, setCookieHeaders) {
+    if (!setCookieHeaders) return
+    const host = new URL(url).hostname.toLowerCase()
+    for (const header of [].concat(setCookieHeaders)) {
+      const cookie = parseSetCookie(header, host)
+      if (!cookie) continue
+      const key = `${cookie.domain}|${cookie.path}|${cookie.name}`
+      if (isExpired(cookie)) {
+        cookies.delete(key)
+      } else {
+        cookies.set(key, cookie)
+      }
+    }
+  }
+
+  /**
+   * Cookie header value for a request to url, or null when there is nothing to send
+   */
+  function getCookieHeader(url) {
+    const { hostname, pathname } = new URL(url)
+    const host = hostname.toLowerCase()
+    const matching = []
+    for (const [key, cookie] of cookies) {
+      if (isExpired(cookie)) {
+        cookies.delete(key)
+        continue
+      }
+      const domainMatches = cookie.hostOnly
+        ? host === cookie.domain
+        : host === cookie.domain || host.endsWith(`.${cookie.domain}`)
+      if (domainMatches && pathname.startsWith(cookie.path)) {
+        matching.push(`${cookie.name}=${cookie.value}`)
+      }
+    }
+    return matching.length > 0 ? matching.join('; ') : null
+  }
+
+  return {
+    setCookies,
+    getCookieHeader,
+    clear: () => cookies.clear(),
+    get size() {
+      return cookies.size
+    }
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Reviewer corrections, stored as (page input, corrected product) pairs
+ *
+ * Layout under the data dir:
+ *   corrections/<ASIN>/<correctionId>.json   { input, original, corrected, changedFields, ... }
+ *
+ * The most similar corrections are fed back into the parse prompt as
+ * few-shot examples, so a fix made once is followed on similar pages.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { randomBytes } from 'crypto'
+import { readJson, writeFileAtomic } from './fs-utils.js'
+import { getProfile } from './profiles/index.js'
+import { createProductSchema, shapeProductData, validateAgainstSchema, validateProductData } from './schema.js'
+import { diffValues } from './product-store.js'
+import { fillRollDefaults } from './roll-layout.js'
+import { tokenize } from './text.js'
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/
+
+// Below this token overlap a correction is not similar enough to help
+const MIN_SIMILARITY = 0.15
+
+/**
+ * The parts of the extracted page an example needs: enough to recognize a similar product
+ */
+function toExampleInput(sections = {}) {
+  return {
+    title: sections.title || null,
+    description: sections.description || null,
+    productDetails: sections.productDetails || null
+  }
+}
+
+function inputTokens(input) {
+  return new Set(tokenize([input.title, input.description].filter(Boolean).join(' ')))
+}
+
+/**
+ * Jaccard overlap of two token sets
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  for (const token of a) {
+    if (b.has(token)) shared++
+  }
+  return shared / (a.size + b.size - shared)
+}
+
+/**
+ * Shape and check a product edited by a reviewer. Fields it leaves out keep
+ * their value from `original`; the type decides the profile, and values
+ * outside the profile's shape are dropped. Returns { product, errors }.
+ */
+export function prepareCorrection(product, asin, original = {}) {
+  if (!product || typeof product !== 'object' || Array.isArray(product)) {
+    return { product: null, errors: ['product must be an object'] }
+  }
+  const merged = { ...original, ...product, asin }
+  const profile = getProfile(merged.type)
+  const shaped = shapeProductData(merged, profile)
+  // Rolls from parses made before rolls had a reverse type
+  if (Array.isArray(shaped.rolls)) {
+    shaped.rolls = shaped.rolls.map(roll => (roll && typeof roll === 'object' && roll.reverseType === undefined ? fillRollDefaults(roll) : roll))
+  }
+  const errors = [
+    ...validateAgainstSchema(shaped, createProductSchema(profile)),
+    ...validateProductData(shaped, profile)
+  ]
+
+  if (Array.isArray(shaped.rolls)) {
+    const rollNumbers = shaped.rolls.map(roll => roll.rollNumber)
+    for (const roll of shaped.rolls) {
+      if (roll.pairedRollNumber !== null && !rollNumbers.includes(roll.pairedRollNumber)) {
+        errors.push(`Roll ${roll.rollNumber} is paired with roll ${roll.pairedRollNumber}, which does not exist`)
+      }
+      if (roll.backPrintName && roll.reverseType !== 'design') {
+        errors.push(`Roll ${roll.rollNumber} has a back print name but its reverse type is "${roll.reverseType}"`)
+      }
+    }
+  }
+
+  return { product: shaped, errors: [...new Set(errors)] }
+}
+
+/**
+ * Create a correction store rooted at dataDir
+ */
+export function createCorrectionStore({ dataDir }) {
+  const correctionsDir = path.join(dataDir, 'corrections')
+  // Every correction, loaded once and kept up to date by saveCorrection
+  let indexPromise = null
+
+  async function readIndex() {
+    const index = []
+    let asins
+    try {
+      asins = (await fs.readdir(correctionsDir)).filter(name => ASIN_PATTERN.test(name))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+      asins = []
+    }
+    for (const asin of asins) {
+      for (const file of (await fs.readdir(path.join(correctionsDir, asin))).filter(name => name.endsWith('.json')).sort()) {
+        const record = await readJson(path.join(correctionsDir, asin, file))
+        if (record) index.push({ record, tokens: inputTokens(record.input) })
+      }
+    }
+    return index
+  }
+
+  function loadIndex() {
+    if (!indexPromise) indexPromise = readIndex()
+    return indexPromise
+  }
+
+  /**
+   * Save a reviewed product next to the parse it corrects. Returns the stored record.
+   */
+  async function saveCorrection({ asin, parseId = null, sections, original, corrected }) {
+    if (!ASIN_PATTERN.test(asin || '')) {
+      throw new Error('Invalid ASIN format. ASIN must be 10 alphanumeric characters.')
+    }
+    const loaded = await loadIndex()
+    const dir = path.join(correctionsDir, asin)
+    await fs.mkdir(dir, { recursive: true })
+
+    const correctedAt = new Date()
+    const id = `${correctedAt.toISOString().replace(/[-:.]/g, '')}-${randomBytes(3).toString('hex')}`
+    const originalValues = original ? shapeProductData(original, getProfile(original.type)) : null
+    const record = {
+      id,
+      asin,
+      parseId,
+      type: corrected.type,
+      correctedAt: correctedAt.toISOString(),
+      input: toExampleInput(sections),
+      original: originalValues,
+      corrected,
+      changedFields: originalValues
+        ? [...new Set(diffValues(originalValues, corrected).map(change => change.path.split(/[.[]/)[0]))]
+        : Object.keys(corrected)
+    }
+
+    await writeFileAtomic(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2))
+    loaded.push({ record, tokens: inputTokens(record.input) })
+    return record
+  }
+
+  /**
+   * Corrections for an ASIN, oldest first
+   */
+  async function listCorrections(asin) {
+    const dir = path.join(correctionsDir, asin)
+    let files
+    try {
+      files = (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort()
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+    const records = await Promise.all(files.map(file => readJson(path.join(dir, file))))
+    return records.filter(Boolean)
+  }
+
+  /**
+   * The corrections whose pages read most like this one, most similar first.
+   * Only corrections of the same product type are considered when the type is known.
+   */
+  async function findSimilar(extractedText, { type = null, limit = 2 } = {}) {
+    if (limit <= 0) return []
+    const tokens = inputTokens(toExampleInput(extractedText))
+    // Only the latest correction of a product is used as an example
+    const latest = new Map()
+    for (const entry of await loadIndex()) {
+      latest.set(entry.record.asin, entry)
+    }
+    return [...latest.values()]
+      .filter(entry => !type || entry.record.type === type)
+      .map(entry => ({ record: entry.record, score: similarity(tokens, entry.tokens) }))
+      .filter(match => match.score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(match => ({ ...match.record, similarity: Math.round(match.score * 100) / 100 }))
+  }
+
+  return {
+    saveCorrection,
+    listCorrections,
+    findSimilar
+  }
+}
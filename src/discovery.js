@@ -0,0 +1,293 @@
+/**
+ * ASIN discovery from search results, brand storefronts and best-seller lists
+ *
+ * Result cards are read from the page structure, not the model:
+ *   search       [data-component-type="s-search-result"] cards, .s-pagination-* links
+ *   bestsellers  #gridItemRoot / .zg-grid-general-faceout cards with their "#1" badge, ul.a-pagination links
+ *   storefront   any element carrying a data-asin, or failing that the product links themselves
+ *
+ * Each card gives the ASIN, title, price, rating, rating count and whether it
+ * is a sponsored placement. Pagination is followed up to a page limit.
+ */
+
+import * as cheerio from 'cheerio'
+import { extractAsin, fetchAmazonPage } from './amazon-fetcher.js'
+import { createCancelledError, createPageTypeError, ParseError } from './errors.js'
+import { getOrigin, getProductUrl, parseLocalizedPrice, resolveMarketplace } from './marketplaces.js'
+import { classifyPage } from './page-classifier.js'
+import { cleanText, parseCount, parseStarRating } from './text.js'
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/
+
+const SEARCH_CARD = '[data-component-type="s-search-result"]'
+const BESTSELLER_CARD = '#gridItemRoot, .zg-grid-general-faceout, #zg-ordered-list li, .zg-item-immersion'
+
+const SPONSORED_MARKERS = '.puis-sponsored-label-text, .s-sponsored-label-text, [data-component-type="sp-sponsored-result"], a[href*="/sspa/click"]'
+const SPONSORED_LABEL = /^(?:sponsored|gesponsert|sponsoris[ée]|patrocinado|sponsorizzato|スポンサー)$/i
+
+/**
+ * The kind of list a URL points to, or null when the path doesn't tell
+ */
+function listingKindFromUrl(url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return null
+  }
+  const { pathname, searchParams } = parsed
+  if (pathname.includes('/stores/')) return 'storefront'
+  if (/\/(?:gp\/)?(?:bestsellers|new-releases|movers-and-shakers|most-wished-for)\b|\/zgbs\/|\/Best-Sellers-/i.test(pathname)) return 'bestsellers'
+  if (pathname === '/s' || pathname.startsWith('/s/') || searchParams.has('k') || searchParams.has('field-keywords')) return 'search'
+  return null
+}
+
+/**
+ * search, bestsellers or storefront, from the URL when it tells and the cards on the page otherwise
+ */
+function detectListingKind($, url) {
+  const fromUrl = url ? listingKindFromUrl(url) : null
+  if (fromUrl) return fromUrl
+  if ($(SEARCH_CARD).length > 0) return 'search'
+  if ($(BESTSELLER_CARD).length > 0) return 'bestsellers'
+  return 'storefront'
+}
+
+function absoluteUrl(href, base) {
+  try {
+    return new URL(href, base).toString()
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * ASIN of a card: its own data-asin, a nested one, the faceout id best-seller
+ * cards use, or the product link
+ */
+function cardAsin($, card) {
+  const element = $(card)
+  const candidates = [
+    element.attr('data-asin'),
+    element.find('[data-asin]').first().attr('data-asin'),
+    element.find('.p13n-sc-uncoverable-faceout').first().attr('id'),
+    extractAsin(element.find('a[href]').first().attr('href') || '')
+  ]
+  return candidates.find(candidate => ASIN_PATTERN.test(candidate || '')) || null
+}
+
+/**
+ * Text of the first selector that matches, tried in order (a comma selector would go by document order)
+ */
+function firstText(element, selectors) {
+  for (const selector of selectors) {
+    const text = cleanText(element.find(selector).first().text())
+    if (text) return text
+  }
+  return ''
+}
+
+function isSponsored($, card) {
+  const element = $(card)
+  if (element.is('.AdHolder') || element.find(SPONSORED_MARKERS).length > 0) return true
+  return element.find('span').toArray().some(span => SPONSORED_LABEL.test(cleanText($(span).text())))
+}
+
+/**
+ * Fields of one result card. Values the card doesn't show are null.
+ */
+function readCard($, card, asin, marketplace) {
+  const element = $(card)
+  const image = element.find('img').first()
+  const title = cleanText(element.find('h2').first().text()) ||
+    cleanText(element.find('[class*="line-clamp"], .p13n-sc-truncate').first().text()) ||
+    cleanText(image.attr('alt')) ||
+    null
+  // The first .a-price is the offer; the struck-through list price is .a-text-price
+  const priceText = element.find('.a-price:not(.a-text-price) .a-offscreen').first().text() ||
+    element.find('.p13n-sc-price, [class*="p13n-sc-price"]').first().text()
+  const ratingText = firstText(element, ['[class*="a-star"] .a-icon-alt', '.a-icon-alt'])
+  const countText = firstText(element, ['a[href*="customerReviews"] .s-underline-text', 'a[href*="product-reviews"] .a-size-small', '.s-underline-text'])
+  const rank = cleanText(element.find('.zg-bdg-text, .zg-badge-text').first().text()).match(/\d+/)
+
+  return {
+    asin,
+    title,
+    price: priceText ? parseLocalizedPrice(priceText, marketplace) : null,
+    currency: priceText ? marketplace.currency : null,
+    rating: ratingText ? parseStarRating(ratingText) : null,
+    ratingCount: countText ? parseCount(countText) : null,
+    sponsored: isSponsored($, card),
+    rank: rank ? parseInt(rank[0], 10) : null,
+    image: image.attr('src') || null,
+    url: getProductUrl(asin, marketplace)
+  }
+}
+
+/**
+ * Result cards in page order. Storefronts (and lists whose layout changed)
+ * fall back to the outermost elements with a data-asin.
+ */
+function findCards($, kind) {
+  const selector = kind === 'search' ? SEARCH_CARD : kind === 'bestsellers' ? BESTSELLER_CARD : null
+  const matches = selector ? $(selector).toArray() : []
+  // Best-seller cards nest (#gridItemRoot > .zg-grid-general-faceout); keep the outer one with the rank badge
+  const cards = matches.filter(card => !matches.some(other => other !== card && cheerio.contains(other, card)))
+  if (cards.length > 0) return cards
+  return $('[data-asin]').toArray().filter(element => {
+    const asin = $(element).attr('data-asin')
+    return ASIN_PATTERN.test(asin || '') && $(element).parents(`[data-asin="${asin}"]`).length === 0
+  })
+}
+
+/**
+ * Current page, page count and next page link. The next link is resolved against the page URL.
+ */
+function readPagination($, base) {
+  const next = $('a.s-pagination-next:not(.s-pagination-disabled), ul.a-pagination li.a-last:not(.a-disabled) a').first().attr('href')
+  const current = parseInt(cleanText($('.s-pagination-selected, ul.a-pagination li.a-selected').first().text()), 10) || 1
+  const numbers = $('.s-pagination-item, ul.a-pagination li')
+    .map((_, element) => parseInt(cleanText($(element).text()), 10))
+    .get()
+    .filter(Number.isFinite)
+  return {
+    page: current,
+    totalPages: numbers.length > 0 ? Math.max(current, ...numbers) : (next ? null : current),
+    nextUrl: next ? absoluteUrl(next, base) : null
+  }
+}
+
+/**
+ * Products listed on one search, storefront or best-seller page.
+ * Returns { kind, items, pagination }; items are in page order with their
+ * `position` on the page, one entry per ASIN (an organic card wins over a
+ * sponsored one for the same product).
+ */
+export function extractListing(html, { url = null, marketplace: marketplaceId = null } = {}) {
+  const marketplace = resolveMarketplace({ marketplace: marketplaceId, url })
+  const $ = cheerio.load(html)
+  const kind = detectListingKind($, url)
+  const base = url || getOrigin(marketplace)
+
+  const items = new Map()
+  let position = 0
+  for (const card of findCards($, kind)) {
+    const asin = cardAsin($, card)
+    if (!asin) continue
+    position++
+    const item = { ...readCard($, card, asin, marketplace), position }
+    const existing = items.get(asin)
+    if (!existing || (existing.sponsored && !item.sponsored)) {
+      items.set(asin, item)
+    }
+  }
+
+  // Storefronts rendered without data-asin still link to every product
+  if (items.size === 0) {
+    $('a[href]').each((_, link) => {
+      const asin = extractAsin(absoluteUrl($(link).attr('href'), base) || '')
+      if (!asin || items.has(asin)) return
+      position++
+      const title = cleanText($(link).text()) || cleanText($(link).find('img').attr('alt')) || null
+      items.set(asin, {
+        asin,
+        title,
+        price: null,
+        currency: null,
+        rating: null,
+        ratingCount: null,
+        sponsored: false,
+        rank: null,
+        image: $(link).find('img').attr('src') || null,
+        url: getProductUrl(asin, marketplace),
+        position
+      })
+    })
+  }
+
+  return {
+    kind,
+    items: [...items.values()].sort((a, b) => a.position - b.position),
+    pagination: readPagination($, base)
+  }
+}
+
+/**
+ * Fetch (or take) a listing page and follow its next-page links up to maxPages.
+ *
+ * Options:
+ *   url, html   - the listing URL and/or its HTML; with html, later pages are fetched from its links
+ *   marketplace - "us" | "uk" | ...; detected from the URL host when omitted
+ *   maxPages    - pages to read, the first included (default 1)
+ *   htmlCache, cacheMode, signal - as for fetchAmazonPage
+ *
+ * A first page that is not a listing is rejected with a typed error
+ * (NOT_A_LISTING for product pages); a later page that fails ends the walk
+ * with a warning. Returns { url, marketplace, kind, items, pages, pagination, warnings }
+ * where each item carries the `page` it was found on.
+ */
+export async function discoverProducts({ url = null, html = null, marketplace: marketplaceId = null, maxPages = 1, htmlCache = null, cacheMode = 'prefer', signal = null } = {}) {
+  const marketplace = resolveMarketplace({ marketplace: marketplaceId, url })
+  const items = new Map()
+  const pages = []
+  const warnings = []
+  let kind = null
+  let pagination = null
+  let pageUrl = url
+  let pageHtml = html
+
+  while (pages.length < maxPages && (pageHtml || pageUrl)) {
+    if (signal && signal.aborted) throw createCancelledError()
+    const pageNumber = pages.length + 1
+    try {
+      if (!pageHtml) {
+        console.log(`🌐 Fetching listing page ${pageNumber}: ${pageUrl}`)
+        const fetched = await fetchAmazonPage(pageUrl, null, { marketplace, signal, cache: htmlCache, cacheMode })
+        pageHtml = fetched.html
+      }
+      const page = classifyPage(pageHtml)
+      if (page.type === 'product') {
+        throw new ParseError('NOT_A_LISTING', null, { pageType: page.type, signals: page.signals })
+      }
+      // Unknown pages are still read: storefronts have no fixed markers
+      if (page.type !== 'listing' && page.type !== 'unknown') throw createPageTypeError(page)
+    } catch (error) {
+      if (pages.length === 0 || error.code === 'PARSE_CANCELLED') throw error
+      console.warn(`⚠️ Stopped at listing page ${pageNumber}: ${error.message}`)
+      warnings.push(`Stopped at page ${pageNumber}: ${error.message}`)
+      break
+    }
+
+    const listing = extractListing(pageHtml, { url: pageUrl, marketplace: marketplace.id })
+    kind = kind || listing.kind
+    pagination = listing.pagination
+    let added = 0
+    for (const item of listing.items) {
+      const existing = items.get(item.asin)
+      if (!existing) added++
+      if (!existing || (existing.sponsored && !item.sponsored)) {
+        items.set(item.asin, { ...item, page: listing.pagination.page })
+      }
+    }
+    pages.push({ page: listing.pagination.page, url: pageUrl, items: listing.items.length, newItems: added })
+    console.log(`🔎 Listing page ${listing.pagination.page}: ${listing.items.length} product(s), ${added} new`)
+    if (listing.items.length === 0) {
+      warnings.push(`No products found on page ${listing.pagination.page}; the page layout may have changed`)
+    }
+
+    // A next link that loops back would walk the same page again
+    const nextUrl = listing.pagination.nextUrl
+    pageUrl = nextUrl && !pages.some(visited => visited.url === nextUrl) ? nextUrl : null
+    pageHtml = null
+  }
+
+  return {
+    url,
+    marketplace: marketplace.id,
+    kind,
+    items: [...items.values()].sort((a, b) => a.page - b.page || a.position - b.position),
+    pages,
+    pagination: pagination ? { totalPages: pagination.totalPages, nextUrl: pageUrl } : null,
+    warnings
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Typed parse errors
+ *
+ * Every error a client may want to branch on carries a stable `code` and the
+ * HTTP status the server answers with. Anything without a code is a 500.
+ */
+
+export const ERROR_CODES = {
+  AMAZON_CAPTCHA: {
+    status: 503,
+    message: 'Amazon served a CAPTCHA page instead of the product. Try again later.'
+  },
+  AMAZON_SIGN_IN_REQUIRED: {
+    status: 502,
+    message: 'Amazon redirected to a sign-in page instead of the product.'
+  },
+  PRODUCT_NOT_FOUND: {
+    status: 404,
+    message: 'Amazon has no product page for this ASIN/URL (404 page).'
+  },
+  REGION_UNAVAILABLE: {
+    status: 422,
+    message: 'This product is not available in the region the page was fetched from.'
+  },
+  LISTING_PAGE: {
+    status: 422,
+    message: 'This is a search results, storefront or best-seller page, not a product page. Use /discover to list its products.'
+  },
+  NOT_A_LISTING: {
+    status: 422,
+    message: 'This is a product page, not a search results, storefront or best-seller page. Use /parse for it.'
+  },
+  INVALID_UPLOAD: {
+    status: 400,
+    message: 'The upload is not an HTML page, gzip-compressed HTML or MHTML archive.'
+  },
+  UPLOAD_TOO_LARGE: {
+    status: 413,
+    message: 'The uploaded page is larger than INGEST_MAX_MB allows.'
+  },
+  MODEL_TIMEOUT: {
+    status: 504,
+    message: 'The model did not answer in time.'
+  },
+  INVALID_MODEL_OUTPUT: {
+    status: 502,
+    message: 'The model did not return valid product JSON.'
+  },
+  CACHE_MISS: {
+    status: 404,
+    message: 'The page is not in the fetch cache and cache mode "only" does not allow fetching it.'
+  },
+  // 499: client closed the request (nginx convention); only seen by in-process callers
+  PARSE_CANCELLED: {
+    status: 499,
+    message: 'Parse cancelled'
+  }
+}
+
+export class ParseError extends Error {
+  constructor(code, message = null, details = {}) {
+    super(message || (ERROR_CODES[code] ? ERROR_CODES[code].message : code))
+    this.name = 'ParseError'
+    this.code = code
+    this.status = ERROR_CODES[code] ? ERROR_CODES[code].status : 500
+    this.details = details
+  }
+}
+
+const PAGE_TYPE_ERRORS = {
+  captcha: 'AMAZON_CAPTCHA',
+  sign_in: 'AMAZON_SIGN_IN_REQUIRED',
+  not_found: 'PRODUCT_NOT_FOUND',
+  region_unavailable: 'REGION_UNAVAILABLE',
+  listing: 'LISTING_PAGE'
+}
+
+/**
+ * Error for a classified page that is not a product page, or null for product/unknown pages
+ */
+export function createPageTypeError(classification) {
+  const code = PAGE_TYPE_ERRORS[classification.type]
+  if (!code) return null
+  return new ParseError(code, null, { pageType: classification.type, signals: classification.signals })
+}
+
+export function createCancelledError() {
+  return new ParseError('PARSE_CANCELLED')
+}
+
+/**
+ * Internal error for an LLM backend that rejects schema-constrained output;
+ * the parser falls back to free-text JSON when it sees one
+ */
+export function createUnsupportedFormatError(message) {
+  const error = new Error(message)
+  error.code = 'FORMAT_UNSUPPORTED'
+  return error
+}
@@ -0,0 +1,28 @@
+/**
+ * File helpers shared by the on-disk stores
+ */
+
+import { randomUUID } from 'crypto'
+import fs from 'fs/promises'
+
+/**
+ * Write a file atomically so a crash never leaves a half-written record behind.
+ * Each write has its own temp file, so concurrent writes to one path don't clash.
+ */
+export async function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`
+  await fs.writeFile(tmpPath, contents)
+  await fs.rename(tmpPath, filePath)
+}
+
+/**
+ * Read and parse a JSON file, or null if it does not exist
+ */
+export async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
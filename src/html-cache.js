@@ -0,0 +1,97 @@
+/**
+ * On-disk cache of fetched Amazon pages
+ *
+ * Layout under the cache dir:
+ *   <key>.html   the page as fetched
+ *   <key>.json   { key, url, marketplace, status, fetchedAt }
+ *
+ * Keys are "<marketplace>-<ASIN>" when the ASIN is known, so /dp/X,
+ * /gp/product/X and a bare ASIN share one entry; other URLs are keyed by a
+ * hash of the URL without the query parameters that don't pick the page.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { createHash } from 'crypto'
+import { readJson, writeFileAtomic } from './fs-utils.js'
+
+export const CACHE_MODES = ['refresh', 'prefer', 'only']
+
+// Query parameters that pick a search or list page (keywords, department, filters, sort, page, seller)
+const PAGE_PARAMS = ['k', 'field-keywords', 'i', 'rh', 'node', 'bbn', 's', 'page', 'pg', 'me']
+
+/**
+ * Host, path and the page parameters, no fragment: the tracking parameters Amazon adds don't change the page
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url)
+  const query = PAGE_PARAMS
+    .filter(name => parsed.searchParams.has(name))
+    .map(name => `${name}=${encodeURIComponent(parsed.searchParams.get(name))}`)
+    .join('&')
+  return `${parsed.protocol}//${parsed.hostname.toLowerCase().replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`
+}
+
+/**
+ * Cache key for a page: the ASIN in its marketplace, otherwise a hash of the normalized URL
+ */
+export function getCacheKey({ url = null, asin = null, marketplace }) {
+  if (asin && /^[A-Z0-9]{10}$/.test(asin)) return `${marketplace.id}-${asin}`
+  if (!url) throw new Error('A URL or ASIN is required for a cache key')
+  return `url-${createHash('sha256').update(normalizeUrl(url)).digest('hex').slice(0, 16)}`
+}
+
+/**
+ * Create an HTML cache rooted at cacheDir. Entries older than ttlSeconds are
+ * stale; ttlSeconds 0 means entries never go stale.
+ */
+export function createHtmlCache({ cacheDir, ttlSeconds = 3600 }) {
+  function entryPath(key, extension) {
+    return path.join(cacheDir, `${key}.${extension}`)
+  }
+
+  function isFresh(entry) {
+    if (!ttlSeconds) return true
+    return Date.now() - Date.parse(entry.fetchedAt) < ttlSeconds * 1000
+  }
+
+  /**
+   * Cached page for key, or null. Stale entries are returned only with allowStale.
+   * Returns { key, url, marketplace, status, fetchedAt, html }.
+   */
+  async function get(key, { allowStale = false } = {}) {
+    const entry = await readJson(entryPath(key, 'json'))
+    if (!entry || (!allowStale && !isFresh(entry))) return null
+    try {
+      return { ...entry, html: await fs.readFile(entryPath(key, 'html'), 'utf8') }
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * Store a fetched page. The HTML is written before its metadata, so a
+   * metadata file always has its page next to it.
+   */
+  async function set(key, { html, url, marketplace, status }) {
+    await fs.mkdir(cacheDir, { recursive: true })
+    const entry = {
+      key,
+      url,
+      marketplace: marketplace ? marketplace.id : null,
+      status: status || null,
+      fetchedAt: new Date().toISOString()
+    }
+    await writeFileAtomic(entryPath(key, 'html'), html)
+    await writeFileAtomic(entryPath(key, 'json'), JSON.stringify(entry, null, 2))
+    return entry
+  }
+
+  return {
+    get,
+    set,
+    cacheDir,
+    ttlSeconds
+  }
+}
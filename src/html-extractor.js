@@ -0,0 +1,273 @@
+/**
+ * DOM-based extraction of Amazon product page sections
+ */
+
+import * as cheerio from 'cheerio'
+import { extractImageGallery, normalizeImageUrl } from './image-gallery.js'
+import { DEFAULT_MARKETPLACE, getOrigin } from './marketplaces.js'
+import { cleanText } from './text.js'
+import { extractVariations } from './variations.js'
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  'US$': 'USD',
+  'CA$': 'CAD',
+  'CDN$': 'CAD',
+  '£': 'GBP',
+  '€': 'EUR',
+  '¥': 'JPY',
+  '￥': 'JPY'
+}
+
+/**
+ * Currency code for a price symbol. A bare "$" is Canadian dollars on amazon.ca.
+ */
+function currencyForSymbol(symbol, marketplace) {
+  if (symbol === '$' && marketplace.currency === 'CAD') return 'CAD'
+  return CURRENCY_SYMBOLS[symbol] || null
+}
+
+// The A+ block can be very long; the model only needs the gist
+const MAX_APLUS_LENGTH = 3000
+
+function cleanHeading(text) {
+  return cleanText(text).replace(/\s*:\s*$/, '').trim()
+}
+
+/**
+ * Text of an element with scripts/styles removed and block elements separated
+ */
+function elementText($, element) {
+  const clone = $(element).clone()
+  clone.find('script, style, noscript').remove()
+  clone.find('br, p, li, div, h1, h2, h3, h4, h5, tr').each((_, el) => {
+    $(el).append(' ')
+  })
+  return cleanText(clone.text())
+}
+
+function absoluteUrl(src, marketplace) {
+  if (!src) return null
+  if (src.startsWith('//')) return 'https:' + src
+  if (src.startsWith('/')) return getOrigin(marketplace) + src
+  return src
+}
+
+function extractTitle($) {
+  const title = cleanText($('#productTitle').first().text()) || cleanText($('h1#title').first().text())
+  return title || null
+}
+
+function extractBullets($) {
+  const bullets = []
+  $('#featurebullets_feature_div li, #feature-bullets li').each((_, li) => {
+    // Skip the "Make sure this fits" helper bullet
+    if ($(li).attr('id') === 'replacementPartsFitmentBullet') return
+    const span = $(li).find('span.a-list-item').first()
+    const text = elementText($, span.length ? span : li)
+    if (text && !bullets.includes(text)) bullets.push(text)
+  })
+  return bullets
+}
+
+/**
+ * Main price: whole, fraction and currency symbol, plus the display string.
+ * Prefers the buy-box price over strike-through list prices.
+ */
+function extractPrice($, marketplace) {
+  const container = $('#corePrice_feature_div, #coreprice_feature_div, #corePriceDisplay_desktop_feature_div, #apex_desktop').first()
+  const priceEl = container.find('.a-price').not('.a-text-price').first()
+
+  if (priceEl.length) {
+    const symbol = cleanText(priceEl.find('.a-price-symbol').first().text())
+    const whole = cleanText(priceEl.find('.a-price-whole').first().text()).replace(/[.,]$/, '')
+    const fraction = cleanText(priceEl.find('.a-price-fraction').first().text())
+    const offscreen = cleanText(priceEl.find('.a-offscreen').first().text())
+    const text = offscreen || (whole ? `${symbol}${whole}${fraction ? '.' + fraction : ''}` : '')
+    if (text) {
+      return {
+        text,
+        whole: whole || null,
+        fraction: fraction || null,
+        symbol: symbol || null,
+        currency: currencyForSymbol(symbol, marketplace)
+      }
+    }
+  }
+
+  // Older layouts put the price straight into a price block span
+  const legacy = cleanText($('#priceblock_ourprice, #priceblock_dealprice, #price_inside_buybox').first().text()) ||
+                 cleanText(container.text())
+  if (!legacy) return null
+  const symbolMatch = legacy.match(/CDN\$|CA\$|US\$|[$£€¥￥]/)
+  return {
+    text: legacy,
+    whole: null,
+    fraction: null,
+    symbol: symbolMatch ? symbolMatch[0] : null,
+    currency: symbolMatch ? currencyForSymbol(symbolMatch[0], marketplace) : null
+  }
+}
+
+/**
+ * Struck-through list/typical price next to the buy-box price, as displayed
+ */
+function extractListPrice($) {
+  const container = $('#corePrice_feature_div, #coreprice_feature_div, #corePriceDisplay_desktop_feature_div, #apex_desktop').first()
+  const text = cleanText(container.find('.a-price.a-text-price .a-offscreen').first().text()) ||
+               cleanText($('#listPrice, #priceblock_listprice').first().text())
+  return text || null
+}
+
+/**
+ * Stock status from the availability block and the buy buttons:
+ * { text, inStock } where inStock is null when the page doesn't say
+ */
+function extractAvailability($) {
+  const text = cleanText($('#availability').first().text()) || cleanText($('#outOfStock').first().text())
+  const hasBuyButton = $('#add-to-cart-button, #buy-now-button').length > 0
+  if (!text && !hasBuyButton && !$('#outOfStock').length) return null
+
+  let inStock = null
+  if ($('#outOfStock').length || /currently unavailable|out of stock|nicht verfügbar|在庫切れ/i.test(text)) {
+    inStock = false
+  } else if (hasBuyButton || /in stock|left in stock|auf lager|在庫あり/i.test(text)) {
+    inStock = true
+  }
+  return { text: text || null, inStock }
+}
+
+/**
+ * Deal badge ("Limited time deal") and the savings percentage shown with the price
+ */
+function extractDeal($) {
+  const badge = cleanText($('#dealBadge_feature_div .a-badge-text, #dealBadge_feature_div, .dealBadge').first().text())
+  const savings = cleanText($('.savingsPercentage').first().text())
+  const percent = savings ? parseInt(savings.replace(/\D/g, ''), 10) : null
+  if (!badge && !Number.isInteger(percent)) return null
+  return { badge: badge || null, savingsPercent: Number.isInteger(percent) ? percent : null }
+}
+
+function extractThumbnail($, marketplace) {
+  const img = $('#imgTagWrapperId img, #landingImage').first()
+  if (!img.length) return null
+  // data-old-hires is the highest quality, data-src the lazy-loaded one, then src;
+  // size suffixes are stripped like the gallery's so both name the same full-size file
+  return normalizeImageUrl(absoluteUrl(img.attr('data-old-hires') || img.attr('data-src') || img.attr('src'), marketplace))
+}
+
+/**
+ * Heading/value pairs from both detail-table layouts and the detail bullet list
+ */
+function extractProductDetails($) {
+  const details = {}
+
+  function add(heading, value, overwrite) {
+    heading = cleanHeading(heading)
+    value = cleanText(value)
+    if (!heading || !value) return
+    if (overwrite || details[heading] === undefined) details[heading] = value
+  }
+
+  // Overview table at the top of the page: <td>heading</td><td>value</td>
+  $('#poExpander table tr, #productOverview_feature_div table tr').each((_, tr) => {
+    const cells = $(tr).children('td')
+    if (cells.length >= 2) add(elementText($, cells[0]), elementText($, cells[1]), false)
+  })
+
+  // Technical details / additional information tables: <th>heading</th><td>value</td>
+  $('#productDetails_feature_div table, #prodDetails table, table.prodDetTable, #productDetails_techSpec_section_1, #productDetails_detailBullets_sections1').find('tr').each((_, tr) => {
+    const th = $(tr).children('th').first()
+    const tds = $(tr).children('td')
+    if (th.length && tds.length) {
+      add(elementText($, th), elementText($, tds[0]), true)
+    } else if (tds.length >= 2) {
+      add(elementText($, tds[0]), elementText($, tds[1]), true)
+    }
+  })
+
+  // Detail bullets: <span class="a-text-bold">Brand :</span> <span>value</span>
+  $('#detailBullets_feature_div li, #detailBulletsWrapper_feature_div li').each((_, li) => {
+    const label = $(li).find('.a-text-bold').first()
+    if (!label.length) return
+    const value = label.nextAll('span').first()
+    add(label.text(), value.length ? elementText($, value) : cleanText($(li).text()).replace(cleanText(label.text()), ''), false)
+  })
+
+  return details
+}
+
+function extractProductDescription($) {
+  const el = $('#productDescription').first()
+  return el.length ? elementText($, el) || null : null
+}
+
+function extractAplus($) {
+  const el = $('#aplus_feature_div, #aplus').first()
+  if (!el.length) return null
+  const text = elementText($, el)
+  if (!text) return null
+  return text.length > MAX_APLUS_LENGTH ? text.slice(0, MAX_APLUS_LENGTH) + '…' : text
+}
+
+/**
+ * Extract clean text from specific Amazon product page sections.
+ * The marketplace is used for relative URLs and variation prices.
+ */
+export function extractProductText(html, { marketplace = DEFAULT_MARKETPLACE } = {}) {
+  const $ = cheerio.load(html)
+  const extracted = {}
+
+  const title = extractTitle($)
+  if (title) extracted.title = title
+
+  const bullets = extractBullets($)
+  if (bullets.length > 0) {
+    extracted.bullets = bullets
+    extracted.description = bullets.join('\n')
+  }
+
+  const price = extractPrice($, marketplace)
+  if (price) {
+    extracted.price = price.text
+    extracted.priceParts = price
+  }
+
+  const listPrice = extractListPrice($)
+  if (listPrice) extracted.listPrice = listPrice
+
+  const availability = extractAvailability($)
+  if (availability) extracted.availability = availability
+
+  const deal = extractDeal($)
+  if (deal) extracted.deal = deal
+
+  const thumbnail = extractThumbnail($, marketplace)
+  if (thumbnail) {
+    extracted.thumbnail = thumbnail
+    console.log('📸 Extracted thumbnail:', thumbnail.substring(0, 100) + '...')
+  }
+
+  const gallery = extractImageGallery($)
+  if (gallery.length > 0) {
+    extracted.gallery = gallery
+    console.log(`🖼️ Extracted ${gallery.length} gallery image(s)`)
+  }
+
+  const variations = extractVariations($, marketplace)
+  if (variations) {
+    extracted.variations = variations
+    console.log(`🧬 Extracted ${variations.children.length} variation(s): ${variations.dimensions.join(', ')}`)
+  }
+
+  const productDetails = extractProductDetails($)
+  if (Object.keys(productDetails).length > 0) extracted.productDetails = productDetails
+
+  const productDescription = extractProductDescription($)
+  if (productDescription) extracted.productDescription = productDescription
+
+  const aplus = extractAplus($)
+  if (aplus) extracted.aplus = aplus
+
+  return extracted
+}
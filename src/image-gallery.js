@@ -0,0 +1,130 @@
+/**
+ * Image gallery extraction from the data Amazon embeds in product pages
+ *
+ * Sources, in order:
+ *   - the ImageBlockATF script: 'colorImages': { 'initial': [{ "hiRes": ..., "large": ..., "variant": "MAIN" }] }
+ *   - twister data: "colorImages": { "<color name>": [...] } for each color/design variation
+ *   - data-a-dynamic-image attributes: { "<url>": [width, height], ... }
+ */
+
+import { findScriptValues, getScriptText, parseObjectLiteral } from './script-data.js'
+
+const IMAGE_ID_PATTERN = /\/images\/I\/([A-Za-z0-9+%-]+)/
+
+/**
+ * Strip Amazon's size/processing suffix so every URL points at the full-size
+ * original: .../I/81abc._AC_SL1500_.jpg -> .../I/81abc.jpg
+ */
+export function normalizeImageUrl(url) {
+  if (!url || typeof url !== 'string') return null
+  let normalized = url.trim()
+  if (normalized.startsWith('//')) normalized = 'https:' + normalized
+  if (!/^https?:\/\//.test(normalized)) return null
+  return normalized.replace(/\.(?:_[^/]*?_\.)+(jpe?g|png|gif|webp)$/i, '.$1')
+}
+
+/**
+ * Amazon image id (the part after /images/I/), used to spot the same image in different sizes
+ */
+export function getImageId(url) {
+  const match = url ? url.match(IMAGE_ID_PATTERN) : null
+  return match ? match[1] : url
+}
+
+function largestDynamicImage(sizes) {
+  let best = null
+  for (const [url, size] of Object.entries(sizes || {})) {
+    const area = Array.isArray(size) ? size[0] * size[1] : 0
+    if (!best || area > best.area) best = { url, area }
+  }
+  return best ? best.url : null
+}
+
+/**
+ * Every colorImages map found in the page scripts, merged: { initial: [...], "<color>": [...] }
+ */
+function findColorImages(scriptText) {
+  const groups = {}
+  for (const parsed of findScriptValues(scriptText, 'colorImages')) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) continue
+    for (const [color, entries] of Object.entries(parsed)) {
+      if (Array.isArray(entries) && !groups[color]) groups[color] = entries
+    }
+  }
+  return groups
+}
+
+/**
+ * Extract the deduplicated gallery from a loaded cheerio document.
+ * Returns [{ url, variant, color }]; color is the variation name the image
+ * belongs to (null for the page's own images).
+ */
+export function extractImageGallery($) {
+  const gallery = []
+  const seen = new Set()
+
+  function add(url, variant = null, color = null) {
+    const normalized = normalizeImageUrl(url)
+    if (!normalized) return
+    const id = getImageId(normalized)
+    if (seen.has(id)) return
+    seen.add(id)
+    gallery.push({ url: normalized, variant, color })
+  }
+
+  const colorImages = findColorImages(getScriptText($))
+
+  // The page's own images first, so MAIN stays at the front
+  const groupNames = Object.keys(colorImages).sort((a, b) => (a === 'initial' ? -1 : b === 'initial' ? 1 : 0))
+  for (const groupName of groupNames) {
+    for (const entry of colorImages[groupName]) {
+      if (!entry || typeof entry !== 'object') continue
+      const url = entry.hiRes || largestDynamicImage(entry.main) || entry.large || entry.thumb
+      add(url, entry.variant || null, groupName === 'initial' ? null : groupName)
+    }
+  }
+
+  $('[data-a-dynamic-image]').each((_, el) => {
+    const sizes = parseObjectLiteral($(el).attr('data-a-dynamic-image') || '')
+    add(largestDynamicImage(sizes))
+  })
+
+  return gallery
+}
+
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+}
+
+/**
+ * Line gallery images up with print names. Images tagged with a variation
+ * name that matches the print name win; when the gallery has exactly one
+ * non-main gallery image per print name, they are assigned in gallery order.
+ * Returns a Map of printName -> image URL (prints without a match are left out).
+ */
+export function matchImagesToPrintNames(printNames, gallery) {
+  const matches = new Map()
+  if (!Array.isArray(printNames) || printNames.length === 0 || !Array.isArray(gallery)) return matches
+
+  const colored = gallery.filter(image => image.color)
+  for (const printName of printNames) {
+    const wanted = normalizeName(printName)
+    if (!wanted) continue
+    const exact = colored.find(image => normalizeName(image.color) === wanted)
+    const partial = exact || colored.find(image => {
+      const color = normalizeName(image.color)
+      return color.includes(wanted) || wanted.includes(color)
+    })
+    if (partial) matches.set(printName, partial.url)
+  }
+
+  if (matches.size === 0) {
+    // Only the page's own colorImages entries have a variant; attribute-only images are left out
+    const pageImages = gallery.filter(image => !image.color && image.variant && image.variant !== 'MAIN')
+    if (pageImages.length === printNames.length) {
+      printNames.forEach((printName, index) => matches.set(printName, pageImages[index].url))
+    }
+  }
+
+  return matches
+}
@@ -0,0 +1,201 @@
+/**
+ * Inventory exports of stored products
+ *
+ * Formats:
+ *   csv   one row per roll (one row for products without rolls), parent product columns repeated
+ *   jsonl one JSON object per product, for batch imports
+ *   rolls the roll-tracking format: one entry per physical roll with stable ids and pairings
+ *
+ * CSV columns are a mapping of header -> field path, e.g.
+ *   { "SKU": "asin", "Design": "roll.printName", "Sq Ft": "roll.onHand", "Parsed": "parse.parsedAt" }
+ * Bare paths read the product (including nested ones like "measurements.areaPerRoll.value"),
+ * `roll.*` the roll of the row, `parse.*` the stored parse, `reviewed` whether a correction was applied.
+ */
+
+import fs from 'fs'
+import axios from 'axios'
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  rolls: { contentType: 'application/json', extension: 'json' }
+}
+
+export const DEFAULT_COLUMNS = {
+  'ASIN': 'asin',
+  'Title': 'title',
+  'Type': 'type',
+  'Brand': 'brand',
+  'Price': 'price',
+  'Currency': 'currency',
+  'Marketplace': 'marketplace',
+  'Quantity': 'quantity',
+  'Size': 'size',
+  'Roll Width (in)': 'rollWidth',
+  'Roll Length (ft)': 'rollLength',
+  'URL': 'url',
+  'Parsed At': 'parse.parsedAt',
+  'Reviewed': 'reviewed',
+  'Roll Number': 'roll.rollNumber',
+  'Print Name': 'roll.printName',
+  'Back Print Name': 'roll.backPrintName',
+  'On Hand (sqft)': 'roll.onHand',
+  'Max Area (sqft)': 'roll.maxArea',
+  'Reverse Side': 'roll.hasReverseSide',
+  'Reverse Type': 'roll.reverseType',
+  'Paired Roll Number': 'roll.pairedRollNumber',
+  'Roll Image': 'roll.image'
+}
+
+// Version of the roll-tracking format; bump when its shape changes
+const ROLL_TRACKING_VERSION = 2
+
+/**
+ * Check a header -> field path mapping. Throws with a readable message when it is malformed.
+ */
+export function normalizeColumns(columns) {
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns) || Object.keys(columns).length === 0) {
+    throw new Error('columns must be an object mapping CSV headers to field paths')
+  }
+  for (const [header, fieldPath] of Object.entries(columns)) {
+    if (typeof fieldPath !== 'string' || !/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(fieldPath)) {
+      throw new Error(`Column "${header}" must map to a field path such as "title" or "roll.printName"`)
+    }
+  }
+  return { ...columns }
+}
+
+/**
+ * Column mapping from a JSON file ({ "Header": "field.path", ... }), or the defaults without one
+ */
+export function loadColumnMapping(file) {
+  if (!file) return DEFAULT_COLUMNS
+  const mapping = JSON.parse(fs.readFileSync(file, 'utf8'))
+  return normalizeColumns(mapping.columns || mapping)
+}
+
+function getPath(value, fieldPath) {
+  return fieldPath.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value)
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return ''
+  if (Array.isArray(value)) return value.map(formatCell).join('; ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function escapeCsv(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(entries, columns) {
+  const headers = Object.keys(columns)
+  const lines = [headers.map(escapeCsv).join(',')]
+  let rows = 0
+  for (const entry of entries) {
+    const rolls = Array.isArray(entry.product.rolls) && entry.product.rolls.length > 0 ? entry.product.rolls : [null]
+    for (const roll of rolls) {
+      const context = { ...entry.product, roll, parse: entry.parse, reviewed: entry.reviewed }
+      lines.push(headers.map(header => escapeCsv(formatCell(getPath(context, columns[header])))).join(','))
+      rows++
+    }
+  }
+  return { body: lines.join('\r\n') + '\r\n', rows }
+}
+
+function toJsonLines(entries) {
+  const lines = entries.map(entry => JSON.stringify({
+    asin: entry.product.asin,
+    parseId: entry.parse.id,
+    parsedAt: entry.parse.parsedAt,
+    reviewed: entry.reviewed,
+    correctionId: entry.correctionId,
+    product: entry.product
+  }))
+  return { body: lines.length ? lines.join('\n') + '\n' : '', rows: lines.length }
+}
+
+/**
+ * One entry per roll, keyed "<ASIN>-<rollNumber>" so pairings survive across products
+ */
+function toRollTracking(entries, exportedAt) {
+  const rolls = []
+  for (const { product, parse, reviewed } of entries) {
+    for (const roll of Array.isArray(product.rolls) ? product.rolls : []) {
+      rolls.push({
+        id: `${product.asin}-${roll.rollNumber}`,
+        asin: product.asin,
+        rollNumber: roll.rollNumber,
+        printName: roll.printName,
+        backPrintName: roll.backPrintName ?? null,
+        onHandSqft: roll.onHand,
+        maxAreaSqft: roll.maxArea,
+        reverseType: roll.reverseType ?? null,
+        hasReverseSide: roll.hasReverseSide,
+        pairedRollId: roll.pairedRollNumber === null || roll.pairedRollNumber === undefined
+          ? null
+          : `${product.asin}-${roll.pairedRollNumber}`,
+        image: roll.image,
+        product: {
+          title: product.title,
+          brand: product.brand,
+          type: product.type,
+          url: product.url,
+          price: product.price,
+          currency: product.currency || null,
+          rollWidthIn: product.rollWidth ?? null,
+          rollLengthFt: product.rollLength ?? null
+        },
+        parseId: parse.id,
+        reviewed
+      })
+    }
+  }
+  const payload = { format: 'roll-tracking', version: ROLL_TRACKING_VERSION, exportedAt, rolls }
+  return { body: JSON.stringify(payload, null, 2), rows: rolls.length }
+}
+
+/**
+ * Render export entries ({ product, parse, reviewed, correctionId }) in a format.
+ * Returns { format, contentType, filename, body, products, rows }.
+ */
+export function buildExport(entries, { format = 'csv', columns = DEFAULT_COLUMNS, exportedAt = new Date() } = {}) {
+  const spec = EXPORT_FORMATS[format]
+  if (!spec) {
+    throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+  }
+  const stamp = exportedAt.toISOString()
+  const { body, rows } = format === 'csv'
+    ? toCsv(entries, columns)
+    : format === 'jsonl' ? toJsonLines(entries) : toRollTracking(entries, stamp)
+  return {
+    format,
+    contentType: spec.contentType,
+    filename: `inventory-${stamp.slice(0, 10)}.${spec.extension}`,
+    body,
+    products: entries.length,
+    rows
+  }
+}
+
+/**
+ * POST an export to a webhook. Returns the receiver's HTTP status; throws when it fails.
+ */
+export async function pushExport(url, exported, { timeoutMs = 30000 } = {}) {
+  const response = await axios.post(url, exported.body, {
+    headers: {
+      'Content-Type': exported.contentType,
+      'X-Export-Format': exported.format,
+      'X-Export-Products': String(exported.products)
+    },
+    timeout: timeoutMs,
+    // Send the body exactly as rendered
+    transformRequest: [data => data],
+    validateStatus: () => true
+  })
+  if (response.status >= 400) {
+    throw new Error(`Webhook responded with HTTP ${response.status}`)
+  }
+  return { status: response.status }
+}
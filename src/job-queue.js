@@ -0,0 +1,125 @@
+/**
+ * In-memory job queue for batch parsing
+ */
+
+import { randomUUID } from 'crypto'
+
+/**
+ * Create a job queue that runs item tasks with a shared concurrency limit.
+ * Every job across the queue competes for the same slots, so the limit
+ * caps how many requests hit the Ollama client at once.
+ */
+export function createJobQueue({ concurrency = 2, maxJobs = 100 } = {}) {
+  const jobs = new Map()
+  const pending = []
+  let running = 0
+
+  function pump() {
+    while (running < concurrency && pending.length > 0) {
+      const { job, item, task } = pending.shift()
+      running++
+      item.status = 'running'
+      item.startedAt = new Date().toISOString()
+      refreshJobStatus(job)
+
+      Promise.resolve()
+        .then(() => task(item.input))
+        .then((result) => {
+          item.status = 'succeeded'
+          item.result = result
+        })
+        .catch((error) => {
+          // Keep going - a failed item must not discard its siblings' results
+          item.status = 'failed'
+          item.error = error.message || String(error)
+          item.errorCode = error.code || null
+          console.warn(`⚠️ Batch item ${job.id}#${item.index} failed:`, item.error)
+        })
+        .finally(() => {
+          item.finishedAt = new Date().toISOString()
+          running--
+          refreshJobStatus(job)
+          pump()
+        })
+    }
+  }
+
+  function refreshJobStatus(job) {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 }
+    for (const item of job.items) {
+      counts[item.status]++
+    }
+    job.counts = counts
+
+    if (counts.queued + counts.running > 0) {
+      job.status = counts.queued === job.items.length ? 'queued' : 'running'
+    } else if (counts.failed === 0) {
+      job.status = 'completed'
+    } else if (counts.succeeded === 0) {
+      job.status = 'failed'
+    } else {
+      job.status = 'partial'
+    }
+
+    if (!job.finishedAt && (job.status === 'completed' || job.status === 'failed' || job.status === 'partial')) {
+      job.finishedAt = new Date().toISOString()
+    }
+  }
+
+  function evictFinishedJobs() {
+    // Drop the oldest finished jobs once we're over the retention limit
+    if (jobs.size < maxJobs) return
+    for (const [id, job] of jobs) {
+      if (jobs.size < maxJobs) break
+      if (job.finishedAt) jobs.delete(id)
+    }
+  }
+
+  /**
+   * Queue a job with one task invocation per input.
+   * Returns the job record immediately; items run in the background.
+   */
+  function enqueue(inputs, task) {
+    evictFinishedJobs()
+
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      counts: null,
+      items: inputs.map((input, index) => ({
+        index,
+        input,
+        status: 'queued',
+        result: null,
+        error: null,
+        errorCode: null,
+        startedAt: null,
+        finishedAt: null
+      }))
+    }
+
+    jobs.set(job.id, job)
+    refreshJobStatus(job)
+
+    for (const item of job.items) {
+      pending.push({ job, item, task })
+    }
+    pump()
+
+    return job
+  }
+
+  function getJob(id) {
+    return jobs.get(id) || null
+  }
+
+  return {
+    enqueue,
+    getJob,
+    get concurrency() {
+      return concurrency
+    }
+  }
+}
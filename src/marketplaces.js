@@ -0,0 +1,125 @@
+/**
+ * Amazon marketplaces: host, request locale, currency and number format
+ *
+ * A marketplace comes from the explicit `marketplace` input, otherwise from
+ * the URL host, otherwise it is amazon.com.
+ */
+
+export const MARKETPLACES = {
+  us: {
+    id: 'us',
+    domain: 'amazon.com',
+    currency: 'USD',
+    acceptLanguage: 'en-US,en;q=0.9',
+    decimalSeparator: '.'
+  },
+  uk: {
+    id: 'uk',
+    domain: 'amazon.co.uk',
+    currency: 'GBP',
+    acceptLanguage: 'en-GB,en;q=0.9',
+    decimalSeparator: '.'
+  },
+  de: {
+    id: 'de',
+    domain: 'amazon.de',
+    currency: 'EUR',
+    acceptLanguage: 'de-DE,de;q=0.9,en;q=0.8',
+    decimalSeparator: ','
+  },
+  ca: {
+    id: 'ca',
+    domain: 'amazon.ca',
+    currency: 'CAD',
+    acceptLanguage: 'en-CA,en;q=0.9,fr-CA;q=0.8',
+    decimalSeparator: '.'
+  },
+  jp: {
+    id: 'jp',
+    domain: 'amazon.co.jp',
+    currency: 'JPY',
+    acceptLanguage: 'ja-JP,ja;q=0.9,en;q=0.8',
+    decimalSeparator: '.'
+  }
+}
+
+export const DEFAULT_MARKETPLACE = MARKETPLACES.us
+
+/**
+ * Look up a marketplace by id ("uk") or domain ("amazon.co.uk"), or null
+ */
+export function getMarketplace(idOrDomain) {
+  if (!idOrDomain || typeof idOrDomain !== 'string') return null
+  const key = idOrDomain.trim().toLowerCase()
+  if (MARKETPLACES[key]) return MARKETPLACES[key]
+  return Object.values(MARKETPLACES).find(marketplace => marketplace.domain === key.replace(/^www\./, '')) || null
+}
+
+/**
+ * Marketplace for an Amazon URL, from its host.
+ * Returns null for non-Amazon hosts; throws for Amazon stores we don't support.
+ */
+export function detectMarketplace(url) {
+  let hostname
+  try {
+    hostname = new URL(url).hostname.toLowerCase()
+  } catch (error) {
+    return null
+  }
+
+  const match = hostname.match(/(?:^|\.)(amazon\.[a-z.]+)$/)
+  if (!match) return null
+
+  const marketplace = getMarketplace(match[1])
+  if (!marketplace) {
+    throw new Error(`Unsupported Amazon marketplace: ${match[1]}. Supported: ${Object.keys(MARKETPLACES).join(', ')}`)
+  }
+  return marketplace
+}
+
+/**
+ * Pick the marketplace for a request: explicit input first, then the URL host, then amazon.com
+ */
+export function resolveMarketplace({ marketplace = null, url = null } = {}) {
+  if (marketplace) {
+    const explicit = typeof marketplace === 'object' ? marketplace : getMarketplace(marketplace)
+    if (!explicit) {
+      throw new Error(`Unknown marketplace "${marketplace}". Supported: ${Object.keys(MARKETPLACES).join(', ')}`)
+    }
+    return explicit
+  }
+  return (url && detectMarketplace(url)) || DEFAULT_MARKETPLACE
+}
+
+/**
+ * https://www.amazon.<tld>
+ */
+export function getOrigin(marketplace = DEFAULT_MARKETPLACE) {
+  return `https://www.${marketplace.domain}`
+}
+
+/**
+ * Canonical product page URL for an ASIN in a marketplace
+ */
+export function getProductUrl(asin, marketplace = DEFAULT_MARKETPLACE) {
+  return `${getOrigin(marketplace)}/dp/${asin}`
+}
+
+/**
+ * Parse the first amount in a price string using the marketplace's decimal
+ * separator: "12,99 €" (de) -> 12.99, "£1,234.50" (uk) -> 1234.5, "￥1,280" (jp) -> 1280
+ */
+export function parseLocalizedPrice(text, marketplace = DEFAULT_MARKETPLACE) {
+  if (!text) return null
+  const match = String(text).match(/\d{1,3}(?:[.,\s\u00a0\u202f]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?/)
+  if (!match) return null
+
+  const decimal = marketplace.decimalSeparator
+  let number = match[0].replace(/[\s\u00a0\u202f]/g, '')
+  number = decimal === ','
+    ? number.replace(/\./g, '').replace(',', '.')
+    : number.replace(/,/g, '')
+
+  const value = parseFloat(number)
+  return Number.isFinite(value) ? value : null
+}
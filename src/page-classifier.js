@@ -0,0 +1,103 @@
+/**
+ * Classify fetched HTML before any extraction or model call
+ *
+ * Uses structural markers (forms, element ids, Amazon's error-page links)
+ * rather than words like "robot" or "captcha", which also appear in the
+ * scripts of ordinary product pages.
+ */
+
+import * as cheerio from 'cheerio'
+import { cleanText } from './text.js'
+
+export const PAGE_TYPES = ['product', 'listing', 'captcha', 'not_found', 'sign_in', 'region_unavailable', 'unknown']
+
+const CAPTCHA_MARKERS = [
+  'form[action*="validateCaptcha"]',
+  '#captchacharacters',
+  'input[name="amzn-captcha-submit"]'
+]
+
+const SIGN_IN_MARKERS = [
+  'form[name="signIn"]',
+  'form[action*="/ap/signin"]',
+  '#ap_email',
+  '#ap_password'
+]
+
+// The "Dogs of Amazon" 404 page
+const NOT_FOUND_MARKERS = [
+  'a[href*="ref=cs_404"]',
+  'img[alt*="Dogs of Amazon"]',
+  'img[src*="/error-pages/"]'
+]
+
+const PRODUCT_MARKERS = [
+  '#productTitle',
+  '#dp-container',
+  '#ppd',
+  '#title_feature_div'
+]
+
+// Search results, best-seller lists and brand storefronts: many products, no buy box
+const LISTING_MARKERS = [
+  '[data-component-type="s-search-result"]',
+  '.s-main-slot',
+  '#gridItemRoot',
+  '.zg-grid-general-faceout',
+  '#zg-ordered-list',
+  'link[rel="canonical"][href*="/stores/"]'
+]
+
+// Shown instead of the buy box when the item does not ship to the visitor's location
+const REGION_MARKERS = [
+  '#exports_desktop_undeliverable_buybox',
+  '#exports_desktop_undeliverable_buybox_priceInsideBuybox'
+]
+
+const REGION_TEXT = /cannot be shipped to your selected (?:delivery )?location|not available (?:for purchase )?in your (?:country|region)/i
+
+function matchingMarkers($, selectors) {
+  return selectors.filter(selector => $(selector).length > 0)
+}
+
+/**
+ * Label a page as product, listing, captcha, not_found, sign_in, region_unavailable or unknown.
+ * Returns { type, signals } where signals are the markers that decided it.
+ */
+export function classifyPage(html) {
+  if (!html || typeof html !== 'string') {
+    return { type: 'unknown', signals: [] }
+  }
+
+  const $ = cheerio.load(html)
+  const title = cleanText($('title').first().text())
+
+  const captcha = matchingMarkers($, CAPTCHA_MARKERS)
+  if (captcha.length > 0) return { type: 'captcha', signals: captcha }
+
+  const product = matchingMarkers($, PRODUCT_MARKERS)
+  const listing = product.length === 0 ? matchingMarkers($, LISTING_MARKERS) : []
+  const hasContent = product.length > 0 || listing.length > 0
+
+  // A sign-in form on a product or listing page is just the header flyout
+  const signIn = matchingMarkers($, SIGN_IN_MARKERS)
+  if (signIn.length > 0 && !hasContent) return { type: 'sign_in', signals: signIn }
+
+  const notFound = matchingMarkers($, NOT_FOUND_MARKERS)
+  if (/page not found/i.test(title)) notFound.push('title')
+  if (notFound.length > 0 && !hasContent) return { type: 'not_found', signals: notFound }
+
+  if (product.length > 0) {
+    const region = matchingMarkers($, REGION_MARKERS)
+    const availability = cleanText($('#availability, #outOfStock').text())
+    if (REGION_TEXT.test(availability)) region.push('#availability')
+    // Without a price there is nothing to buy here - the region block hides the buy box
+    const hasPrice = $('#corePrice_feature_div .a-price, #corePriceDisplay_desktop_feature_div .a-price, #priceblock_ourprice').length > 0
+    if (region.length > 0 && !hasPrice) return { type: 'region_unavailable', signals: region }
+    return { type: 'product', signals: product }
+  }
+
+  if (listing.length > 0) return { type: 'listing', signals: listing }
+
+  return { type: 'unknown', signals: [] }
+}
@@ -0,0 +1,154 @@
+/**
+ * Pages rendered by the user's browser instead of fetched by the server
+ *
+ * Accepted bodies:
+ *   HTML         the DOM the bookmarklet / extension serialized, or a saved .html file
+ *   gzip         any of these compressed (.gz, or Content-Encoding: gzip, which Express inflates)
+ *   MHTML        "Save page as > Webpage, single file" archives (.mhtml / .mht); the first
+ *                text/html part is the page and Snapshot-Content-Location its URL
+ */
+
+import zlib from 'zlib'
+import { extractAsin } from './amazon-fetcher.js'
+import { ParseError } from './errors.js'
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/
+
+/**
+ * Charset declared by a <meta> tag in the first bytes of a page, or null
+ */
+function sniffCharset(bytes) {
+  const head = bytes.subarray(0, 4096).toString('latin1')
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)
+  return match ? match[1] : null
+}
+
+function decodeText(bytes, charset = null) {
+  const label = charset || sniffCharset(bytes) || 'utf-8'
+  try {
+    return new TextDecoder(label).decode(bytes)
+  } catch (error) {
+    // Unknown label: Amazon serves UTF-8 everywhere these days
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+}
+
+/**
+ * MIME header block as a lowercase name -> value map, with folded lines joined
+ */
+function parseHeaders(block) {
+  const headers = {}
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':')
+    if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+  }
+  return headers
+}
+
+function headerParam(value, name) {
+  const match = (value || '').match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'))
+  return match ? match[1] ?? match[2] : null
+}
+
+/**
+ * Split a latin1 string at its first blank line into [headers, body]
+ */
+function splitAtBlankLine(text) {
+  const match = text.match(/\r?\n\r?\n/)
+  if (!match) return [text, '']
+  return [text.slice(0, match.index), text.slice(match.index + match[0].length)]
+}
+
+function decodeQuotedPrintable(text) {
+  const joined = text.replace(/=\r?\n/g, '')
+  const bytes = []
+  for (let index = 0; index < joined.length; index++) {
+    const hex = joined[index] === '=' ? joined.slice(index + 1, index + 3) : ''
+    if (/^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16))
+      index += 2
+    } else {
+      bytes.push(joined.charCodeAt(index) & 0xff)
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+function isMhtml(bytes, contentType) {
+  if (/multipart\/related|message\/rfc822/i.test(contentType || '')) return true
+  const [headers] = splitAtBlankLine(bytes.subarray(0, 8192).toString('latin1'))
+  return /^(?:from|mime-version|snapshot-content-location|subject|date|content-type)\s*:/im.test(headers) &&
+    /content-type\s*:\s*multipart\/related/i.test(headers)
+}
+
+/**
+ * The page in an MHTML archive: { html, url }
+ */
+function readMhtml(bytes) {
+  const [headerBlock, body] = splitAtBlankLine(bytes.toString('latin1'))
+  const headers = parseHeaders(headerBlock)
+  const boundary = headerParam(headers['content-type'], 'boundary')
+  if (!boundary) {
+    throw new ParseError('INVALID_UPLOAD', 'The MHTML file has no multipart boundary')
+  }
+
+  for (const part of body.split(`--${boundary}`).slice(1)) {
+    if (part.startsWith('--')) break
+    // The line break before each boundary belongs to the boundary
+    const [partHeaderBlock, partBody] = splitAtBlankLine(part.replace(/^\r?\n/, '').replace(/\r?\n$/, ''))
+    const partHeaders = parseHeaders(partHeaderBlock)
+    if (!/^text\/html/i.test(partHeaders['content-type'] || '')) continue
+
+    const encoding = (partHeaders['content-transfer-encoding'] || '').toLowerCase()
+    const content = encoding === 'base64'
+      ? Buffer.from(partBody, 'base64')
+      : encoding === 'quoted-printable'
+        ? decodeQuotedPrintable(partBody)
+        : Buffer.from(partBody, 'latin1')
+    return {
+      html: decodeText(content, headerParam(partHeaders['content-type'], 'charset')),
+      url: headers['snapshot-content-location'] || partHeaders['content-location'] || null
+    }
+  }
+  throw new ParseError('INVALID_UPLOAD', 'The MHTML file has no HTML part')
+}
+
+/**
+ * Decode an uploaded page. Gzip is unpacked first (up to maxBytes), then the
+ * result is read as MHTML or HTML. Returns { html, url, format, compressed }
+ * where url is the page address recorded in an MHTML archive, if any.
+ */
+export function readUploadedPage(bytes, { contentType = '', maxBytes = Infinity } = {}) {
+  let content = bytes
+  let compressed = false
+  if (content[0] === 0x1f && content[1] === 0x8b) {
+    try {
+      content = zlib.gunzipSync(content, { maxOutputLength: Number.isFinite(maxBytes) ? maxBytes : undefined })
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE' || error instanceof RangeError) {
+        throw new ParseError('UPLOAD_TOO_LARGE')
+      }
+      throw new ParseError('INVALID_UPLOAD', `The upload looks gzip-compressed but could not be unpacked: ${error.message}`)
+    }
+    compressed = true
+  }
+
+  const page = isMhtml(content, contentType)
+    ? { ...readMhtml(content), format: 'mhtml' }
+    : { html: decodeText(content), url: null, format: 'html' }
+  if (!/<(?:!doctype\s+html|html|body)\b/i.test(page.html.slice(0, 65536))) {
+    throw new ParseError('INVALID_UPLOAD')
+  }
+  return { ...page, compressed }
+}
+
+/**
+ * ASIN of an uploaded product page from its ASIN form field or canonical link, or null
+ */
+export function findPageAsin(html) {
+  const input = html.match(/<input[^>]*(?:id|name)=["']ASIN["'][^>]*value=["']([A-Z0-9]{10})["']/i)
+  if (input) return input[1]
+  const canonical = html.match(/<link[^>]*rel=["']canonical["'][^>]*href=["']([^"']+)["']/i)
+  const asin = canonical ? extractAsin(canonical[1]) : null
+  return asin && ASIN_PATTERN.test(asin) ? asin : null
+}
@@ -1,178 +1,409 @@
 /**
- * Main parser logic using Ollama
+ * Main parser logic: page fetch and extraction, then the LLM for what the page doesn't state outright
  */
 
-import { Ollama } from 'ollama'
-import { createParsePrompt, validateProductData } from './schema.js'
+import { createHash } from 'crypto'
+import {
+  createParsePrompt,
+  createProductSchema,
+  createReaskPrompt,
+  createResponseSchema,
+  createTypePrompt,
+  createTypeResponseSchema,
+  PROMPT_VERSION,
+  shapeProductData,
+  validateAgainstSchema,
+  validateProductData
+} from './schema.js'
+import { detectProfile, getProfile } from './profiles/index.js'
+import { parseMeasurement } from './units.js'
 import { fetchAmazonPage, extractAsin } from './amazon-fetcher.js'
+import { extractProductText } from './html-extractor.js'
+import { getProductUrl, resolveMarketplace } from './marketplaces.js'
+import { extractRuleBasedFields } from './rule-extractor.js'
+import { parseJsonWithRepair } from './json-repair.js'
+import { classifyPage } from './page-classifier.js'
+import { createCancelledError, createPageTypeError, ParseError } from './errors.js'
+import { buildVariationList } from './variations.js'
+import { assessConfidence } from './confidence.js'
+import { createVisionPrompt, createVisionResponseSchema, loadImage, mergeVisionRolls, needsVisionPass, VISION_PROMPT_VERSION } from './vision.js'
+import { createReviewSummaryPrompt, createReviewSummarySchema, extractReviews, normalizeReviewSummary, REVIEW_PROMPT_VERSION } from './reviews.js'
+
+// Structured outputs need Ollama 0.5+; set OLLAMA_STRUCTURED_OUTPUT=false for older servers/models
+const STRUCTURED_OUTPUT = process.env.OLLAMA_STRUCTURED_OUTPUT !== 'false'
+const SCHEMA_RETRIES = Number.isInteger(parseInt(process.env.OLLAMA_SCHEMA_RETRIES, 10))
+  ? parseInt(process.env.OLLAMA_SCHEMA_RETRIES, 10)
+  : 2
+
+// Per model request; 0 disables the timeout
+const MODEL_TIMEOUT_MS = Number.isInteger(parseInt(process.env.LLM_TIMEOUT_MS, 10))
+  ? parseInt(process.env.LLM_TIMEOUT_MS, 10)
+  : 300000
+
+// Reviewer corrections of similar products added to the prompt; 0 disables them
+const FEW_SHOT_EXAMPLES = Number.isInteger(parseInt(process.env.FEW_SHOT_EXAMPLES, 10))
+  ? parseInt(process.env.FEW_SHOT_EXAMPLES, 10)
+  : 2
+
+// Result keys that describe the parse rather than the product
+const META_FIELDS = ['fieldSources', 'measurements', 'warnings', 'fetch', 'confidence', 'evidence', 'needsReview', 'reviewReasons', 'vision']
+
+// Gallery images sent to the vision model, MAIN first
+const VISION_MAX_IMAGES = parseInt(process.env.VISION_MAX_IMAGES, 10) || 6
+
+// Errors that move on to the next model in the fallback chain
+const FALLBACK_ERROR_CODES = ['MODEL_TIMEOUT', 'INVALID_MODEL_OUTPUT']
+
+const GENERATE_OPTIONS = {
+  temperature: 0.1, // Low temperature for more deterministic output
+  top_p: 0.9,
+}
 
 /**
- * Initialize Ollama client with longer timeout
+ * Abort when either the caller cancels or the model takes longer than timeoutMs.
+ * Returns { signal, timedOut(), clear() }.
  */
-export function createOllamaClient(host) {
-  // Ollama client with default settings
-  // The timeout is handled by the underlying HTTP client
-  // If timeout errors occur, they're handled in the catch block
-  return new Ollama({ host })
+function createRequestSignal(signal, timeoutMs) {
+  const controller = new AbortController()
+  let timedOut = false
+  const abort = () => controller.abort()
+  if (signal) {
+    if (signal.aborted) controller.abort()
+    signal.addEventListener('abort', abort, { once: true })
+  }
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, timeoutMs)
+    : null
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    clear() {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', abort)
+    }
+  }
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw createCancelledError()
 }
 
 /**
- * Extract clean text from specific Amazon product page sections
+ * Run one provider request and return the response text. Tokens are
+ * reported as they arrive; a cancel or a timeout stops waiting right away,
+ * even if the backend is still loading the model.
  */
-function extractProductText(html) {
-  const extracted = {}
-  
-  // 1. Extract product title
-  const titleMatch = html.match(/<[^>]*id=["']productTitle["'][^>]*>([^<]+)</i) ||
-                    html.match(/<h1[^>]*id=["']title["'][^>]*>([^<]+)</i)
-  if (titleMatch) {
-    extracted.title = titleMatch[1].trim()
-  }
-  
-  // 2. Extract feature bullets (description) - find ul, loop through li, extract span text
-  const featureBulletsDiv = html.match(/<div[^>]*id=["']featurebullets_feature_div["'][^>]*>([\s\S]*?)<\/div>/i)
-  if (featureBulletsDiv) {
-    const ulMatch = featureBulletsDiv[1].match(/<ul[^>]*>([\s\S]*?)<\/ul>/i)
-    if (ulMatch) {
-      const liMatches = [...ulMatch[1].matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi)]
-      extracted.description = liMatches
-        .map(li => {
-          // Extract text from span inside li
-          const spanMatch = li[1].match(/<span[^>]*>([\s\S]*?)<\/span>/i)
-          return spanMatch ? spanMatch[1].replace(/<[^>]+>/g, '').trim() : li[1].replace(/<[^>]+>/g, '').trim()
-        })
-        .filter(text => text.length > 0)
-        .join('\n')
+async function generateText(provider, request, { emit, signal } = {}) {
+  throwIfCancelled(signal)
+  const requestSignal = createRequestSignal(signal, MODEL_TIMEOUT_MS)
+  const stopped = new Promise((resolve, reject) => {
+    requestSignal.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true })
+  })
+  stopped.catch(() => {})
+  
+  try {
+    return await Promise.race([
+      provider.generate({
+        ...request,
+        signal: requestSignal.signal,
+        onToken: emit ? (text) => emit('model:token', { text }) : null
+      }),
+      stopped
+    ])
+  } catch (error) {
+    throwIfCancelled(signal)
+    if (requestSignal.timedOut()) {
+      throw new ParseError('MODEL_TIMEOUT', `${request.model} did not answer within ${MODEL_TIMEOUT_MS / 1000}s`)
     }
+    if (error instanceof ParseError || error.code === 'FORMAT_UNSUPPORTED') throw error
+    throw new Error(`${provider.name} provider error: ${error.message}`)
+  } finally {
+    requestSignal.clear()
   }
+}
+
+/**
+ * Ask for JSON constrained by the response schema, re-asking with the
+ * validation errors until the output validates or the retry budget runs out.
+ * `images` (base64) go with every attempt.
+ */
+async function generateStructured(provider, model, prompt, responseSchema, progress = {}, images = null) {
+  const emit = progress.emit || (() => {})
+  let currentPrompt = prompt
+  let errors = []
   
-  // 3. Extract price from coreprice_feature_div
-  const priceDiv = html.match(/<div[^>]*id=["']coreprice_feature_div["'][^>]*>([\s\S]*?)<\/div>/i)
-  if (priceDiv) {
-    // Extract price text (remove HTML tags)
-    extracted.price = priceDiv[1].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()
-  }
-  
-  // 3.5. Extract thumbnail image from imgTagWrapperId
-  const imgWrapperDiv = html.match(/<div[^>]*id=["']imgTagWrapperId["'][^>]*>([\s\S]*?)<\/div>/i)
-  if (imgWrapperDiv) {
-    // Find img element within this div - check data-old-hires (highest quality), then data-src, then src
-    const imgMatch = imgWrapperDiv[1].match(/<img[^>]*>/i)
-    if (imgMatch) {
-      // Try data-old-hires first (highest quality), then data-src (lazy loading), then src
-      const dataOldHiresMatch = imgMatch[0].match(/data-old-hires=["']([^"']+)["']/i)
-      const dataSrcMatch = imgMatch[0].match(/data-src=["']([^"']+)["']/i)
-      const srcMatch = imgMatch[0].match(/src=["']([^"']+)["']/i)
-      const imgSrc = (dataOldHiresMatch && dataOldHiresMatch[1]) || 
-                     (dataSrcMatch && dataSrcMatch[1]) || 
-                     (srcMatch && srcMatch[1])
-      
-      if (imgSrc) {
-        let finalImgSrc = imgSrc
-        // Ensure it's a full URL (Amazon sometimes uses relative URLs)
-        if (finalImgSrc.startsWith('//')) {
-          finalImgSrc = 'https:' + finalImgSrc
-        } else if (finalImgSrc.startsWith('/')) {
-          finalImgSrc = 'https://www.amazon.com' + finalImgSrc
-        }
-        extracted.thumbnail = finalImgSrc
-        console.log('📸 Extracted thumbnail from imgTagWrapperId:', finalImgSrc.substring(0, 100) + '...')
-      }
+  for (let attempt = 1; attempt <= SCHEMA_RETRIES + 1; attempt++) {
+    emit('model:start', { model, attempt, structured: true })
+    const responseText = await generateText(provider, {
+      model,
+      prompt: currentPrompt,
+      format: responseSchema,
+      images,
+      options: GENERATE_OPTIONS
+    }, progress)
+    emit('model:done', { attempt, characters: responseText.length })
+    console.log(`✅ Received response from ${provider.name} (${responseText.length} characters, attempt ${attempt})`)
+    // Only log full response in development mode to avoid cluttering logs
+    if (process.env.NODE_ENV === 'development') {
+      console.log('📝 Raw model response (full):', responseText)
+    }
+    
+    let data
+    try {
+      data = JSON.parse(responseText)
+      errors = validateAgainstSchema(data, responseSchema)
+    } catch (parseError) {
+      errors = [`response is not valid JSON (${parseError.message})`]
     }
+    
+    if (errors.length === 0) {
+      return data
+    }
+    
+    console.warn(`⚠️ Response failed schema validation (attempt ${attempt}/${SCHEMA_RETRIES + 1}):`, errors)
+    emit('model:invalid', { attempt, errors })
+    currentPrompt = createReaskPrompt(prompt, responseText, errors)
   }
   
-  // 4. Extract table data from poExpander (heading: value pairs)
-  const poExpander = html.match(/<div[^>]*id=["']poExpander["'][^>]*>([\s\S]*?)<\/div>/i)
-  if (poExpander) {
-    const tableMatch = poExpander[1].match(/<table[^>]*>([\s\S]*?)<\/table>/i)
-    if (tableMatch) {
-      const trMatches = [...tableMatch[1].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)]
-      extracted.productDetails = {}
-      for (const tr of trMatches) {
-        const tdMatches = [...tr[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)]
-        if (tdMatches.length >= 2) {
-          const heading = tdMatches[0][1].replace(/<[^>]+>/g, '').trim()
-          const value = tdMatches[1][1].replace(/<[^>]+>/g, '').trim()
-          if (heading && value) {
-            extracted.productDetails[heading] = value
-          }
-        }
-      }
+  throw new ParseError('INVALID_MODEL_OUTPUT', `${model} output did not match the product schema after ${SCHEMA_RETRIES + 1} attempt(s): ${errors.join('; ')}`)
+}
+
+/**
+ * Get the product JSON from the model, using structured outputs when available
+ * and the legacy free-text repair path otherwise
+ */
+async function generateProductJson(provider, model, prompt, responseSchema, progress = {}, images = null) {
+  const emit = progress.emit || (() => {})
+  if (STRUCTURED_OUTPUT) {
+    try {
+      return await generateStructured(provider, model, prompt, responseSchema, progress, images)
+    } catch (error) {
+      if (error.code !== 'FORMAT_UNSUPPORTED') throw error
+      console.warn(`⚠️ Structured output not supported (${error.message}), falling back to JSON repair`)
     }
   }
   
-  // 5. Extract table data from productDetails_feature_div (primary location for product details table)
-  const productDetailsFeatureDiv = html.match(/<div[^>]*id=["']productDetails_feature_div["'][^>]*>([\s\S]*?)<\/div>/i)
-  if (productDetailsFeatureDiv) {
-    // Find table within this div (look for productDetails table or any table)
-    const tableMatch = productDetailsFeatureDiv[1].match(/<table[^>]*id=["']productDetails[^>]*>([\s\S]*?)<\/table>/i) ||
-                       productDetailsFeatureDiv[1].match(/<table[^>]*class=["'][^"]*prodDetTable[^"]*["'][^>]*>([\s\S]*?)<\/table>/i) ||
-                       productDetailsFeatureDiv[1].match(/<table[^>]*>([\s\S]*?)<\/table>/i)
-    if (tableMatch && tableMatch[1]) {
-      const trMatches = [...tableMatch[1].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)]
-      if (!extracted.productDetails) extracted.productDetails = {}
-      for (const tr of trMatches) {
-        // Try th/td pattern first (more common in product details tables)
-        const thMatch = tr[1].match(/<th[^>]*>([\s\S]*?)<\/th>/i)
-        const tdMatches = [...tr[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)]
-        
-        if (thMatch && tdMatches.length >= 1) {
-          // Pattern: <th>heading</th><td>value</td>
-          const heading = thMatch[1].replace(/<[^>]+>/g, '').trim()
-          const value = tdMatches[0][1].replace(/<[^>]+>/g, '').trim()
-          if (heading && value) {
-            extracted.productDetails[heading] = value
-          }
-        } else if (tdMatches.length >= 2) {
-          // Pattern: <td>heading</td><td>value</td>
-          const heading = tdMatches[0][1].replace(/<[^>]+>/g, '').trim()
-          const value = tdMatches[1][1].replace(/<[^>]+>/g, '').trim()
-          if (heading && value) {
-            extracted.productDetails[heading] = value
-          }
-        }
-      }
-    }
+  emit('model:start', { model, attempt: 1, structured: false })
+  const responseText = await generateText(provider, {
+    model,
+    prompt,
+    images,
+    options: GENERATE_OPTIONS
+  }, progress)
+  emit('model:done', { attempt: 1, characters: responseText.length })
+  console.log(`✅ Received response from ${provider.name} (${responseText.length} characters)`)
+  if (process.env.NODE_ENV === 'development') {
+    console.log('📝 Raw model response (full):', responseText)
   }
   
-  // 6. Also try extracting from prodDetails div (fallback)
-  const prodDetails = html.match(/<div[^>]*id=["']prodDetails["'][^>]*>([\s\S]*?)<\/div>/i)
-  if (prodDetails && (!extracted.productDetails || Object.keys(extracted.productDetails).length === 0)) {
-    const tableMatch = prodDetails[1].match(/<table[^>]*>([\s\S]*?)<\/table>/i)
-    if (tableMatch && tableMatch[1]) {
-      const trMatches = [...tableMatch[1].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)]
-      if (!extracted.productDetails) extracted.productDetails = {}
-      for (const tr of trMatches) {
-        const thMatch = tr[1].match(/<th[^>]*>([\s\S]*?)<\/th>/i)
-        const tdMatches = [...tr[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)]
-        
-        if (thMatch && tdMatches.length >= 1) {
-          const heading = thMatch[1].replace(/<[^>]+>/g, '').trim()
-          const value = tdMatches[0][1].replace(/<[^>]+>/g, '').trim()
-          if (heading && value && !extracted.productDetails[heading]) {
-            extracted.productDetails[heading] = value
-          }
-        } else if (tdMatches.length >= 2) {
-          const heading = tdMatches[0][1].replace(/<[^>]+>/g, '').trim()
-          const value = tdMatches[1][1].replace(/<[^>]+>/g, '').trim()
-          if (heading && value && !extracted.productDetails[heading]) {
-            extracted.productDetails[heading] = value
-          }
-        }
-      }
+  try {
+    const data = JSON.parse(responseText)
+    emit('repair', { applied: false })
+    return data
+  } catch (error) {
+    let data
+    try {
+      data = parseJsonWithRepair(responseText)
+    } catch (repairError) {
+      throw new ParseError('INVALID_MODEL_OUTPUT', `${model} did not return parseable JSON: ${repairError.message}`)
     }
+    emit('repair', { applied: true })
+    return data
   }
-  
-  return extracted
 }
 
 /**
- * Parse Amazon product page using Ollama
+ * generateProductJson with the model fallback chain: on a timeout or
+ * invalid output the next model in `models` is tried. Models that failed
+ * are dropped from the list, so later calls in the same parse skip them.
+ * Returns { data, model }.
+ */
+async function generateWithFallback(provider, models, prompt, responseSchema, progress = {}, images = null) {
+  const emit = progress.emit || (() => {})
+  for (;;) {
+    const model = models[0]
+    try {
+      return { data: await generateProductJson(provider, model, prompt, responseSchema, progress, images), model }
+    } catch (error) {
+      if (models.length < 2 || !FALLBACK_ERROR_CODES.includes(error.code)) throw error
+      models.shift()
+      console.warn(`⚠️ ${model} failed (${error.code}), falling back to ${models[0]}`)
+      emit('model:fallback', { from: model, to: models[0], reason: error.code })
+    }
+  }
+}
+
+/**
+ * Send the gallery to the vision model and fill the product's print names and
+ * rolls from what it sees. Images that fail to load are skipped. Returns the
+ * `vision` summary for the result, or null when the pass did not run.
+ */
+async function runVisionPass(product, gallery, vision, progress = {}) {
+  const emit = progress.emit || (() => {})
+  const images = []
+  for (const image of gallery.slice(0, vision.maxImages || VISION_MAX_IMAGES)) {
+    throwIfCancelled(progress.signal)
+    try {
+      images.push({ ...image, data: await (vision.loadImage || loadImage)(image.url, { signal: progress.signal }) })
+    } catch (error) {
+      throwIfCancelled(progress.signal)
+      console.warn(`⚠️ Could not load image ${image.url}: ${error.message}`)
+    }
+  }
+  if (images.length === 0) {
+    console.warn('⚠️ No gallery image could be loaded, skipping the vision pass')
+    return null
+  }
+
+  const models = [...vision.models]
+  console.log(`👁️ Sending ${images.length} image(s) to ${vision.provider.name} (model: ${models[0]})...`)
+  emit('vision:start', { model: models[0], images: images.length })
+  const { data: answer, model } = await generateWithFallback(
+    vision.provider,
+    models,
+    createVisionPrompt(images, product),
+    createVisionResponseSchema(),
+    progress,
+    images.map(image => image.data)
+  )
+  const applied = mergeVisionRolls(product, answer, images)
+  console.log(`👁️ Vision model saw ${answer.rollCount ?? '?'} roll(s), ${answer.rolls.length} print(s); filled ${applied.rolls.length} roll(s)`)
+  emit('vision:done', { rollCount: answer.rollCount, prints: answer.rolls.length, rolls: applied.rolls.map(roll => roll.rollNumber) })
+
+  return {
+    provider: vision.provider.name,
+    model,
+    promptVersion: VISION_PROMPT_VERSION,
+    images: images.map(image => image.url),
+    rollCount: answer.rollCount,
+    prints: answer.rolls.map(roll => ({
+      printName: roll.printName,
+      backPrintName: roll.backPrintName,
+      description: roll.description,
+      reverseType: roll.reverseType,
+      image: roll.imageNumber && images[roll.imageNumber - 1] ? images[roll.imageNumber - 1].url : null
+    })),
+    applied
+  }
+}
+
+/**
+ * Rating, histogram and top reviews from the page, with the reviews condensed
+ * into pros and cons by the parse model. A failed summary leaves `summary`
+ * null and a warning; the rating data is still returned.
+ */
+async function summarizeReviews(provider, models, html, product, progress = {}) {
+  const emit = progress.emit || (() => {})
+  const extracted = extractReviews(html)
+  emit('reviews:start', { rating: extracted.rating, ratingCount: extracted.ratingCount, reviews: extracted.topReviews.length })
+  const result = {
+    ...extracted,
+    summary: null,
+    provider: null,
+    model: null,
+    promptVersion: REVIEW_PROMPT_VERSION,
+    warnings: []
+  }
+
+  if (extracted.topReviews.length === 0) {
+    result.warnings.push('No reviews on the page to summarize')
+  } else {
+    console.log(`💬 Summarizing ${extracted.topReviews.length} review(s) with ${provider.name} (model: ${models[0]})...`)
+    try {
+      const { data, model } = await generateWithFallback(
+        provider,
+        models,
+        createReviewSummaryPrompt(extracted, product.title),
+        createReviewSummarySchema(),
+        progress
+      )
+      result.summary = normalizeReviewSummary(data)
+      result.provider = provider.name
+      result.model = model
+    } catch (error) {
+      throwIfCancelled(progress.signal)
+      console.warn(`⚠️ Review summary failed: ${error.message}`)
+      result.warnings.push(`Review summary failed: ${error.message}`)
+    }
+  }
+
+  emit('reviews:done', {
+    rating: result.rating,
+    pros: result.summary ? result.summary.pros.length : 0,
+    cons: result.summary ? result.summary.cons.length : 0
+  })
+  return result
+}
+
+/**
+ * Explicit { value, unit } pairs for the size string and every numeric profile
+ * field that declares a unit. Values already set by post-processing are kept.
+ */
+function buildMeasurements(product, profile, measurements) {
+  const result = {}
+  const size = parseMeasurement(product.size)
+  if (size) {
+    result.size = size
+  }
+  for (const [field, spec] of Object.entries(profile ? profile.fields : {})) {
+    if (spec.unit && typeof product[field] === 'number') {
+      result[field] = { value: product[field], unit: spec.unit }
+    }
+  }
+  return { ...result, ...measurements }
+}
+
+/**
+ * Parse Amazon product page with an LLM provider (see src/providers)
+ */
+export async function parseAmazonProduct(provider, model, url, asin, html, options = {}) {
+  const { product } = await parseAmazonPage(provider, model, url, asin, html, options)
+  return product
+}
+
+/**
+ * Parse Amazon product page with an LLM provider, also returning the inputs
+ * that produced the result (raw HTML, extracted sections, model, prompt version
+ * and the ids of the corrections used as examples) and the sections requested
+ * with `include` (`reviews`, null when not requested).
+ * `model` is a model name or a fallback chain (["llama3.2", "qwen2.5"]); the
+ * returned `model` is the one that answered.
+ *
+ * Options:
+ *   marketplace - "us" | "uk" | "de" | "ca" | "jp"; detected from the URL host when omitted
+ *   onProgress  - called with { stage, ... } as the parse moves through fetch, extraction and the model
+ *   signal      - AbortSignal; aborting cancels the page fetch or the in-flight model request
+ *   htmlCache   - cache from createHtmlCache(); fetched pages are read from and written to it
+ *   cache       - "refresh" | "prefer" | "only" (default "prefer"), see fetchAmazonPage
+ *   corrections - store from createCorrectionStore(); similar corrected products become prompt examples
+ *   vision      - { models, provider, loadImage, maxImages, force }: read print names and rolls from the
+ *                 gallery with a multimodal model when the text leaves them open (always with force).
+ *                 provider defaults to the parse provider, loadImage(url, { signal }) to downloading it.
+ *   include     - extra sections next to the product: ["reviews"] adds rating, histogram and a
+ *                 pros/cons summary of the top reviews (see src/reviews.js)
  */
-export async function parseAmazonProduct(ollamaClient, model, url, asin, html) {
+export async function parseAmazonPage(provider, model, url, asin, html, options = {}) {
+  const models = [].concat(model).filter(Boolean)
+  if (models.length === 0) {
+    throw new Error('At least one model is required')
+  }
   let productAsin = asin
   let productUrl = url
   let productHtml = html
+  // How the HTML was obtained; provided HTML takes no fetch attempts
+  let fetchInfo = { source: 'input', attempts: 0, status: null }
+  const { signal } = options
+  const emit = options.onProgress
+    ? (stage, data = {}) => options.onProgress({ stage, ...data })
+    : null
+  const progress = { emit, signal }
+  const report = emit || (() => {})
+  
+  // Explicit marketplace wins, then the URL host, then amazon.com
+  const marketplace = resolveMarketplace({ marketplace: options.marketplace, url: productUrl })
   
   // Extract ASIN from URL if not provided
   if (!productAsin && productUrl) {
@@ -181,7 +412,7 @@ export async function parseAmazonProduct(ollamaClient, model, url, asin, html) {
   
   // Generate product URL if we have ASIN but no URL
   if (!productUrl && productAsin) {
-    productUrl = `https://www.amazon.com/dp/${productAsin}`
+    productUrl = getProductUrl(productAsin, marketplace)
   }
   
   // Validate URL format if we have one
@@ -199,64 +430,68 @@ export async function parseAmazonProduct(ollamaClient, model, url, asin, html) {
     try {
       // Only pass productUrl if it's a valid string, otherwise pass null and let fetchAmazonPage use ASIN
       const urlToFetch = (productUrl && typeof productUrl === 'string' && productUrl.trim()) ? productUrl : null
-      productHtml = await fetchAmazonPage(urlToFetch, productAsin)
-      console.log(`📄 Fetched HTML (${productHtml.length} characters)`)
-      
-      // Check if Amazon blocked the request (common indicators)
-      const blockedIndicators = [
-        'continue shopping',
-        'click the button below',
-        'to discuss automated access',
-        'captcha',
-        'robot',
-        'bot detection',
-        'access denied'
-      ]
-      
-      const htmlLower = productHtml.toLowerCase()
-      const isBlocked = blockedIndicators.some(indicator => htmlLower.includes(indicator))
-      
-      if (isBlocked) {
-        console.warn('⚠️ Amazon may have blocked the request - detected block page indicators')
-        // Still try to parse, but warn about potential issues
-      }
-      
-      // Check if we got actual product content (common product page indicators)
-      const productIndicators = [
-        'id="productTitle"',
-        'productTitle',
-        'data-asin',
-        'id="priceblock',
-        'a-price'
-      ]
-      
-      const hasProductContent = productIndicators.some(indicator => htmlLower.includes(indicator))
-      
-      if (!hasProductContent && !isBlocked) {
-        console.warn('⚠️ HTML may not contain product information - no product indicators found')
-      }
-      
+      report('fetch:start', { url: urlToFetch || getProductUrl(productAsin, marketplace) })
+      const fetched = await fetchAmazonPage(urlToFetch, productAsin, {
+        marketplace,
+        signal,
+        onRetry: retry => report('fetch:retry', retry),
+        cache: options.htmlCache || null,
+        cacheMode: options.cache || 'prefer'
+      })
+      productHtml = fetched.html
+      fetchInfo = fetched.cachedAt
+        ? { source: 'cache', attempts: 0, status: fetched.status, cachedAt: fetched.cachedAt }
+        : { source: 'network', attempts: fetched.attempts, status: fetched.status }
+      console.log(`📄 ${fetched.cachedAt ? 'Loaded cached' : 'Fetched'} HTML (${productHtml.length} characters, ${fetched.attempts} attempt(s))`)
+      report('fetch:done', { bytes: Buffer.byteLength(productHtml), attempts: fetched.attempts, cachedAt: fetched.cachedAt })
     } catch (error) {
-      throw new Error(`Failed to fetch Amazon page: ${error.message}`)
+      if (error instanceof ParseError) throw error
+      const fetchError = new Error(`Failed to fetch Amazon page: ${error.message}`)
+      fetchError.attempts = error.attempts
+      throw fetchError
     }
+  } else if (productHtml) {
+    report('fetch:skipped', { bytes: Buffer.byteLength(productHtml) })
   }
   
   if (!productHtml) {
     throw new Error('HTML content is required. Provide url, asin, or html in request.')
   }
   
+  // CAPTCHA, sign-in, 404 and region pages never reach the model
+  const page = classifyPage(productHtml)
+  console.log(`🔎 Page type: ${page.type}${page.signals.length ? ` (${page.signals.join(', ')})` : ''}`)
+  report('page-type', { pageType: page.type, signals: page.signals })
+  const pageError = createPageTypeError(page)
+  if (pageError) {
+    console.warn(`⚠️ Not a product page: ${pageError.code}`)
+    throw pageError
+  }
+  const pageWarnings = page.type === 'unknown'
+    ? ['Page was not recognized as an Amazon product page; the result may be incomplete']
+    : []
+  
   // Use extracted or provided ASIN, or try to extract from HTML
   if (!productAsin) {
     productAsin = extractAsin(productHtml) || extractAsin(productUrl)
   }
   
+  console.log(`🌍 Marketplace: ${marketplace.id} (${marketplace.domain}, ${marketplace.currency})`)
+  
   // Extract clean text from specific HTML sections
-  const extractedText = extractProductText(productHtml)
+  const extractedText = extractProductText(productHtml, { marketplace })
   console.log('📦 Extracted product text sections:', {
     hasTitle: !!extractedText.title,
     hasDescription: !!extractedText.description,
     hasPrice: !!extractedText.price,
+    hasProductDescription: !!extractedText.productDescription,
+    hasAplus: !!extractedText.aplus,
     hasThumbnail: !!extractedText.thumbnail,
+    variationCount: extractedText.variations ? extractedText.variations.children.length : 0,
+    productDetailsCount: extractedText.productDetails ? Object.keys(extractedText.productDetails).length : 0
+  })
+  report('sections', {
+    sections: Object.keys(extractedText),
     productDetailsCount: extractedText.productDetails ? Object.keys(extractedText.productDetails).length : 0
   })
   
@@ -268,259 +503,195 @@ export async function parseAmazonProduct(ollamaClient, model, url, asin, html) {
     console.log('📝 Description preview:', extractedText.description.substring(0, 200) + '...')
   }
   
-  // Create prompt with extracted clean text (not raw HTML)
-  const prompt = createParsePrompt(extractedText, productAsin, productUrl)
+  // Read everything the page states outright before involving the model
+  const { fields: ruleFields, sources: ruleSources, evidence: ruleEvidence } = extractRuleBasedFields(extractedText, {
+    asin: productAsin,
+    html: productHtml,
+    marketplace
+  })
+  console.log('📐 Rule-based fields:', Object.keys(ruleFields).join(', ') || 'none')
+  report('rules', { fields: Object.keys(ruleFields) })
+  if (!productAsin && ruleFields.asin) {
+    productAsin = ruleFields.asin
+  }
   
-  console.log(`🤖 Sending to Ollama (model: ${model})...`)
+  // Pick the product type profile from its keywords when the page makes it obvious
+  let profile = detectProfile(extractedText)
+  if (profile) {
+    ruleFields.type = profile.type
+    ruleSources.type = 'rules:profile.keywords'
+  }
   
-  try {
-    // Call Ollama API
-    // Note: Timeout errors may occur but responses often still complete successfully
-    const response = await ollamaClient.generate({
-      model,
-      prompt,
-      stream: false,
-      options: {
-        temperature: 0.1, // Low temperature for more deterministic output
-        top_p: 0.9,
-      }
-    })
-    
-    // Extract response text (handle different response formats)
-    let responseText = ''
-    if (typeof response === 'string') {
-      responseText = response
-    } else if (response.response) {
-      responseText = response.response
-    } else if (response.text) {
-      responseText = response.text
-    } else if (response.message && response.message.content) {
-      responseText = response.message.content
-    } else {
-      // Try to stringify if it's an object
-      responseText = JSON.stringify(response)
+  // Otherwise let the model classify first, so the main prompt can use the profile's fields
+  if (!profile) {
+    console.log(`🤖 No profile matched by keywords, asking ${provider.name} for the product type (model: ${models[0]})...`)
+    const { data: { type } } = await generateWithFallback(provider, models, createTypePrompt(extractedText), createTypeResponseSchema(), progress)
+    profile = getProfile(type)
+    if (profile) {
+      ruleFields.type = profile.type
+      ruleSources.type = 'llm'
     }
-    
-    console.log(`✅ Received response from Ollama (${responseText.length} characters)`)
-    // Only log full response in development mode to avoid cluttering logs
-    if (process.env.NODE_ENV === 'development') {
-      console.log('📝 Raw Ollama response (first 500 chars):', responseText.substring(0, 500))
-      console.log('📝 Raw Ollama response (full):', responseText)
+  }
+  console.log(`🏷️ Product profile: ${profile ? profile.type : 'none'}`)
+  report('profile', { type: profile ? profile.type : null, source: ruleSources.type || null })
+  
+  // Only keep rule-based values the profile's output shape has room for
+  const outputFields = Object.keys(createProductSchema(profile).properties)
+  for (const field of Object.keys(ruleFields)) {
+    if (!outputFields.includes(field)) {
+      delete ruleFields[field]
+      delete ruleSources[field]
     }
-    
-    // Extract JSON from response (handle cases where model adds extra text)
-    let jsonText = responseText.trim()
-    
-    // Remove markdown code blocks if present
-    jsonText = jsonText.replace(/^```json\s*/i, '').replace(/^```\s*/i, '').replace(/\s*```$/i, '')
-    
-    // Find JSON object in response
-    const jsonMatch = jsonText.match(/\{[\s\S]*\}/)
-    if (!jsonMatch) {
-      console.error('❌ No JSON object found in response. Full response:', responseText)
-      throw new Error('No JSON object found in Ollama response')
+  }
+  
+  // Corrections a reviewer made to similar products show the model what a right answer looks like
+  const examples = options.corrections
+    ? await options.corrections.findSimilar(extractedText, { type: profile ? profile.type : null, limit: FEW_SHOT_EXAMPLES })
+    : []
+  if (examples.length > 0) {
+    console.log(`📚 Using ${examples.length} corrected example(s): ${examples.map(example => `${example.asin} (${example.similarity})`).join(', ')}`)
+    report('examples', { examples: examples.map(example => ({ asin: example.asin, correctionId: example.id, similarity: example.similarity })) })
+  }
+  
+  // Create prompt with extracted clean text (not raw HTML), asking only for unresolved fields
+  const prompt = createParsePrompt(extractedText, productAsin, productUrl, ruleFields, profile, examples)
+  const responseSchema = createResponseSchema(ruleFields, profile)
+  
+  console.log(`🤖 Sending to ${provider.name} (model: ${models[0]})...`)
+  
+  const { data: productData, model: answeredModel } = await generateWithFallback(provider, models, prompt, responseSchema, progress)
+  console.log('✅ Parsed product data:', JSON.stringify(productData, null, 2))
+  
+  // Rule-based values win over anything the model returned for the same field
+  const fieldSources = {}
+  for (const [field, value] of Object.entries(productData)) {
+    if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+      fieldSources[field] = 'llm'
     }
-    
-    jsonText = jsonMatch[0]
-    console.log('📋 Extracted JSON text:', jsonText.substring(0, 500))
-    
-    // Try to repair incomplete JSON before parsing
-    let originalJsonText = jsonText
-    try {
-      // Check for incomplete string values (property that ends with unclosed quote)
-      // Pattern: "key": "value that is not closed...
-      const incompleteStringPattern = /"[^"]+"\s*:\s*"[^"]*$/m
-      if (incompleteStringPattern.test(jsonText)) {
-        // Find the last complete property before the incomplete one
-        // Match complete properties: "key": "value" or "key": number or "key": bool/null/array/object
-        const completePropertyPattern = /"[^"]+"\s*:\s*(?:"[^"]*"|[\d.]+|true|false|null|\[[^\]]*\]|\{[^}]*\})/g
-        const matches = []
-        let match
-        while ((match = completePropertyPattern.exec(jsonText)) !== null) {
-          matches.push({
-            text: match[0],
-            index: match.index,
-            endIndex: match.index + match[0].length
-          })
-        }
-        
-        if (matches.length > 0) {
-          const lastCompleteMatch = matches[matches.length - 1]
-          // Remove everything after the last complete property and close the object
-          jsonText = jsonText.substring(0, lastCompleteMatch.endIndex) + '\n}'
-          console.log(`🔧 Repaired JSON by removing incomplete trailing content after property at position ${lastCompleteMatch.endIndex}`)
-        }
-      }
-      
-      // Try to close unclosed objects/arrays
-      const openBraces = (jsonText.match(/{/g) || []).length
-      const closeBraces = (jsonText.match(/}/g) || []).length
-      const openBrackets = (jsonText.match(/\[/g) || []).length
-      const closeBrackets = (jsonText.match(/\]/g) || []).length
-      
-      // Close unclosed brackets first
-      if (openBrackets > closeBrackets) {
-        jsonText += ']'.repeat(openBrackets - closeBrackets)
-        console.log(`🔧 Closed ${openBrackets - closeBrackets} unclosed array(s)`)
-      }
-      
-      // Close unclosed braces
-      if (openBraces > closeBraces) {
-        jsonText += '}'.repeat(openBraces - closeBraces)
-        console.log(`🔧 Closed ${openBraces - closeBraces} unclosed object(s)`)
-      }
-    } catch (repairError) {
-      console.warn('⚠️ JSON repair attempt failed, will try original:', repairError.message)
-      jsonText = originalJsonText
+  }
+  for (const [field, value] of Object.entries(ruleFields)) {
+    if (productData[field] !== undefined && productData[field] !== null && productData[field] !== value) {
+      console.log(`📐 Rule-based ${field} overrides model value:`, { rules: value, llm: productData[field] })
     }
-    
-    // Parse JSON
-    let productData
+    productData[field] = value
+    fieldSources[field] = ruleSources[field]
+  }
+  
+  // Ensure ASIN is set
+  if (!productData.asin && productAsin) {
+    productData.asin = productAsin
+  }
+  
+  // Ensure URL is set
+  if (!productData.url && productUrl) {
+    productData.url = productUrl
+  } else if (!productData.url && productAsin) {
+    productData.url = getProductUrl(productAsin, marketplace)
+  }
+  
+  if (!productData.thumbnail && extractedText.thumbnail) {
+    productData.thumbnail = extractedText.thumbnail
+  }
+  
+  // Listings that never name their designs in text often show them in the photos
+  const warnings = [...pageWarnings]
+  let visionResult = null
+  const vision = options.vision && options.vision.models && options.vision.models.length > 0
+    ? { ...options.vision, provider: options.vision.provider || provider }
+    : null
+  if (vision && profile && profile.fields.rolls && extractedText.gallery && (vision.force || needsVisionPass(productData))) {
     try {
-      productData = JSON.parse(jsonText)
-      console.log('✅ Parsed product data:', JSON.stringify(productData, null, 2))
-    } catch (parseError) {
-      // Log full JSON for debugging (truncated to avoid huge logs)
-      console.error('❌ Failed to parse JSON. Full JSON text length:', jsonText.length)
-      console.error('❌ JSON text (first 1000 chars):', jsonText.substring(0, 1000))
-      console.error('❌ JSON text (last 500 chars):', jsonText.substring(Math.max(0, jsonText.length - 500)))
-      console.error('❌ Parse error:', parseError.message)
-      console.error('❌ Parse error position:', parseError.message.match(/position (\d+)/)?.[1] || 'unknown')
-      
-      // Try one more time with a simpler fix: remove everything after the last complete property
-      try {
-        // Find the last complete key-value pair
-        const completePairs = jsonText.match(/"[^"]+":\s*(?:"[^"]*"|[\d.]+|true|false|null|\[[^\]]*\]|\{[^}]*\})/g)
-        if (completePairs && completePairs.length > 0) {
-          const lastCompletePair = completePairs[completePairs.length - 1]
-          const lastIndex = jsonText.lastIndexOf(lastCompletePair) + lastCompletePair.length
-          const fixedJson = jsonText.substring(0, lastIndex) + '\n}'
-          productData = JSON.parse(fixedJson)
-          console.log('✅ Successfully parsed JSON after removing incomplete trailing content')
-        } else {
-          throw parseError
-        }
-      } catch (finalError) {
-        throw new Error(`Failed to parse JSON response: ${parseError.message}`)
-      }
-    }
-    
-    // Ensure ASIN is set
-    if (!productData.asin && productAsin) {
-      productData.asin = productAsin
-    }
-    
-    // Ensure URL is set
-    if (!productData.url && productUrl) {
-      productData.url = productUrl
-    } else if (!productData.url && productAsin) {
-      productData.url = `https://www.amazon.com/dp/${productAsin}`
-    }
-    
-    // Ensure images array exists
-    if (!Array.isArray(productData.images)) {
-      productData.images = []
-    }
-    
-    // Validate data
-    const validationErrors = validateProductData(productData)
-    if (validationErrors.length > 0) {
-      console.warn('⚠️ Validation warnings:', validationErrors)
-      // Don't throw, just log warnings
-    }
-    
-    // Check if we got useful data or if Amazon blocked the request
-    const hasProductData = productData.title || productData.price !== null || productData.brand
-    
-    if (!hasProductData) {
-      console.warn('⚠️ No product data extracted - Amazon may have blocked the request or page structure changed')
-      // Check HTML for block indicators
-      const htmlLower = productHtml.toLowerCase()
-      if (htmlLower.includes('continue shopping') || htmlLower.includes('click the button below')) {
-        throw new Error('Amazon blocked the request. This often happens with automated requests. Try again later or use a different method to access the product page.')
-      }
-    }
-    
-    // Clean and normalize data
-    // Try to extract rollLength and rollWidth from productDetails if Ollama didn't extract them
-    let finalRollLength = productData.rollLength !== undefined ? productData.rollLength : null
-    let finalRollWidth = productData.rollWidth !== undefined ? productData.rollWidth : null
-    
-    // If not found in Ollama response, try to extract from productDetails text
-    if ((finalRollLength === null || finalRollWidth === null) && extractedText.productDetails) {
-      const productDetailsText = JSON.stringify(extractedText.productDetails)
-      // Look for pattern like "30\" x 8.8'" or "30 inches x 8.8 feet" or "30\" x 8.8'"
-      const dimensionMatch = productDetailsText.match(/(\d+(?:\.\d+)?)\s*(?:inches|")[^x]*x[^0-9]*(\d+(?:\.\d+)?)\s*(?:feet|')/i) ||
-                              productDetailsText.match(/(\d+(?:\.\d+)?)"\s*x\s*(\d+(?:\.\d+)?)'/)
-      if (dimensionMatch) {
-        if (finalRollWidth === null) {
-          finalRollWidth = parseFloat(dimensionMatch[1])
-          console.log('📏 Extracted rollWidth from productDetails:', finalRollWidth)
-        }
-        if (finalRollLength === null) {
-          finalRollLength = parseFloat(dimensionMatch[2])
-          console.log('📏 Extracted rollLength from productDetails:', finalRollLength)
-        }
-      }
-    }
-    
-    const cleanedData = {
-      asin: productData.asin || null,
-      type: productData.type || null,
-      title: productData.title || null,
-      price: productData.price !== undefined ? productData.price : null,
-      brand: productData.brand || null,
-      description: productData.description || null,
-      size: productData.size || null,
-      quantity: productData.quantity !== undefined ? productData.quantity : null,
-      dimensions: productData.dimensions || null,
-      rollLength: finalRollLength,
-      rollWidth: finalRollWidth,
-      printNames: Array.isArray(productData.printNames) ? productData.printNames : (productData.printNames === null ? null : []),
-      rolls: Array.isArray(productData.rolls) ? productData.rolls : (productData.rolls === null ? null : []),
-      thumbnail: productData.thumbnail || extractedText.thumbnail || null,
-      images: Array.isArray(productData.images) ? productData.images : [],
-      url: productData.url || (productAsin ? `https://www.amazon.com/dp/${productAsin}` : null)
-    }
-    
-    // Log what was extracted
-    if (extractedText.thumbnail && !productData.thumbnail) {
-      console.log('✅ Using extracted thumbnail (Ollama did not return one):', extractedText.thumbnail.substring(0, 100) + '...')
-    }
-    if (finalRollLength !== null || finalRollWidth !== null) {
-      console.log('📏 Final roll dimensions:', { rollLength: finalRollLength, rollWidth: finalRollWidth })
-    }
-    
-    // Validate rolls array structure if present
-    if (cleanedData.rolls && Array.isArray(cleanedData.rolls)) {
-      cleanedData.rolls = cleanedData.rolls.map((roll, index) => ({
-        rollNumber: typeof roll.rollNumber === 'number' ? roll.rollNumber : (index + 1),
-        onHand: typeof roll.onHand === 'number' ? roll.onHand : 0,
-        maxArea: typeof roll.maxArea === 'number' ? roll.maxArea : (roll.onHand || 0),
-        image: roll.image || null,
-        printName: roll.printName || null,
-        hasReverseSide: typeof roll.hasReverseSide === 'boolean' ? roll.hasReverseSide : false,
-        pairedRollNumber: typeof roll.pairedRollNumber === 'number' ? roll.pairedRollNumber : null
-      }))
-    }
-    
-    return cleanedData
-  } catch (error) {
-    // Handle timeout errors - these can happen with slow models but often the response still arrives
-    if (error.code === 'UND_ERR_HEADERS_TIMEOUT' || 
-        error.message?.includes('Headers Timeout') ||
-        error.cause?.code === 'UND_ERR_HEADERS_TIMEOUT') {
-      console.warn('⚠️ Ollama request timed out on headers. This may be due to model processing time.')
-      console.warn('⚠️ If parsing succeeds, this warning can be ignored.')
-      // The error might be non-fatal if response was received, but we still throw to be safe
-      // The server will handle retries if needed
-      throw new Error(`Ollama request timed out: The model took too long to respond. Try again or use a faster model. Original error: ${error.message}`)
+      visionResult = await runVisionPass(productData, extractedText.gallery, vision, progress)
+    } catch (error) {
+      throwIfCancelled(signal)
+      console.warn(`⚠️ Vision pass failed: ${error.message}`)
+      warnings.push(`Vision pass failed: ${error.message}`)
     }
-    
-    if (error.message?.includes('Ollama') || error.message?.includes('model') || error.message?.includes('timeout')) {
-      throw new Error(`Ollama API error: ${error.message}`)
+    if (visionResult) {
+      if (visionResult.applied.quantity) fieldSources.quantity = 'vision'
+      if (visionResult.applied.printNames) fieldSources.printNames = 'vision'
+      if (visionResult.applied.rolls.length > 0) fieldSources.rolls = 'vision'
     }
-    throw error
+  }
+  
+  // Block pages were rejected by the classifier; an empty result here means the layout changed
+  const hasProductData = productData.title || (productData.price !== null && productData.price !== undefined) || productData.brand
+  if (!hasProductData) {
+    console.warn('⚠️ No product data extracted - page structure may have changed')
+  }
+  
+  // Clean and normalize data into the profile's output shape, then run its post-processing
+  const measurements = {}
+  let cleanedData = shapeProductData(productData, profile)
+  if (profile) {
+    cleanedData = profile.postProcess(cleanedData, { extractedText, measurements, warnings }) || cleanedData
+  }
+  // The page's own currency symbol wins over the marketplace default
+  cleanedData.marketplace = marketplace.id
+  cleanedData.currency = (extractedText.priceParts && extractedText.priceParts.currency) || marketplace.currency
+  fieldSources.marketplace = options.marketplace ? 'input' : 'derived'
+  if (extractedText.priceParts && extractedText.priceParts.currency) {
+    fieldSources.currency = 'rules:coreprice_feature_div'
+  }
+  cleanedData.variations = buildVariationList(extractedText.variations, cleanedData.asin)
+  if (cleanedData.variations) {
+    fieldSources.variations = 'rules:twister'
+  }
+  cleanedData.measurements = buildMeasurements(cleanedData, profile, measurements)
+  cleanedData.fetch = fetchInfo
+  if (visionResult) {
+    cleanedData.vision = visionResult
+  }
+  
+  // Validate data
+  const validationErrors = validateProductData(cleanedData, profile)
+  if (validationErrors.length > 0) {
+    console.warn('⚠️ Validation warnings:', validationErrors)
+    // Don't throw, just report them with the result
+    warnings.push(...validationErrors)
+  }
+  cleanedData.warnings = warnings
+  report('warnings', { warnings })
+  
+  // Record fields that were filled in by code rather than by rules or the model
+  cleanedData.fieldSources = {}
+  for (const [field, value] of Object.entries(cleanedData)) {
+    if (META_FIELDS.includes(field)) continue
+    if (value === null || (Array.isArray(value) && value.length === 0)) continue
+    cleanedData.fieldSources[field] = fieldSources[field] || 'derived'
+  }
+  
+  // How far to trust each field, and whether a human should look at the result
+  const assessment = assessConfidence(cleanedData, {
+    fieldSources: cleanedData.fieldSources,
+    ruleEvidence,
+    extractedText,
+    warnings
+  })
+  cleanedData.confidence = assessment.confidence
+  cleanedData.evidence = assessment.evidence
+  cleanedData.needsReview = assessment.needsReview
+  cleanedData.reviewReasons = assessment.reviewReasons
+  if (assessment.needsReview) {
+    console.log(`🔍 Needs review: ${assessment.reviewReasons.join('; ')}`)
+  }
+  
+  // Opt-in sections stay out of the product so its schema doesn't change with them
+  const include = Array.isArray(options.include) ? options.include : []
+  const reviews = include.includes('reviews')
+    ? await summarizeReviews(provider, models, productHtml, cleanedData, progress)
+    : null
+  
+  return {
+    product: cleanedData,
+    reviews,
+    html: productHtml,
+    extractedText,
+    provider: provider.name,
+    model: answeredModel,
+    promptVersion: PROMPT_VERSION,
+    examples: examples.map(example => example.id),
+    promptHash: createHash('sha256').update(prompt).digest('hex').slice(0, 16)
   }
 }
 
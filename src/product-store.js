@@ -0,0 +1,283 @@
+/**
+ * Persistent product store backed by JSON files
+ *
+ * Layout under the data dir:
+ *   products/<ASIN>/<parseId>.json   parse record (result, reviews, sections, provider, model, prompt version)
+ *   products/<ASIN>/<parseId>.html   raw HTML snapshot for that parse
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { randomBytes } from 'crypto'
+import { readJson, writeFileAtomic } from './fs-utils.js'
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/
+const PARSE_ID_PATTERN = /^[0-9TZ-]+-[a-f0-9]{6}$/
+
+/**
+ * Parse ids sort chronologically: compact ISO timestamp plus a random suffix
+ */
+function createParseId(date) {
+  const stamp = date.toISOString().replace(/[:.]/g, '').replace(/-/g, '')
+  return `${stamp}-${randomBytes(3).toString('hex')}`
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * List the paths whose values differ between two parse results
+ */
+export function diffValues(before, after, basePath = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) return []
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+    return [...keys].flatMap(key => diffValues(before[key], after[key], basePath ? `${basePath}.${key}` : key))
+  }
+
+  if (Array.isArray(before) && Array.isArray(after) && before.every(isPlainObject) && after.every(isPlainObject)) {
+    const length = Math.max(before.length, after.length)
+    const changes = []
+    for (let i = 0; i < length; i++) {
+      changes.push(...diffValues(before[i], after[i], `${basePath}[${i}]`))
+    }
+    return changes
+  }
+
+  return [{ path: basePath || '(root)', from: before === undefined ? null : before, to: after === undefined ? null : after }]
+}
+
+/**
+ * Parse result without per-request metadata (fetch attempts), which changes on every parse
+ */
+function comparableResult(result) {
+  if (!isPlainObject(result)) return result
+  const { fetch, ...rest } = result
+  return rest
+}
+
+function summarizeParse(record) {
+  return {
+    id: record.id,
+    parsedAt: record.parsedAt,
+    provider: record.provider || null,
+    model: record.model,
+    promptVersion: record.promptVersion,
+    promptHash: record.promptHash,
+    marketplace: record.result ? record.result.marketplace || null : null,
+    price: record.result ? record.result.price : null,
+    currency: record.result ? record.result.currency || null : null,
+    warnings: record.result && record.result.warnings ? record.result.warnings.length : 0,
+    needsReview: record.result ? Boolean(record.result.needsReview) : false,
+    fetchAttempts: record.result && record.result.fetch ? record.result.fetch.attempts : null
+  }
+}
+
+/**
+ * Create a product store rooted at dataDir
+ */
+export function createProductStore({ dataDir }) {
+  const productsDir = path.join(dataDir, 'products')
+
+  function productDir(asin) {
+    if (!ASIN_PATTERN.test(asin || '')) {
+      throw new Error('Invalid ASIN format. ASIN must be 10 alphanumeric characters.')
+    }
+    return path.join(productsDir, asin)
+  }
+
+  async function listParseIds(asin) {
+    try {
+      const files = await fs.readdir(productDir(asin))
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .filter(id => PARSE_ID_PATTERN.test(id))
+        .sort()
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+  }
+
+  /**
+   * Save one parse. Returns the stored record (without the HTML).
+   * `reviews` is set when the parse included them, null otherwise.
+   */
+  async function saveParse({ product, reviews = null, html, extractedText, provider, model, promptVersion, promptHash, examples = [], source = {} }) {
+    const dir = productDir(product.asin)
+    await fs.mkdir(dir, { recursive: true })
+
+    const parsedAt = new Date()
+    const id = createParseId(parsedAt)
+    const record = {
+      id,
+      asin: product.asin,
+      parsedAt: parsedAt.toISOString(),
+      provider: provider || null,
+      model,
+      promptVersion,
+      promptHash: promptHash || null,
+      examples,
+      source: {
+        url: source.url || product.url || null,
+        marketplace: source.marketplace || null,
+        htmlProvided: !!source.htmlProvided,
+        htmlLength: html ? html.length : 0
+      },
+      sections: extractedText,
+      result: product,
+      reviews
+    }
+
+    if (html) {
+      await writeFileAtomic(path.join(dir, `${id}.html`), html)
+    }
+    await writeFileAtomic(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2))
+    return record
+  }
+
+  /**
+   * Get one parse record, optionally with its HTML snapshot
+   */
+  async function getParse(asin, id, { includeHtml = false } = {}) {
+    if (!PARSE_ID_PATTERN.test(id || '')) return null
+    const dir = productDir(asin)
+    const record = await readJson(path.join(dir, `${id}.json`))
+    if (!record) return null
+    if (includeHtml) {
+      try {
+        record.html = await fs.readFile(path.join(dir, `${id}.html`), 'utf8')
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+        record.html = null
+      }
+    }
+    return record
+  }
+
+  /**
+   * Latest parse for an ASIN, or null if it was never parsed
+   */
+  async function getProduct(asin, options = {}) {
+    const ids = await listParseIds(asin)
+    if (ids.length === 0) return null
+    const record = await getParse(asin, ids[ids.length - 1], options)
+    return record ? { ...record, parseCount: ids.length } : null
+  }
+
+  /**
+   * Summaries of every stored product, most recently parsed first
+   */
+  async function listProducts() {
+    let asins
+    try {
+      asins = (await fs.readdir(productsDir)).filter(name => ASIN_PATTERN.test(name))
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const products = []
+    for (const asin of asins) {
+      const latest = await getProduct(asin)
+      if (!latest) continue
+      products.push({
+        asin,
+        title: latest.result.title,
+        type: latest.result.type,
+        marketplace: latest.result.marketplace || null,
+        price: latest.result.price,
+        currency: latest.result.currency || null,
+        lastParsedAt: latest.parsedAt,
+        parseCount: latest.parseCount
+      })
+    }
+    return products.sort((a, b) => b.lastParsedAt.localeCompare(a.lastParsedAt))
+  }
+
+  /**
+   * Latest parse of each ASIN that falls in the [from, to] range (Date objects,
+   * either optional). Without asins every stored product is considered.
+   * Returns full records in ASIN order (or the order of asins).
+   */
+  async function findLatestParses({ asins = null, from = null, to = null } = {}) {
+    let candidates = asins
+    if (!candidates) {
+      try {
+        candidates = (await fs.readdir(productsDir)).filter(name => ASIN_PATTERN.test(name)).sort()
+      } catch (error) {
+        if (error.code === 'ENOENT') return []
+        throw error
+      }
+    }
+
+    const records = []
+    for (const asin of candidates) {
+      const ids = await listParseIds(asin)
+      for (let i = ids.length - 1; i >= 0; i--) {
+        const record = await getParse(asin, ids[i])
+        if (!record) continue
+        const parsedAt = new Date(record.parsedAt)
+        if (to && parsedAt > to) continue
+        if (from && parsedAt < from) break
+        records.push(record)
+        break
+      }
+    }
+    return records
+  }
+
+  /**
+   * Parse history for an ASIN, oldest first, with the fields changed since the previous parse
+   */
+  async function getHistory(asin) {
+    const history = []
+    let previous = null
+    for (const id of await listParseIds(asin)) {
+      const record = await getParse(asin, id)
+      if (!record) continue
+      history.push({
+        ...summarizeParse(record),
+        changedFields: previous
+          ? [...new Set(diffValues(comparableResult(previous.result), comparableResult(record.result)).map(change => change.path.split(/[.[]/)[0]))]
+          : []
+      })
+      previous = record
+    }
+    return history
+  }
+
+  /**
+   * Diff two parses of the same ASIN. Defaults to the last two parses.
+   */
+  async function diffParses(asin, fromId = null, toId = null) {
+    const ids = await listParseIds(asin)
+    const from = fromId || ids[ids.length - 2]
+    const to = toId || ids[ids.length - 1]
+    if (!from || !to) return null
+
+    const [before, after] = await Promise.all([getParse(asin, from), getParse(asin, to)])
+    if (!before || !after) return null
+
+    return {
+      asin,
+      from: summarizeParse(before),
+      to: summarizeParse(after),
+      changes: diffValues(comparableResult(before.result), comparableResult(after.result)),
+      sectionChanges: diffValues(before.sections, after.sections)
+    }
+  }
+
+  return {
+    saveParse,
+    getParse,
+    getProduct,
+    listProducts,
+    findLatestParses,
+    getHistory,
+    diffParses
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Gift bow profile
+ */
+
+import { COLORS_FIELD } from './shared-fields.js'
+
+export default {
+  type: 'bow',
+  label: 'Bow',
+  keywords: ['bow', 'bows', 'gift bows', 'pull bows'],
+  fields: {
+    bowDiameter: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 36],
+      description: 'Bow diameter in inches',
+      rule: 'Bow diameter in inches (e.g. "4 inch bows" = 4). If several sizes are included, use the largest'
+    },
+    selfAdhesive: {
+      type: 'boolean',
+      description: 'Whether the bows have an adhesive backing',
+      rule: 'true if the listing mentions "self-adhesive", "peel and stick" or "adhesive back", otherwise null'
+    },
+    colors: COLORS_FIELD
+  },
+  promptRules: [
+    'quantity: number of bows in the pack'
+  ],
+  postProcess(product) {
+    return product
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Gift box profile
+ */
+
+import { parseDimensionsInInches } from '../units.js'
+
+export default {
+  type: 'box',
+  label: 'Box',
+  keywords: ['gift box', 'gift boxes', 'box', 'boxes', 'shirt box', 'nesting boxes'],
+  fields: {
+    dimensions: {
+      type: 'string',
+      description: 'Box dimensions in "WxLxH" format (inches), e.g., "12x12x6"',
+      rule: 'Format as "WxLxH" in inches (convert cm by dividing by 2.54). If several box sizes are included, use the largest'
+    },
+    boxWidth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 100],
+      derived: true,
+      description: 'Box width in inches, parsed from dimensions'
+    },
+    boxLength: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 100],
+      derived: true,
+      description: 'Box length in inches, parsed from dimensions'
+    },
+    boxHeight: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 100],
+      derived: true,
+      description: 'Box height in inches, parsed from dimensions'
+    },
+    hasLid: {
+      type: 'boolean',
+      description: 'Whether the boxes come with separate lids',
+      rule: 'true if the listing mentions lids, false if it says the boxes fold closed without a lid, otherwise null'
+    }
+  },
+  promptRules: [
+    'quantity: number of boxes in the pack'
+  ],
+  postProcess(product) {
+    // "12x12x6", "12 x 12 x 6 in" and "30 x 30 x 15 cm" all end up as inches
+    const dims = parseDimensionsInInches(product.dimensions)
+    if (dims && dims.length === 3) {
+      [product.boxWidth, product.boxLength, product.boxHeight] = dims
+      product.dimensions = dims.join('x')
+    }
+    return product
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Greeting card profile
+ */
+
+import { PRINT_NAMES_FIELD } from './shared-fields.js'
+
+export default {
+  type: 'card',
+  label: 'Card',
+  keywords: ['greeting card', 'greeting cards', 'christmas cards', 'holiday cards', 'card', 'cards', 'note cards'],
+  fields: {
+    cardWidth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 24],
+      description: 'Card width in inches',
+      rule: 'Folded card width in inches from a size like "5 x 7 inches" (first number)'
+    },
+    cardHeight: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 24],
+      description: 'Card height in inches',
+      rule: 'Folded card height in inches from a size like "5 x 7 inches" (second number)'
+    },
+    envelopesIncluded: {
+      type: 'boolean',
+      description: 'Whether envelopes are included',
+      rule: 'true if envelopes are included, false if the listing says they are not, otherwise null'
+    },
+    printNames: PRINT_NAMES_FIELD
+  },
+  promptRules: [
+    'quantity: number of cards in the pack (not envelopes)'
+  ],
+  postProcess(product) {
+    return product
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Gift bag profile
+ */
+
+import { parseDimensionsInInches } from '../units.js'
+import { COLORS_FIELD } from './shared-fields.js'
+
+export default {
+  type: 'gift_bag',
+  label: 'Gift bag',
+  keywords: ['gift bag', 'gift bags', 'tote bag', 'bags with handles', 'paper bags'],
+  fields: {
+    bagSizes: {
+      type: 'string[]',
+      description: 'Bag sizes included, e.g. ["small", "medium", "large"]',
+      rule: 'List the size names included (small, medium, large, extra large, jumbo). For a single-size pack return one entry'
+    },
+    bagWidth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 60],
+      description: 'Width of the largest bag in inches',
+      rule: 'Width in inches of the largest bag, from a size like "13 x 5 x 10 inches" (first number)'
+    },
+    bagDepth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 60],
+      description: 'Gusset depth of the largest bag in inches',
+      rule: 'Depth in inches of the largest bag (second number of "W x D x H")'
+    },
+    bagHeight: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 60],
+      description: 'Height of the largest bag in inches',
+      rule: 'Height in inches of the largest bag (third number of "W x D x H")'
+    },
+    includesTissue: {
+      type: 'boolean',
+      description: 'Whether tissue paper is included',
+      rule: 'true if tissue paper is included with the bags, otherwise false'
+    },
+    colors: COLORS_FIELD
+  },
+  promptRules: [
+    'quantity: total number of bags in the pack'
+  ],
+  postProcess(product, { extractedText }) {
+    // Fall back to the first W x D x H triple on the page when the model found none
+    if (product.bagWidth === null && product.bagHeight === null) {
+      const dims = parseDimensionsInInches(extractedText.title) || parseDimensionsInInches(extractedText.description)
+      if (dims && dims.length === 3) {
+        [product.bagWidth, product.bagDepth, product.bagHeight] = dims
+      }
+    }
+    return product
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Product type profile registry
+ *
+ * A profile declares everything that is specific to one product type:
+ * detection keywords, extra fields (with units and validation ranges),
+ * prompt rules and post-processing. The prompt, the JSON Schema, the
+ * validator and the cleaned output shape are all generated from it.
+ */
+
+import wrappingPaper from './wrapping-paper.js'
+import tissuePaper from './tissue-paper.js'
+import ribbon from './ribbon.js'
+import bow from './bow.js'
+import box from './box.js'
+import giftBag from './gift-bag.js'
+import tag from './tag.js'
+import tape from './tape.js'
+import card from './card.js'
+
+const profiles = new Map()
+
+/**
+ * Register a product type profile (replaces an existing profile of the same type)
+ */
+export function registerProfile(profile) {
+  if (!profile || !/^[a-z_]+$/.test(profile.type || '')) {
+    throw new Error('Profile type must be a lowercase snake_case string')
+  }
+  profiles.set(profile.type, {
+    label: profile.type,
+    keywords: [],
+    fields: {},
+    promptRules: [],
+    postProcess: (product) => product,
+    ...profile
+  })
+}
+
+export function getProfile(type) {
+  return profiles.get(type) || null
+}
+
+export function listProfiles() {
+  return [...profiles.values()]
+}
+
+export function getProductTypes() {
+  return [...profiles.keys()]
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Pick the profile whose keywords best match the extracted page text.
+ * Title matches count three times as much as description matches; ties go
+ * to the keyword that appears earliest in the title (usually the head noun).
+ */
+export function detectProfile(extractedText) {
+  const title = (extractedText.title || '').toLowerCase()
+  const description = (extractedText.description || '').toLowerCase()
+
+  let best = null
+  for (const profile of profiles.values()) {
+    let score = 0
+    let firstTitleIndex = Infinity
+    for (const keyword of profile.keywords) {
+      const pattern = new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`, 'g')
+      const titleMatches = [...title.matchAll(pattern)]
+      const descriptionMatches = description.match(pattern) || []
+      score += titleMatches.length * 3 + descriptionMatches.length
+      if (titleMatches.length > 0) {
+        firstTitleIndex = Math.min(firstTitleIndex, titleMatches[0].index)
+      }
+    }
+
+    if (score === 0) continue
+    if (!best || score > best.score || (score === best.score && firstTitleIndex < best.firstTitleIndex)) {
+      best = { profile, score, firstTitleIndex }
+    }
+  }
+
+  return best ? best.profile : null
+}
+
+/**
+ * JSON Schema for one profile field
+ */
+export function fieldToSchema(field) {
+  if (field.schema) {
+    return { ...field.schema, description: field.description }
+  }
+  if (field.type === 'string[]') {
+    return { type: ['array', 'null'], items: { type: 'string' }, description: field.description }
+  }
+
+  const schema = { type: [field.type, 'null'], description: field.description }
+  if (field.range && (field.type === 'number' || field.type === 'integer')) {
+    schema.minimum = field.range[0]
+  }
+  return schema
+}
+
+for (const profile of [wrappingPaper, tissuePaper, ribbon, bow, box, giftBag, tag, tape, card]) {
+  registerProfile(profile)
+}
@@ -0,0 +1,50 @@
+/**
+ * Ribbon profile
+ */
+
+import { convertLength, parseLengths } from '../units.js'
+import { COLORS_FIELD } from './shared-fields.js'
+
+const SPOOL_UNITS = ['yd', 'ft', 'm']
+
+export default {
+  type: 'ribbon',
+  label: 'Ribbon',
+  keywords: ['ribbon', 'ribbons', 'curling ribbon', 'spool'],
+  fields: {
+    spoolLength: {
+      type: 'number',
+      unit: 'yd',
+      range: [0, 1000],
+      description: 'Ribbon length per spool in yards',
+      rule: 'Length per spool in yards (convert feet by dividing by 3, meters by multiplying by 1.094). If only a total length for several spools is given, divide by the spool count'
+    },
+    ribbonWidth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 12],
+      description: 'Ribbon width in inches',
+      rule: 'Ribbon width in inches (e.g. "3/8 inch" = 0.375, "1.5\\"" = 1.5, "25mm" = 0.98)'
+    },
+    wired: {
+      type: 'boolean',
+      description: 'Whether the ribbon has wired edges',
+      rule: 'true if the listing says "wired" or "wire edge", false if it says "non-wired", otherwise null'
+    },
+    colors: COLORS_FIELD
+  },
+  promptRules: [
+    'quantity: number of spools/rolls of ribbon in the pack'
+  ],
+  postProcess(product, { extractedText }) {
+    // Titles usually state the spool length outright, e.g. "... 3/8 Inch x 100 Yards" or "... x 50 ft";
+    // the first length in yards, feet or meters is the spool, smaller units are the width
+    if (product.spoolLength === null && extractedText.title) {
+      const length = parseLengths(extractedText.title).find(({ unit }) => SPOOL_UNITS.includes(unit))
+      if (length) {
+        product.spoolLength = Math.round(convertLength(length.value, length.unit, 'yd') * 100) / 100
+      }
+    }
+    return product
+  }
+}
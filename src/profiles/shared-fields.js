@@ -0,0 +1,29 @@
+/**
+ * Field definitions shared by several product type profiles
+ */
+
+export const PRINT_NAMES_FIELD = {
+  type: 'string[]',
+  description: 'Individual print/design names explicitly mentioned in the title or description',
+  rule: `Extract individual print/design names ONLY from what is explicitly mentioned in the title or description. IMPORTANT: Only extract names that are directly stated in the text - do NOT infer, guess, or make up names.
+  
+  REVERSIBLE DESIGNS: If the description mentions "reversible", "double-sided" or "both sides", every roll has a front and a back design. List BOTH sides as separate names, front then back, roll by roll - never merge the two sides into one name. The rolls then record which front goes with which back.
+  
+  Parsing patterns:
+  * Forward slash (/) and commas separate designs. In reversible listings a slash usually separates the two sides of one roll.
+  * Quoted text: Preserve quotes and include in design name, e.g., "Joy to you, Fa la la, Ho ho ho" on blue → ["Joy to you, Fa la la, Ho ho ho on blue"]
+  * "X on Y" format: Include both parts, e.g., "Snowflakes and trees on red" → ["Snowflakes and trees on red"]
+  * Count validation: Check for explicit counts (e.g., "6 designs", "SIX CUTE DESIGNS") and ensure you extract exactly that many designs. In reversible listings the count includes both sides.
+  
+  Examples: 
+  - "Bold plaid, stripes, dots, colorful houses, crafty trees and snowmen, 'Merry Everything' lettering" (not reversible) → ["Bold plaid", "Stripes", "Dots", "Colorful houses", "Crafty trees and snowmen", "Merry Everything"]
+  - "SIX CUTE DESIGNS: 3 reversible rolls: Skiing Santa / zebras and penguins, snowflakes and trees on red / 'Joy to you, Fa la la, Ho ho ho' on blue, rainbow stripes / snowmen and puppies" → ["Skiing Santa", "Zebras and penguins", "Snowflakes and trees on red", "Joy to you, Fa la la, Ho ho ho on blue", "Rainbow stripes", "Snowmen and puppies"] (6 designs: 3 rolls × front and back)
+  
+  Return as array of strings. Use null or empty array if no print names are explicitly mentioned.`
+}
+
+export const COLORS_FIELD = {
+  type: 'string[]',
+  description: 'Colors included in the pack',
+  rule: 'List the colors explicitly named in the title, description or PRODUCT DETAILS "Color" entry. Use null if none are stated.'
+}
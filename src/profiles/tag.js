@@ -0,0 +1,25 @@
+/**
+ * Gift tag profile
+ */
+
+import { PRINT_NAMES_FIELD } from './shared-fields.js'
+
+export default {
+  type: 'tag',
+  label: 'Gift tag',
+  keywords: ['gift tag', 'gift tags', 'tags', 'to from labels', 'gift labels', 'gift stickers'],
+  fields: {
+    selfAdhesive: {
+      type: 'boolean',
+      description: 'Whether the tags are stickers rather than hanging tags',
+      rule: 'true for stickers/labels, false for hanging tags with string or holes, otherwise null'
+    },
+    printNames: PRINT_NAMES_FIELD
+  },
+  promptRules: [
+    'quantity: total number of tags or stickers in the pack'
+  ],
+  postProcess(product) {
+    return product
+  }
+}
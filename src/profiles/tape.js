@@ -0,0 +1,36 @@
+/**
+ * Tape profile
+ */
+
+export default {
+  type: 'tape',
+  label: 'Tape',
+  keywords: ['tape', 'gift wrap tape', 'washi tape', 'transparent tape', 'double sided tape'],
+  fields: {
+    tapeWidth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 4],
+      description: 'Tape width in inches',
+      rule: 'Tape width in inches (e.g. "3/4 in x 650 in" = 0.75, "15mm" = 0.59)'
+    },
+    tapeLength: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 100000],
+      description: 'Tape length per roll in inches',
+      rule: 'Length per roll in inches (e.g. "3/4 in x 650 in" = 650, "10 yards" = 360, "5 m" = 197)'
+    },
+    dispenser: {
+      type: 'boolean',
+      description: 'Whether the rolls come in dispensers',
+      rule: 'true if the rolls come in or with a dispenser, otherwise false'
+    }
+  },
+  promptRules: [
+    'quantity: number of tape rolls in the pack'
+  ],
+  postProcess(product) {
+    return product
+  }
+}
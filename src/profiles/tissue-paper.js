@@ -0,0 +1,48 @@
+/**
+ * Tissue paper profile
+ */
+
+import { COLORS_FIELD, PRINT_NAMES_FIELD } from './shared-fields.js'
+
+export default {
+  type: 'tissue_paper',
+  label: 'Tissue paper',
+  keywords: ['tissue paper', 'gift tissue', 'tissue sheets', 'wrapping tissue'],
+  fields: {
+    sheetCount: {
+      type: 'integer',
+      range: [0, 10000],
+      description: 'Total number of tissue sheets in the pack',
+      rule: 'Total sheet count, e.g. "100 sheets" = 100, "4 packs of 25 sheets" = 100'
+    },
+    sheetWidth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 60],
+      description: 'Sheet width in inches',
+      rule: 'Sheet width in inches from a size like "20 x 26 inches" (first number)'
+    },
+    sheetLength: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 60],
+      description: 'Sheet length in inches',
+      rule: 'Sheet length in inches from a size like "20 x 26 inches" (second number)'
+    },
+    colors: COLORS_FIELD,
+    printNames: PRINT_NAMES_FIELD
+  },
+  promptRules: [
+    'quantity: number of separately packaged tissue packs (not sheets); use sheetCount for sheets'
+  ],
+  postProcess(product) {
+    // Some listings only state sheets per pack; scale up when the pack count is known
+    if (product.sheetCount === null && product.quantity) {
+      const perPack = (product.description || '').match(/(\d+)\s+sheets\s+(?:per|each|in each)\b/i)
+      if (perPack) {
+        product.sheetCount = parseInt(perPack[1], 10) * product.quantity
+      }
+    }
+    return product
+  }
+}
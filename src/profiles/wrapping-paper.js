@@ -0,0 +1,130 @@
+/**
+ * Wrapping paper profile
+ */
+
+import { matchImagesToPrintNames } from '../image-gallery.js'
+import { applyRollLayout, checkRollConsistency, detectRollLayout, REVERSE_TYPES } from '../roll-layout.js'
+import { checkAreaConsistency, formatArea, parseArea, rollArea } from '../units.js'
+import { PRINT_NAMES_FIELD } from './shared-fields.js'
+
+/**
+ * JSON Schema for a single roll in a wrapping paper pack. A double-sided roll
+ * has a front `printName`, a `backPrintName` and reverseType "design";
+ * hasReverseSide is true whenever the back is not plain.
+ */
+export const ROLL_SCHEMA = {
+  type: 'object',
+  properties: {
+    rollNumber: { type: 'integer', minimum: 1, description: 'Roll number, starting at 1' },
+    onHand: { type: 'number', minimum: 0, description: 'Square feet on this roll' },
+    maxArea: { type: 'number', minimum: 0, description: 'Square feet on this roll when new' },
+    image: { type: ['string', 'null'], description: 'Image URL for this roll' },
+    printName: { type: ['string', 'null'], description: 'Print/design name on the front of this roll' },
+    backPrintName: { type: ['string', 'null'], description: 'Print/design name on the back of a double-sided roll' },
+    reverseType: { type: 'string', enum: REVERSE_TYPES, description: 'What the back shows: a second design, cutting grid lines, or nothing' },
+    hasReverseSide: { type: 'boolean', description: 'Whether the roll has a printed reverse side or cut lines' },
+    pairedRollNumber: { type: ['integer', 'null'], description: 'Roll number of the other roll with the same design, if any' }
+  },
+  required: ['rollNumber', 'onHand', 'maxArea', 'image', 'printName', 'backPrintName', 'reverseType', 'hasReverseSide', 'pairedRollNumber'],
+  additionalProperties: false
+}
+
+export default {
+  type: 'wrapping_paper',
+  label: 'Wrapping paper',
+  keywords: ['wrapping paper', 'gift wrap', 'gift wrapping', 'wrapping roll', 'wrap roll', 'kraft paper'],
+  fields: {
+    rollLength: {
+      type: 'number',
+      unit: 'ft',
+      range: [0, 1000],
+      description: 'Roll length in feet',
+      rule: `Look for length in feet in PRODUCT DETAILS or DESCRIPTION (e.g., "8.8 feet", "8.8'", "30\\" x 8.8'" means 8.8). Convert yards (x3) and meters (x3.281) to feet`
+    },
+    rollWidth: {
+      type: 'number',
+      unit: 'in',
+      range: [0, 120],
+      description: 'Roll width in inches',
+      rule: `Look for width in inches in PRODUCT DETAILS or DESCRIPTION (e.g., "30 inches", "30\\"", "30\\" x 8.8'" means 30). Convert cm (/2.54) to inches`
+    },
+    printNames: PRINT_NAMES_FIELD,
+    rolls: {
+      schema: { type: ['array', 'null'], items: ROLL_SCHEMA },
+      description: 'One Roll object for each roll in the pack',
+      rule: `IMPORTANT - Only create if quantity is found. Create an array with one Roll object for each roll in the pack.
+  * For each roll, set: rollNumber (1, 2, 3, ...), onHand (calculate from size per roll - e.g., if "22 sqft per roll" use 22, or if total size is "88 sqft" and quantity is 4, use 88/4 = 22), maxArea (same as onHand), image (null), printName (the design on the front: assign from printNames in order, cycling through them if there are more rolls than designs. If no printNames, use null), backPrintName and reverseType (see below), hasReverseSide (true unless reverseType is "plain"), pairedRollNumber (null - pairs are worked out from the listing afterwards)
+  * reverseType: "design" for reversible/double-sided rolls with a second print on the back, "gridlines" for cut lines or a cutting grid on the back, "plain" otherwise.
+  * Reversible rolls: printName is the front design and backPrintName the back design, each taken from printNames (front, back, front, back, ...). backPrintName is null for every other roll.
+  * Example: If quantity=4 and printNames=["Bold plaid", "Stripes", "Dots", "Merry Everything"], the description mentions cut lines on the reverse and size per roll is 22 sqft, create:
+    [
+      {"rollNumber": 1, "onHand": 22, "maxArea": 22, "image": null, "printName": "Bold plaid", "backPrintName": null, "reverseType": "gridlines", "hasReverseSide": true, "pairedRollNumber": null},
+      {"rollNumber": 2, "onHand": 22, "maxArea": 22, "image": null, "printName": "Stripes", "backPrintName": null, "reverseType": "gridlines", "hasReverseSide": true, "pairedRollNumber": null},
+      {"rollNumber": 3, "onHand": 22, "maxArea": 22, "image": null, "printName": "Dots", "backPrintName": null, "reverseType": "gridlines", "hasReverseSide": true, "pairedRollNumber": null},
+      {"rollNumber": 4, "onHand": 22, "maxArea": 22, "image": null, "printName": "Merry Everything", "backPrintName": null, "reverseType": "gridlines", "hasReverseSide": true, "pairedRollNumber": null}
+    ]
+  * Example: If quantity=2, the rolls are reversible and printNames=["Skiing Santa", "Zebras and penguins", "Snowflakes on red", "Joy to you on blue"], roll 1 is {"printName": "Skiing Santa", "backPrintName": "Zebras and penguins", "reverseType": "design", "hasReverseSide": true, ...} and roll 2 is {"printName": "Snowflakes on red", "backPrintName": "Joy to you on blue", ...}.
+  * If quantity is not found, set rolls to null.`
+    }
+  },
+  promptRules: [
+    'size: total area of the pack, formatted as "88 sqft"; if only a per-roll area is stated, multiply by the roll count'
+  ],
+  postProcess(product, { extractedText, measurements, warnings }) {
+    const totalArea = parseArea(product.size)
+    if (totalArea) {
+      measurements.totalArea = totalArea
+    }
+    
+    // Per-roll area: width x length when both are known, otherwise total / roll count
+    let areaPerRoll = rollArea(product.rollWidth, product.rollLength)
+    if (areaPerRoll === null && totalArea && product.quantity > 0) {
+      areaPerRoll = Math.round(totalArea.value / product.quantity * 100) / 100
+    }
+    if (areaPerRoll !== null) {
+      measurements.areaPerRoll = { value: areaPerRoll, unit: 'sqft' }
+      if (!totalArea && product.quantity > 0) {
+        product.size = formatArea({ value: areaPerRoll * product.quantity })
+        measurements.totalArea = { value: Math.round(areaPerRoll * product.quantity * 100) / 100, unit: 'sqft' }
+      }
+    }
+    
+    const areaCheck = checkAreaConsistency({
+      totalArea: totalArea ? totalArea.value : null,
+      widthIn: product.rollWidth,
+      lengthFt: product.rollLength,
+      quantity: product.quantity
+    })
+    if (areaCheck && !areaCheck.consistent) {
+      warnings.push(`Total area ${areaCheck.actual} sqft does not match ${product.rollWidth}" x ${product.rollLength}' x ${product.quantity} rolls = ${areaCheck.expected} sqft`)
+    }
+    
+    // Validate rolls array structure if present; areas come from the measurements, not model arithmetic,
+    // images from the gallery entry that matches the roll's print, and the reverse
+    // side and pairings from what the listing states
+    const layout = detectRollLayout(extractedText)
+    if (Array.isArray(product.rolls)) {
+      const rolls = product.rolls.map((roll, index) => {
+        const modelArea = typeof roll.maxArea === 'number' ? roll.maxArea : (typeof roll.onHand === 'number' ? roll.onHand : 0)
+        return {
+          rollNumber: typeof roll.rollNumber === 'number' ? roll.rollNumber : (index + 1),
+          onHand: areaPerRoll !== null ? areaPerRoll : modelArea,
+          maxArea: areaPerRoll !== null ? areaPerRoll : modelArea,
+          image: roll.image || null,
+          printName: roll.printName || null,
+          backPrintName: roll.backPrintName || null,
+          reverseType: roll.reverseType,
+          hasReverseSide: typeof roll.hasReverseSide === 'boolean' ? roll.hasReverseSide : false,
+          pairedRollNumber: null
+        }
+      })
+      const printImages = matchImagesToPrintNames(product.printNames, extractedText.gallery)
+      product.rolls = applyRollLayout(rolls, layout, product.printNames).map(roll => ({
+        ...roll,
+        image: printImages.get(roll.printName) || roll.image
+      }))
+    }
+    warnings.push(...checkRollConsistency(product, layout))
+    return product
+  }
+}
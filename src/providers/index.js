@@ -0,0 +1,77 @@
+/**
+ * LLM provider registry
+ *
+ * A provider turns a prompt (and an optional JSON Schema for the answer)
+ * into response text:
+ *
+ *   provider.generate({ model, prompt, format, images, options, signal, onToken }) -> Promise<string>
+ *
+ * `images` is a list of base64-encoded images for multimodal models,
+ * `options` carries sampling settings (temperature, top_p), `signal` aborts
+ * the request and `onToken` receives the text as it streams in. Providers
+ * throw an error with code FORMAT_UNSUPPORTED when the backend rejects the
+ * `format` schema, so the parser can fall back to free-text JSON.
+ */
+
+import { createMockProvider } from './mock.js'
+import { createOllamaProvider } from './ollama.js'
+import { createOpenAIProvider } from './openai.js'
+
+const factories = new Map()
+
+/**
+ * Register a provider factory under a name (replaces an existing one)
+ */
+export function registerProvider(name, factory) {
+  if (!/^[a-z0-9_-]+$/.test(name || '') || typeof factory !== 'function') {
+    throw new Error('A provider needs a lowercase name and a factory function')
+  }
+  factories.set(name, factory)
+}
+
+export function getProviderNames() {
+  return [...factories.keys()]
+}
+
+/**
+ * "llama3.2,qwen2.5" or ["llama3.2", "qwen2.5"] -> ["llama3.2", "qwen2.5"]
+ */
+export function parseModelList(models) {
+  return [].concat(models || [])
+    .flatMap(model => String(model).split(','))
+    .map(model => model.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Default model chain for a provider from the environment: the first model
+ * is tried first, the rest are fallbacks
+ */
+export function getDefaultModels(name) {
+  const ollamaModels = process.env.OLLAMA_MODEL || 'llama3.2'
+  if (name === 'openai') return parseModelList(process.env.OPENAI_MODEL || ollamaModels)
+  if (name === 'mock') return ['mock']
+  return parseModelList(ollamaModels)
+}
+
+/**
+ * Multimodal model chain for the vision pass from VISION_MODEL; empty when the pass is off
+ */
+export function getVisionModels() {
+  return parseModelList(process.env.VISION_MODEL)
+}
+
+/**
+ * Create a provider by name; config not given falls back to the provider's environment variables
+ */
+export function createProvider(name, config = {}) {
+  const factory = factories.get(name)
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}". Supported: ${getProviderNames().join(', ')}`)
+  }
+  return factory(config)
+}
+
+registerProvider('ollama', createOllamaProvider)
+registerProvider('openai', createOpenAIProvider)
+registerProvider('mock', createMockProvider)
@@ -0,0 +1,53 @@
+/**
+ * Deterministic mock provider, for tests and model-free evals
+ *
+ *   responses - raw answers returned in call order (strings are sent as-is,
+ *               so invalid JSON and re-asks can be scripted too)
+ *   answers   - the values "the model" knows; once responses run out, each
+ *               call is answered with the subset of these its `format`
+ *               schema asks for, and schema-valid defaults for the rest
+ */
+
+/**
+ * Schema-valid placeholder for a property: null where allowed, otherwise an empty value
+ */
+function defaultValue(schema) {
+  const types = [].concat(schema && schema.type ? schema.type : 'null')
+  if (types.includes('null')) return null
+  if (types.includes('array')) return []
+  if (types.includes('boolean')) return false
+  if (types.includes('number') || types.includes('integer')) return 0
+  if (types.includes('object')) return {}
+  return ''
+}
+
+/**
+ * Answer shaped by the request's format schema, or all answers for free-text requests
+ */
+function answerFor(format, answers) {
+  if (!format || !format.properties) return answers
+  const answer = {}
+  for (const [field, schema] of Object.entries(format.properties)) {
+    answer[field] = answers[field] !== undefined ? answers[field] : defaultValue(schema)
+  }
+  return answer
+}
+
+export function createMockProvider({ responses = [], answers = {} } = {}) {
+  const queue = [...responses]
+  const calls = []
+
+  async function generate({ model, prompt, format = null, images = null, onToken = null }) {
+    calls.push({ model, prompt, format, images })
+    const next = queue.length > 0 ? queue.shift() : answerFor(format, answers)
+    const text = typeof next === 'string' ? next : JSON.stringify(next)
+    if (onToken) onToken(text)
+    return text
+  }
+
+  return {
+    name: 'mock',
+    calls,
+    generate
+  }
+}
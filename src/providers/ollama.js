@@ -0,0 +1,72 @@
+/**
+ * Ollama provider, using either the generate or the chat API
+ */
+
+import { Ollama } from 'ollama'
+import { createUnsupportedFormatError, ParseError } from '../errors.js'
+
+function translateError(error) {
+  if (error.name === 'ResponseError' && /format/i.test(error.message || '')) {
+    return createUnsupportedFormatError(error.message)
+  }
+  if (error.code === 'UND_ERR_HEADERS_TIMEOUT' || error.cause?.code === 'UND_ERR_HEADERS_TIMEOUT' || /Headers Timeout/.test(error.message || '')) {
+    return new ParseError('MODEL_TIMEOUT', `Ollama request timed out: ${error.message}`)
+  }
+  return error
+}
+
+/**
+ * Config defaults: OLLAMA_HOST and OLLAMA_API (generate or chat)
+ */
+export function createOllamaProvider({
+  host = process.env.OLLAMA_HOST || 'http://localhost:11434',
+  api = process.env.OLLAMA_API || 'generate'
+} = {}) {
+  if (!['generate', 'chat'].includes(api)) {
+    throw new Error(`Unknown Ollama API "${api}". Use generate or chat`)
+  }
+  const client = new Ollama({ host })
+
+  async function generate({ model, prompt, format = null, images = null, options = {}, signal = null, onToken = null }) {
+    // Always streamed, so an abort cancels just this request
+    const request = { model, format: format || undefined, options, stream: true }
+    const attached = images && images.length > 0 ? { images } : {}
+    let stream
+    try {
+      stream = api === 'chat'
+        ? await client.chat({ ...request, messages: [{ role: 'user', content: prompt, ...attached }] })
+        : await client.generate({ ...request, prompt, ...attached })
+    } catch (error) {
+      throw translateError(error)
+    }
+
+    const abort = () => stream.abort()
+    if (signal) {
+      if (signal.aborted) abort()
+      signal.addEventListener('abort', abort, { once: true })
+    }
+
+    let text = ''
+    try {
+      for await (const part of stream) {
+        const chunk = api === 'chat' ? part.message && part.message.content : part.response
+        if (chunk) {
+          text += chunk
+          if (onToken) onToken(chunk)
+        }
+      }
+    } catch (error) {
+      throw translateError(error)
+    } finally {
+      if (signal) signal.removeEventListener('abort', abort)
+    }
+    return text
+  }
+
+  return {
+    name: 'ollama',
+    host,
+    api,
+    generate
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * OpenAI-compatible chat completions provider, for llama.cpp server, vLLM,
+ * LM Studio and anything else that speaks POST /v1/chat/completions
+ *
+ * Schema-constrained output is requested with
+ * response_format: { type: "json_schema", json_schema: { schema } }.
+ * Images are sent as data URL image_url parts of the user message.
+ */
+
+import axios from 'axios'
+import { createUnsupportedFormatError } from '../errors.js'
+
+/**
+ * Read the body of a failed streamed request, for the error message
+ */
+async function readErrorBody(response) {
+  if (!response || !response.data) return ''
+  if (typeof response.data.on !== 'function') return JSON.stringify(response.data)
+  let body = ''
+  for await (const chunk of response.data) body += chunk
+  return body
+}
+
+/**
+ * MIME type of a base64-encoded image, from its leading bytes
+ */
+function imageMimeType(base64) {
+  if (base64.startsWith('iVBOR')) return 'image/png'
+  if (base64.startsWith('R0lGOD')) return 'image/gif'
+  if (base64.startsWith('UklGR')) return 'image/webp'
+  return 'image/jpeg'
+}
+
+/**
+ * Message content: the bare prompt, or text and image parts when there are images
+ */
+function messageContent(prompt, images) {
+  if (!images || images.length === 0) return prompt
+  return [
+    { type: 'text', text: prompt },
+    ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${imageMimeType(image)};base64,${image}` } }))
+  ]
+}
+
+/**
+ * Config defaults: OPENAI_BASE_URL (including /v1) and OPENAI_API_KEY
+ */
+export function createOpenAIProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+  apiKey = process.env.OPENAI_API_KEY || null
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+
+  async function generate({ model, prompt, format = null, images = null, options = {}, signal = null, onToken = null }) {
+    const body = {
+      model,
+      messages: [{ role: 'user', content: messageContent(prompt, images) }],
+      temperature: options.temperature,
+      top_p: options.top_p,
+      stream: true
+    }
+    if (format) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: format, strict: true } }
+    }
+
+    let response
+    try {
+      response = await axios.post(endpoint, body, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        responseType: 'stream',
+        signal
+      })
+    } catch (error) {
+      if (!error.response) throw error
+      const detail = await readErrorBody(error.response)
+      if (format && error.response.status === 400 && /response_format|json_schema|grammar/i.test(detail)) {
+        throw createUnsupportedFormatError(detail)
+      }
+      throw new Error(`Chat completions request failed with status ${error.response.status}: ${detail.slice(0, 300)}`)
+    }
+
+    // Server-Sent Events: "data: {json}" lines, ending with "data: [DONE]"
+    let text = ''
+    let buffer = ''
+    function readLine(line) {
+      const data = line.trim().replace(/^data:\s*/, '')
+      if (!line.startsWith('data:') || data === '[DONE]') return
+      let event
+      try {
+        event = JSON.parse(data)
+      } catch (error) {
+        // Keep-alives and other non-JSON data lines carry no tokens
+        return
+      }
+      const delta = event.choices?.[0]?.delta?.content
+      if (delta) {
+        text += delta
+        if (onToken) onToken(delta)
+      }
+    }
+    // Decode across chunks, so a multi-byte character split between two stays whole
+    response.data.setEncoding('utf8')
+    for await (const chunk of response.data) {
+      buffer += chunk
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+      lines.forEach(readLine)
+    }
+    // The last event may end without a newline
+    if (buffer) readLine(buffer)
+    return text
+  }
+
+  return {
+    name: 'openai',
+    baseUrl,
+    generate
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Per-host token bucket rate limiter
+ *
+ * Each host gets a bucket of `burst` tokens refilled at `ratePerSecond`.
+ * Callers for the same host are served in arrival order, so one limiter
+ * shared by every parse keeps the total request rate to a host in check.
+ * `now` and `wait` default to the real clock; tests pass a fake one.
+ */
+
+import { sleep } from './async-utils.js'
+
+export function createRateLimiter({ ratePerSecond = 1, burst = 1, now = Date.now, wait = sleep } = {}) {
+  const buckets = new Map()
+
+  function getBucket(host) {
+    let bucket = buckets.get(host)
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now(), tail: Promise.resolve() }
+      buckets.set(host, bucket)
+    }
+    return bucket
+  }
+
+  function refill(bucket) {
+    const time = now()
+    bucket.tokens = Math.min(burst, bucket.tokens + (time - bucket.updatedAt) / 1000 * ratePerSecond)
+    bucket.updatedAt = time
+  }
+
+  async function acquire(bucket, signal) {
+    refill(bucket)
+    if (bucket.tokens < 1) {
+      await wait(Math.ceil((1 - bucket.tokens) / ratePerSecond * 1000), signal)
+      refill(bucket)
+    }
+    bucket.tokens -= 1
+  }
+
+  /**
+   * Wait until a request to host may go out
+   */
+  function take(host, signal = null) {
+    const bucket = getBucket(host)
+    const turn = bucket.tail.then(() => acquire(bucket, signal))
+    // A cancelled waiter must not block the ones queued behind it
+    bucket.tail = turn.catch(() => {})
+    return turn
+  }
+
+  return {
+    take,
+    ratePerSecond,
+    burst
+  }
+}
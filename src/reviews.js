@@ -0,0 +1,175 @@
+/**
+ * Customer reviews: star rating, rating count and histogram read from the
+ * page, and the top visible reviews condensed by the model into pros and cons
+ *
+ * Returned next to the product (never inside it) when a parse asks for
+ * include: ["reviews"], so the product schema does not depend on it.
+ *
+ * Page sections:
+ *   rating      #acrPopover title / #averageCustomerReviews .a-icon-alt ("4.6 out of 5 stars")
+ *   count       #acrCustomerReviewText ("1,234 ratings")
+ *   histogram   #histogramTable rows or their aria-labels ("5 star 78%")
+ *   reviews     [data-hook="review"] blocks under the histogram
+ */
+
+import * as cheerio from 'cheerio'
+import { cleanText, parseCount, parseStarRating } from './text.js'
+
+// Bump when the summary prompt or response schema changes
+export const REVIEW_PROMPT_VERSION = '1.0.0'
+
+// Sections a parse request can add with `include`
+export const INCLUDE_SECTIONS = ['reviews']
+
+// What shoppers of wrapping paper complain or rave about, summarized one by one
+export const REVIEW_ASPECTS = {
+  paperThickness: 'paper thickness and weight (thin, see-through, sturdy)',
+  tearing: 'tearing, ripping or creasing while wrapping',
+  cutLines: 'accuracy of the grid or cut lines on the back'
+}
+
+const SENTIMENTS = ['positive', 'mixed', 'negative', 'not_mentioned']
+
+// The page shows 8-10 reviews; the longest ones are cut so the prompt stays small
+const MAX_REVIEWS = 10
+const MAX_REVIEW_LENGTH = 1200
+
+const STAR_LABEL = /\b([1-5])\s*(?:stars?|sterne?n?|étoiles?|estrellas?|stelle)|星\s*([1-5])/i
+const PERCENT = /(\d{1,3})\s*(?:%|percent|prozent|pour\s*cent)/i
+
+/**
+ * Percent of ratings per star, { 5: 78, 4: 12, ... }, or null without a histogram
+ */
+function extractHistogram($) {
+  const histogram = {}
+  $('#histogramTable tr, #histogramTable li').each((_, row) => {
+    const labels = $(row).find('[aria-label]').map((__, element) => $(element).attr('aria-label')).get()
+    const text = cleanText([$(row).text(), ...labels].join(' '))
+    const star = text.match(STAR_LABEL)
+    const percent = text.match(PERCENT)
+    if (!star || !percent) return
+    const stars = star[1] || star[2]
+    if (!(stars in histogram)) {
+      histogram[stars] = parseInt(percent[1], 10)
+    }
+  })
+  return Object.keys(histogram).length > 0 ? histogram : null
+}
+
+function extractReview($, element) {
+  const block = $(element)
+  const title = block.find('[data-hook="review-title"]').first().clone()
+  // The star label sits inside the title link on newer layouts
+  title.find('.a-icon-alt, i, .a-letter-space').remove()
+  const helpful = cleanText(block.find('[data-hook="helpful-vote-statement"]').first().text())
+  const text = cleanText(block.find('[data-hook="review-body"]').first().text())
+
+  return {
+    id: block.attr('id') || null,
+    title: cleanText(title.text()) || null,
+    rating: parseStarRating(block.find('[data-hook="review-star-rating"], [data-hook="cmps-review-star-rating"]').first().text()),
+    date: cleanText(block.find('[data-hook="review-date"]').first().text()) || null,
+    verified: block.find('[data-hook="avp-badge"], [data-hook="avp-badge-linkless"]').length > 0,
+    // "One person found this helpful" has no digits
+    helpfulVotes: helpful ? (parseCount(helpful) ?? 1) : 0,
+    text: text.length > MAX_REVIEW_LENGTH ? `${text.slice(0, MAX_REVIEW_LENGTH)}…` : text
+  }
+}
+
+/**
+ * Rating, count, histogram and top visible reviews of a product page.
+ * Values the page doesn't show are null; reviews without text are skipped.
+ */
+export function extractReviews(html) {
+  const $ = cheerio.load(html)
+  const ratingLabel = $('#acrPopover').attr('title') ||
+    $('#averageCustomerReviews .a-icon-alt').first().text() ||
+    $('[data-hook="rating-out-of-text"]').first().text()
+
+  return {
+    rating: ratingLabel ? parseStarRating(ratingLabel) : null,
+    ratingCount: parseCount($('#acrCustomerReviewText').first().text() || $('[data-hook="total-review-count"]').first().text()),
+    histogram: extractHistogram($),
+    topReviews: $('[data-hook="review"]')
+      .map((_, element) => extractReview($, element))
+      .get()
+      .filter(review => review.text)
+      .slice(0, MAX_REVIEWS)
+  }
+}
+
+/**
+ * Schema for the model's summary
+ */
+export function createReviewSummarySchema() {
+  const aspect = {
+    type: 'object',
+    properties: {
+      sentiment: { type: 'string', enum: SENTIMENTS },
+      summary: { type: ['string', 'null'], description: 'One sentence on what reviewers say, null when not mentioned' }
+    },
+    required: ['sentiment', 'summary'],
+    additionalProperties: false
+  }
+  return {
+    type: 'object',
+    properties: {
+      pros: { type: 'array', items: { type: 'string' }, description: 'Short points reviewers liked' },
+      cons: { type: 'array', items: { type: 'string' }, description: 'Short points reviewers disliked' },
+      aspects: {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(REVIEW_ASPECTS).map(name => [name, aspect])),
+        required: Object.keys(REVIEW_ASPECTS),
+        additionalProperties: false
+      }
+    },
+    required: ['pros', 'cons', 'aspects'],
+    additionalProperties: false
+  }
+}
+
+/**
+ * Prompt asking for pros, cons and the aspects in REVIEW_ASPECTS
+ */
+export function createReviewSummaryPrompt(extracted, title = null) {
+  const reviews = extracted.topReviews
+    .map((review, index) => `Review ${index + 1}${review.rating !== null ? ` (${review.rating}/5)` : ''}${review.title ? `: ${review.title}` : ''}\n${review.text}`)
+    .join('\n\n')
+  const aspects = Object.entries(REVIEW_ASPECTS)
+    .map(([name, description]) => `  * ${name}: ${description}`)
+    .join('\n')
+
+  return `Summarize these customer reviews${title ? ` of "${title}"` : ''}.
+
+${reviews}
+
+RULES:
+- pros / cons: up to 5 short points each (a few words, e.g. "Thick paper", "Tears at the folds"), most often mentioned first. Only points the reviews actually make.
+- aspects: for each of these, the overall sentiment ("positive", "mixed", "negative") and one sentence on what reviewers say, or "not_mentioned" with summary null:
+${aspects}
+- Write in English even if the reviews are in another language.
+
+Return ONLY a JSON object with pros, cons and aspects.`
+}
+
+/**
+ * The model's summary in the expected shape; the free-text fallback path does
+ * not validate against the schema
+ */
+export function normalizeReviewSummary(data) {
+  const points = list => (Array.isArray(list) ? list.filter(point => typeof point === 'string' && point.trim()).map(point => point.trim()) : [])
+  const aspects = {}
+  for (const name of Object.keys(REVIEW_ASPECTS)) {
+    const aspect = data && data.aspects && data.aspects[name]
+    const sentiment = aspect && SENTIMENTS.includes(aspect.sentiment) ? aspect.sentiment : 'not_mentioned'
+    aspects[name] = {
+      sentiment,
+      summary: sentiment !== 'not_mentioned' && aspect && typeof aspect.summary === 'string' ? aspect.summary.trim() || null : null
+    }
+  }
+  return {
+    pros: points(data && data.pros),
+    cons: points(data && data.cons),
+    aspects
+  }
+}
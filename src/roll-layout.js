@@ -0,0 +1,188 @@
+/**
+ * Roll layout of a wrapping paper pack: how many designs there are, how many
+ * rolls of each, and what is on the back, read from the listing text by rules
+ *
+ * Recognized statements:
+ *   design count       "SIX CUTE DESIGNS", "6 different prints", "3 patterns"
+ *   rolls per design   "2 rolls each of 3 designs", "2 rolls of each design", "3 designs, 2 rolls each"
+ *   reverse side       "grid lines on the back", "cut lines on reverse"      -> gridlines
+ *                      "reversible ... & gridlines" (grid lines anywhere)    -> gridlines
+ *                      "reversible", "double-sided", "printed on both sides" -> design
+ */
+
+import { cleanText } from './text.js'
+
+// What the back of a roll shows
+export const REVERSE_TYPES = ['design', 'gridlines', 'plain']
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+}
+const COUNT = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`
+const DESIGN = '(?:designs?|prints?|patterns?)'
+
+const ROLLS_EACH_OF_DESIGNS = new RegExp(`\\b${COUNT}\\s+rolls?\\s+each\\s+of\\s+${COUNT}\\s+(?:[a-z]+\\s+){0,2}${DESIGN}\\b`, 'i')
+const DESIGNS_ROLLS_EACH = new RegExp(`\\b${COUNT}\\s+(?:[a-z]+\\s+){0,2}${DESIGN}\\W{0,3}(?:with\\s+)?${COUNT}\\s+rolls?\\s+(?:each|per\\s+${DESIGN})\\b`, 'i')
+const ROLLS_OF_EACH_DESIGN = new RegExp(`\\b${COUNT}\\s+(?:rolls?\\s+)?of\\s+each\\s+${DESIGN}\\b`, 'i')
+// Plural only: "1 design per roll" is not a count
+const DESIGN_COUNT = new RegExp(`\\b${COUNT}\\s+(?:[a-z]+\\s+){0,2}(?:designs|prints|patterns)\\b`, 'i')
+
+const REVERSIBLE = /\b(?:reversible|double[\s-]sided|two[\s-]sided|(?:printed|designs?|prints?)\s+on\s+both\s+sides)\b/i
+// Grid lines named without a side; only read as the reverse next to "reversible"
+const GRID_MENTION = /\b(?:grid\s*lines?|cut(?:ting)?\s+lines?|cutting\s+grid)\b/i
+const GRIDLINES = /\b(?:grid\s*lines?|cut(?:ting)?\s+lines?|cutting\s+grid|grid)\b[^.;]{0,40}?\b(?:back|reverse|underside|other\s+side)\b|\b(?:back|reverse|underside)\b[^.;]{0,30}?\b(?:grid\s*lines?|cut(?:ting)?\s+lines?|grid)\b/i
+
+function toCount(text) {
+  const lower = text.toLowerCase()
+  return NUMBER_WORDS[lower] || parseInt(lower, 10)
+}
+
+/**
+ * The layout statements in the title, bullets and description.
+ * Returns { designCount, rollsPerDesign, reverseType, evidence } where evidence
+ * holds the matched words for every value found; values not stated are null.
+ */
+export function detectRollLayout(extractedText = {}) {
+  const text = [extractedText.title, extractedText.description, extractedText.productDescription]
+    .filter(Boolean)
+    .map(cleanText)
+    .join(' . ')
+  const layout = { designCount: null, rollsPerDesign: null, reverseType: null, evidence: {} }
+
+  const eachOf = text.match(ROLLS_EACH_OF_DESIGNS)
+  const designsEach = !eachOf && text.match(DESIGNS_ROLLS_EACH)
+  if (eachOf) {
+    layout.rollsPerDesign = toCount(eachOf[1])
+    layout.designCount = toCount(eachOf[2])
+    layout.evidence.rollsPerDesign = layout.evidence.designCount = eachOf[0]
+  } else if (designsEach) {
+    layout.designCount = toCount(designsEach[1])
+    layout.rollsPerDesign = toCount(designsEach[2])
+    layout.evidence.rollsPerDesign = layout.evidence.designCount = designsEach[0]
+  } else {
+    const ofEach = text.match(ROLLS_OF_EACH_DESIGN)
+    if (ofEach) {
+      layout.rollsPerDesign = toCount(ofEach[1])
+      layout.evidence.rollsPerDesign = ofEach[0]
+    }
+  }
+
+  if (layout.designCount === null) {
+    const designs = text.match(DESIGN_COUNT)
+    if (designs) {
+      layout.designCount = toCount(designs[1])
+      layout.evidence.designCount = designs[0]
+    }
+  }
+
+  // Grid lines are checked first: "Reversible Wrapping Paper & Gridlines" is a cutting guide
+  // on the back, and only "reversible" without grid lines names a second print
+  const reversible = text.match(REVERSIBLE)
+  const gridlines = text.match(GRIDLINES) || (reversible && text.match(GRID_MENTION))
+  if (gridlines || reversible) {
+    layout.reverseType = gridlines ? 'gridlines' : 'design'
+    layout.evidence.reverseType = (gridlines || reversible)[0]
+  }
+
+  return layout
+}
+
+/**
+ * A roll with the reverse-side fields filled in, for rolls stored before they existed.
+ * A printed reverse side without a type is taken to be a second design.
+ */
+export function fillRollDefaults(roll) {
+  const reverseType = REVERSE_TYPES.includes(roll.reverseType)
+    ? roll.reverseType
+    : (roll.backPrintName || roll.hasReverseSide ? 'design' : 'plain')
+  return {
+    ...roll,
+    backPrintName: reverseType === 'design' ? roll.backPrintName || null : null,
+    reverseType,
+    hasReverseSide: reverseType !== 'plain'
+  }
+}
+
+// Model values that agree with a stated reverse side: listings call gridline backs "reversible" too
+const CONSISTENT_REVERSE_TYPES = {
+  design: ['design', 'gridlines'],
+  gridlines: ['gridlines']
+}
+
+/**
+ * The roll's reverse type when it agrees with the stated one, otherwise the stated one
+ */
+function statedReverseType(roll, layout) {
+  if (!layout.reverseType) return roll.reverseType
+  return CONSISTENT_REVERSE_TYPES[layout.reverseType].includes(roll.reverseType) ? roll.reverseType : layout.reverseType
+}
+
+function designKey(roll) {
+  return `${(roll.printName || '').toLowerCase()}|${(roll.backPrintName || '').toLowerCase()}`
+}
+
+/**
+ * Apply the stated layout to a pack's rolls. A stated reverse side replaces
+ * model values that contradict it and keeps those that agree; rolls without print names get the designs in blocks of
+ * `rollsPerDesign`; with exactly two rolls per design, the two rolls of each
+ * design are paired. Returns new rolls.
+ */
+export function applyRollLayout(rolls, layout, printNames = null) {
+  let result = rolls.map(roll => fillRollDefaults({ ...roll, reverseType: statedReverseType(roll, layout) }))
+
+  const perDesign = layout.rollsPerDesign
+  const names = Array.isArray(printNames) ? printNames : []
+  if (perDesign && names.length > 0 && result.every(roll => !roll.printName)) {
+    // A reversible design takes two names: front, then back
+    const sides = layout.reverseType === 'design' ? 2 : 1
+    result = result.map((roll, index) => {
+      const design = Math.floor(index / perDesign)
+      return {
+        ...roll,
+        printName: names[design * sides] || null,
+        backPrintName: sides === 2 ? names[design * sides + 1] || null : null
+      }
+    })
+  }
+
+  result = result.map(roll => ({ ...roll, pairedRollNumber: null }))
+  if (perDesign === 2) {
+    const named = result.some(roll => roll.printName)
+    const groups = new Map()
+    result.forEach((roll, index) => {
+      // Unnamed rolls are in design order, two at a time
+      const key = named ? designKey(roll) : String(Math.floor(index / 2))
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(roll)
+    })
+    for (const group of groups.values()) {
+      if (group.length !== 2 || (named && !group[0].printName)) continue
+      group[0].pairedRollNumber = group[1].rollNumber
+      group[1].pairedRollNumber = group[0].rollNumber
+    }
+  }
+
+  return result
+}
+
+/**
+ * Warnings for a pack whose rolls disagree with its quantity or stated layout
+ */
+export function checkRollConsistency(product, layout) {
+  const warnings = []
+  const rolls = Array.isArray(product.rolls) ? product.rolls : null
+  const quantity = typeof product.quantity === 'number' ? product.quantity : null
+
+  if (rolls && quantity !== null && rolls.length !== quantity) {
+    warnings.push(`Found ${rolls.length} roll(s) but the quantity is ${quantity}`)
+  }
+  if (layout.designCount && layout.rollsPerDesign && quantity !== null && layout.designCount * layout.rollsPerDesign !== quantity) {
+    warnings.push(`The listing states ${layout.rollsPerDesign} roll(s) each of ${layout.designCount} designs (${layout.designCount * layout.rollsPerDesign} rolls) but the quantity is ${quantity}`)
+  }
+  const designs = Array.isArray(product.printNames) ? new Set(product.printNames.map(name => name.toLowerCase())).size : 0
+  if (layout.designCount && designs > 0 && designs !== layout.designCount) {
+    warnings.push(`Found ${designs} print name(s) but the listing states ${layout.designCount} designs ("${layout.evidence.designCount}")`)
+  }
+  return warnings
+}
@@ -0,0 +1,200 @@
+/**
+ * Deterministic field extraction from structured page sections
+ *
+ * Anything the page states outright (ASIN, brand, item count, price, roll
+ * dimensions) is read here so the model only has to fill the gaps.
+ */
+
+import { createEvidence } from './confidence.js'
+import { DEFAULT_MARKETPLACE, parseLocalizedPrice } from './marketplaces.js'
+import { formatArea, parseAreas, parseRollSize } from './units.js'
+
+/**
+ * Look up a product details value by any of the given headings (case-insensitive)
+ */
+function findDetail(productDetails, headings) {
+  if (!productDetails) return null
+  const wanted = headings.map(h => h.toLowerCase())
+  for (const [heading, value] of Object.entries(productDetails)) {
+    const normalized = heading.replace(/[\u200e\u200f:]/g, '').trim().toLowerCase()
+    if (wanted.includes(normalized)) {
+      return { heading, value: value.replace(/[\u200e\u200f]/g, '').trim() }
+    }
+  }
+  return null
+}
+
+/**
+ * Parse the first amount out of the price section text, in the marketplace's number format
+ */
+export function parsePriceText(priceText, marketplace = DEFAULT_MARKETPLACE) {
+  return parseLocalizedPrice(priceText, marketplace)
+}
+
+/**
+ * First line of text that parse() reads a value from: { value, line }, or null
+ */
+function findInLines(text, parse) {
+  if (!text) return null
+  for (const line of text.split('\n')) {
+    const value = parse(line)
+    if (value) return { value, line }
+  }
+  return null
+}
+
+const TOTAL_AREA_BEFORE = /\b(?:total|combined|overall)\b[\s\w:]{0,12}$/i
+const TOTAL_AREA_AFTER = /^\s*\.?\s*(?:ttl|total|in\s+total|combined|overall)\b/i
+const PER_ROLL_BEFORE = /\b(?:each|per|every)\s+roll\b[\s\w:]{0,12}$/i
+const PER_ROLL_AFTER = /^\s*\.?\s*(?:(?:per|each|a|\/)\s*roll\b|each\b)/i
+
+/**
+ * Whether an area found in text is the pack total ("88 sq. ft. ttl"), one roll's
+ * ("22 sq ft per roll") or doesn't say (null)
+ */
+function areaScope(text, area) {
+  const before = text.slice(Math.max(0, area.index - 30), area.index)
+  const after = text.slice(area.index + area.text.length, area.index + area.text.length + 20)
+  if (TOTAL_AREA_AFTER.test(after) || TOTAL_AREA_BEFORE.test(before)) return 'total'
+  if (PER_ROLL_AFTER.test(after) || PER_ROLL_BEFORE.test(before)) return 'perRoll'
+  return null
+}
+
+/**
+ * The line of text around a position
+ */
+function lineAt(text, index) {
+  const start = text.lastIndexOf('\n', index) + 1
+  const end = text.indexOf('\n', index)
+  return text.slice(start, end === -1 ? undefined : end)
+}
+
+/**
+ * Find a pack quantity stated in free text ("Pack of 4", "4 Pack", "4 Rolls").
+ * Returns { count, text } with the matched words, or null.
+ */
+function parseQuantityText(text) {
+  if (!text) return null
+  const match = text.match(/\bpack\s+of\s+(\d+)\b/i) ||
+                text.match(/\b(\d+)[\s-]*(?:pack|pk|count|ct)\b/i) ||
+                text.match(/\b(\d+)\s+rolls?\b/i)
+  return match ? { count: parseInt(match[1], 10), text: match[0] } : null
+}
+
+/**
+ * Extract the fields that can be read deterministically.
+ * Returns the partial product and, for each field, where its value came from
+ * and the snippet it was read from ({ section, text }).
+ */
+export function extractRuleBasedFields(extractedText, { asin = null, html = null, marketplace = DEFAULT_MARKETPLACE } = {}) {
+  const fields = {}
+  const sources = {}
+  const evidence = {}
+  const details = extractedText.productDetails || null
+
+  function set(field, value, source, snippet = null) {
+    if (value === null || value === undefined || value === '' || Number.isNaN(value)) return
+    if (fields[field] !== undefined) return
+    fields[field] = value
+    sources[field] = source
+    evidence[field] = createEvidence(source.replace(/^rules:/, ''), snippet, typeof value === 'object' ? null : value)
+  }
+
+  // ASIN: request input, then the details table, then the page's hidden form field
+  if (asin && /^[A-Z0-9]{10}$/.test(asin)) {
+    set('asin', asin, 'input')
+  }
+  const asinDetail = findDetail(details, ['ASIN'])
+  if (asinDetail && /^[A-Z0-9]{10}$/.test(asinDetail.value)) {
+    set('asin', asinDetail.value, `rules:productDetails.${asinDetail.heading}`, `${asinDetail.heading}: ${asinDetail.value}`)
+  }
+  if (html) {
+    const asinInput = html.match(/<input[^>]*name=["']ASIN["'][^>]*value=["']([A-Z0-9]{10})["']/i)
+    if (asinInput) set('asin', asinInput[1], 'rules:html.input[name=ASIN]', asinInput[0])
+  }
+
+  if (extractedText.title) {
+    set('title', extractedText.title, 'rules:productTitle', extractedText.title)
+  }
+
+  if (extractedText.description) {
+    set('description', extractedText.description, 'rules:featurebullets_feature_div', extractedText.description)
+  }
+
+  if (extractedText.thumbnail) {
+    set('thumbnail', extractedText.thumbnail, 'rules:imgTagWrapperId', extractedText.thumbnail)
+  }
+
+  // Gallery: the main image is the thumbnail, and images is the whole gallery, main image first
+  const gallery = extractedText.gallery || []
+  if (gallery.length > 0) {
+    const main = gallery.find(image => image.variant === 'MAIN') || gallery[0]
+    set('thumbnail', main.url, 'rules:colorImages', main.url)
+    set('images', [main.url, ...gallery.map(image => image.url).filter(url => url !== main.url)], 'rules:colorImages')
+  }
+
+  const brandDetail = findDetail(details, ['Brand', 'Brand Name'])
+  if (brandDetail) {
+    set('brand', brandDetail.value, `rules:productDetails.${brandDetail.heading}`, `${brandDetail.heading}: ${brandDetail.value}`)
+  }
+
+  // Whole + fraction spans are unambiguous in every locale; fall back to the display string
+  const priceParts = extractedText.priceParts
+  if (priceParts && priceParts.whole && /^\d[\d.,\s]*$/.test(priceParts.whole)) {
+    const value = parseFloat(`${priceParts.whole.replace(/\D/g, '')}.${priceParts.fraction || '00'}`)
+    set('price', Number.isFinite(value) ? value : null, 'rules:coreprice_feature_div', extractedText.price)
+  }
+  set('price', parsePriceText(extractedText.price, marketplace), 'rules:coreprice_feature_div', extractedText.price)
+
+  const countDetail = findDetail(details, ['Number of Items', 'Unit Count', 'Number of Pieces'])
+  if (countDetail) {
+    const count = parseInt(countDetail.value.replace(/,/g, ''), 10)
+    if (Number.isInteger(count) && count > 0) {
+      set('quantity', count, `rules:productDetails.${countDetail.heading}`, `${countDetail.heading}: ${countDetail.value}`)
+    }
+  }
+  const titleQuantity = parseQuantityText(extractedText.title)
+  if (titleQuantity) {
+    set('quantity', titleQuantity.count, 'rules:productTitle', titleQuantity.text)
+  }
+
+  // Roll dimensions: the details table is the most reliable, then bullets, title, description
+  const dimensionSources = [
+    ['productDetails', details ? Object.entries(details).map(([k, v]) => `${k}: ${v}`).join('\n') : null],
+    ['featurebullets_feature_div', extractedText.description],
+    ['productTitle', extractedText.title],
+    ['productDescription', extractedText.productDescription]
+  ]
+  for (const [source, text] of dimensionSources) {
+    const found = findInLines(text, parseRollSize)
+    if (found) {
+      set('rollWidth', found.value.width.value, `rules:${source}`, found.line)
+      set('rollLength', found.value.length.value, `rules:${source}`, found.line)
+      break
+    }
+  }
+
+  const sizeSources = [
+    ['productTitle', extractedText.title],
+    ['productDetails', details ? Object.values(details).join('\n') : null],
+    ['featurebullets_feature_div', extractedText.description],
+    ['productDescription', extractedText.productDescription]
+  ]
+  // "50 sq. ft. per roll, 200 sq. ft. total": a total wins, then an area that says
+  // neither, then a per-roll area times the roll count
+  const areas = sizeSources.flatMap(([source, text]) => parseAreas(text).map(area => ({
+    ...area,
+    source,
+    scope: areaScope(text, area),
+    line: lineAt(text, area.index)
+  })))
+  const total = areas.find(area => area.scope === 'total') || areas.find(area => area.scope === null)
+  const perRoll = areas.find(area => area.scope === 'perRoll')
+  if (total) {
+    set('size', formatArea(total), `rules:${total.source}`, total.line)
+  } else if (perRoll && fields.quantity > 0) {
+    set('size', formatArea({ value: perRoll.value * fields.quantity }), `rules:${perRoll.source}`, perRoll.line)
+  }
+
+  return { fields, sources, evidence }
+}
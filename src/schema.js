@@ -2,26 +2,208 @@
  * Schema definitions and prompt templates for Amazon product parsing
  */
 
-export const PRODUCT_SCHEMA = {
-  asin: 'string (10 alphanumeric characters)',
-  type: 'string (one of: wrapping_paper, ribbon, box, tag, bow)',
-  title: 'string (product title)',
-  price: 'number (price in USD, without $ symbol)',
-  brand: 'string (brand name)',
-  description: 'string (product description or additional details)',
-  size: 'string (e.g., "88 sqft" for wrapping paper)',
-  quantity: 'number (number of items in pack)',
-  dimensions: 'string (for boxes: "WxLxH" format, e.g., "12x12x6")',
-  rollLength: 'number (roll length in feet, for wrapping paper)',
-  rollWidth: 'number (roll width in inches, for wrapping paper)',
-  printNames: 'array of strings (individual print/design names explicitly mentioned in description, e.g., ["Bold plaid", "Stripes", "Dots", "Merry Everything"])',
-  rolls: 'array of Roll objects (one for each roll in the pack, only for wrapping_paper type)',
-  thumbnail: 'string (main product image URL)',
-  images: 'array of strings (additional image URLs)',
-  url: 'string (Amazon product URL)'
-}
-
-export function createParsePrompt(extractedText, asin, url) {
+import Ajv from 'ajv'
+import { fieldToSchema, getProductTypes, listProfiles } from './profiles/index.js'
+
+// Bump when the prompt wording or rules change, so stored parses can be compared by prompt version
+export const PROMPT_VERSION = '2.3.0'
+
+/**
+ * Fields every product has, regardless of type. Same descriptor format as
+ * profile fields (see src/profiles/index.js).
+ */
+const BASE_FIELDS = {
+  asin: {
+    schema: { type: ['string', 'null'], pattern: '^[A-Z0-9]{10}$' },
+    description: '10 alphanumeric characters',
+    rule: 'Use the 10-character ASIN from PRODUCT DETAILS or the product URL'
+  },
+  title: {
+    type: 'string',
+    description: 'Product title',
+    rule: 'Use PRODUCT TITLE if available'
+  },
+  price: {
+    type: 'number',
+    range: [0, 100000],
+    description: 'Price in the marketplace currency, without currency symbol',
+    rule: 'Extract number from PRICE section (remove the currency symbol and thousands separators, convert to number; in "12,99 €" the comma is the decimal separator, so 12.99)'
+  },
+  brand: {
+    type: 'string',
+    description: 'Brand name',
+    rule: 'Look for "Brand:" in PRODUCT DETAILS'
+  },
+  description: {
+    type: 'string',
+    description: 'Product description or additional details',
+    rule: 'Use DESCRIPTION section, combine all bullet points'
+  },
+  size: {
+    type: 'string',
+    description: 'Overall size, e.g. "88 sqft" for wrapping paper',
+    rule: 'Look for size info in PRODUCT DETAILS or DESCRIPTION (e.g., "88 sq. ft.", "22 sq. ft. per roll") - format as "88 sqft" or "22 sqft"'
+  },
+  quantity: {
+    type: 'integer',
+    range: [0, 100000],
+    description: 'Number of items in pack',
+    rule: 'Look for "Pack of 4" (quantity=4), "4 Pack" (quantity=4), "Number of Items: 4" (quantity=4) in PRODUCT DETAILS or DESCRIPTION'
+  },
+  thumbnail: {
+    type: 'string',
+    description: 'Main product image URL'
+  },
+  images: {
+    schema: { type: 'array', items: { type: 'string' } },
+    description: 'Gallery image URLs, main image first'
+  }
+}
+
+// Fields we never ask the model for - the parser always sets them itself
+const NON_MODEL_FIELDS = ['url']
+
+function typeFieldSchema() {
+  return { type: ['string', 'null'], enum: [...getProductTypes(), null], description: 'Product type' }
+}
+
+/**
+ * Build the output JSON Schema for a product of the given profile.
+ * Without a profile only the fields shared by every type are included.
+ */
+export function createProductSchema(profile = null) {
+  const properties = { type: typeFieldSchema() }
+  for (const [field, spec] of Object.entries(BASE_FIELDS)) {
+    properties[field] = fieldToSchema(spec)
+  }
+  for (const [field, spec] of Object.entries(profile ? profile.fields : {})) {
+    properties[field] = fieldToSchema(spec)
+  }
+  properties.url = { type: ['string', 'null'], description: 'Amazon product URL' }
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  }
+}
+
+/**
+ * JSON Schema for the fields shared by every product type
+ */
+export const PRODUCT_SCHEMA = createProductSchema()
+
+/**
+ * Field list for editing a product of the given profile: name, value type
+ * ("string", "number", "integer", "boolean", "string[]" or "object[]" with the
+ * item properties), unit and description, in output order
+ */
+export function describeProductFields(profile = null) {
+  const fields = { ...BASE_FIELDS, ...(profile ? profile.fields : {}) }
+  return Object.entries(fields).map(([name, spec]) => {
+    const schema = fieldToSchema(spec)
+    const type = [].concat(schema.type).find(t => t !== 'null')
+    const described = { name, type: spec.type || type, unit: spec.unit || null, description: spec.description || null }
+    if (type === 'array' && schema.items) {
+      described.type = schema.items.type === 'object' ? 'object[]' : `${schema.items.type}[]`
+      if (schema.items.properties) described.items = schema.items.properties
+    }
+    return described
+  })
+}
+
+/**
+ * Fields (with descriptors) the model may be asked for, given the profile
+ */
+function getModelFields(profile) {
+  const fields = { type: { schema: typeFieldSchema(), rule: createTypeRule() }, ...BASE_FIELDS }
+  for (const [field, spec] of Object.entries(profile ? profile.fields : {})) {
+    if (!spec.derived) fields[field] = spec
+  }
+  for (const field of NON_MODEL_FIELDS) delete fields[field]
+  return fields
+}
+
+/**
+ * Build the schema for the model response: only the fields rules left unresolved
+ */
+export function createResponseSchema(knownFields = {}, profile = null) {
+  const properties = {}
+  for (const [field, spec] of Object.entries(getModelFields(profile))) {
+    if (knownFields[field] === undefined) {
+      properties[field] = field === 'type' ? spec.schema : fieldToSchema(spec)
+    }
+  }
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  }
+}
+
+const ajv = new Ajv({ allErrors: true })
+// Keyed by the schema's JSON: schemas are rebuilt on every parse, and Ajv keeps
+// whatever it compiles, so one validator per distinct schema bounds the memory
+const validatorCache = new Map()
+
+/**
+ * Validate data against a JSON Schema and return readable error strings
+ */
+export function validateAgainstSchema(data, schema) {
+  const key = JSON.stringify(schema)
+  let validate = validatorCache.get(key)
+  if (!validate) {
+    validate = ajv.compile(schema)
+    validatorCache.set(key, validate)
+  }
+  
+  if (validate(data)) return []
+  
+  return validate.errors.map(error => {
+    const location = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : 'response'
+    if (error.keyword === 'additionalProperties') {
+      return `${location} has unexpected property "${error.params.additionalProperty}"`
+    }
+    if (error.keyword === 'enum') {
+      return `${location} must be one of: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`
+    }
+    return `${location} ${error.message}`
+  })
+}
+
+/**
+ * Render a JSON Schema as the compact type hint shown in the prompt
+ */
+function describeSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+  const nullable = types.includes('null')
+  const baseType = types.find(type => type !== 'null')
+  
+  if (schema.enum) {
+    return `"${schema.enum.filter(value => value !== null).join(' | ')}${nullable ? ' | null' : ''}"`
+  }
+  if (baseType === 'string') {
+    return nullable ? '"string | null"' : '"string"'
+  }
+  if (baseType === 'array') {
+    return `[${describeSchema(schema.items)}]${nullable ? ' | null' : ''}`
+  }
+  if (baseType === 'object') {
+    const entries = Object.entries(schema.properties).map(([key, value]) => `"${key}": ${describeSchema(value)}`)
+    return `{${entries.join(', ')}}${nullable ? ' | null' : ''}`
+  }
+  const scalar = baseType === 'integer' ? 'number' : baseType
+  return nullable ? `${scalar} | null` : scalar
+}
+
+function createTypeRule() {
+  const hints = listProfiles().map(profile => `${profile.keywords.slice(0, 3).join('/')} = ${profile.type}`)
+  return `Detect from title/description (${hints.join(', ')})`
+}
+
+function formatExtractedText(extractedText) {
   // Format extracted text into readable format
   let textContent = ''
   
@@ -37,6 +219,14 @@ export function createParsePrompt(extractedText, asin, url) {
     textContent += `DESCRIPTION / FEATURE BULLETS:\n${extractedText.description}\n\n`
   }
   
+  if (extractedText.productDescription) {
+    textContent += `PRODUCT DESCRIPTION:\n${extractedText.productDescription}\n\n`
+  }
+  
+  if (extractedText.aplus) {
+    textContent += `FROM THE MANUFACTURER:\n${extractedText.aplus}\n\n`
+  }
+  
   if (extractedText.productDetails && Object.keys(extractedText.productDetails).length > 0) {
     textContent += `PRODUCT DETAILS:\n`
     for (const [heading, value] of Object.entries(extractedText.productDetails)) {
@@ -53,103 +243,197 @@ export function createParsePrompt(extractedText, asin, url) {
     textContent = 'No product information extracted from HTML.'
   }
   
+  return textContent
+}
+
+/**
+ * Build a short prompt that only asks for the product type, used when keyword
+ * detection could not pick a profile
+ */
+export function createTypePrompt(extractedText) {
+  return `Classify the following Amazon product into one of these product types: ${getProductTypes().join(', ')}.
+Use null if it is none of them.
+
+RULES:
+- type: ${createTypeRule()}
+
+PRODUCT DATA:
+${formatExtractedText(extractedText)}
+
+Return ONLY a JSON object of the form {"type": ${describeSchema(typeFieldSchema())}}.`
+}
+
+/**
+ * Schema for the response to createTypePrompt
+ */
+export function createTypeResponseSchema() {
+  return {
+    type: 'object',
+    properties: { type: typeFieldSchema() },
+    required: ['type'],
+    additionalProperties: false
+  }
+}
+
+// Example pages are only there to be recognized, not read in full
+const MAX_EXAMPLE_DESCRIPTION_LENGTH = 600
+
+/**
+ * Render reviewer-corrected products as worked examples: the page's title and
+ * bullets, then the corrected values of the fields the model has to return
+ */
+function formatExamples(examples, fields) {
+  return examples.map((example, index) => {
+    const description = example.input.description || ''
+    const output = {}
+    for (const field of fields) {
+      if (example.corrected[field] !== undefined) output[field] = example.corrected[field]
+    }
+    return `EXAMPLE ${index + 1}:
+PRODUCT TITLE: ${example.input.title || 'none'}
+DESCRIPTION: ${description.length > MAX_EXAMPLE_DESCRIPTION_LENGTH ? description.slice(0, MAX_EXAMPLE_DESCRIPTION_LENGTH) + '…' : description || 'none'}
+CORRECT OUTPUT: ${JSON.stringify(output)}`
+  }).join('\n\n')
+}
+
+/**
+ * Build the prompt for the fields that rule-based extraction could not resolve.
+ * Fields in knownFields are shown to the model as context and left out of the
+ * schema it has to return. The profile contributes its fields and rules;
+ * examples are reviewer corrections of similar products (see src/correction-store.js).
+ */
+export function createParsePrompt(extractedText, asin, url, knownFields = {}, profile = null, examples = []) {
+  const textContent = formatExtractedText(extractedText)
+  
+  const missingFields = Object.entries(getModelFields(profile)).filter(([field]) => knownFields[field] === undefined)
+
+  const schemaLines = missingFields.map(([field, spec]) =>
+    `  "${field}": ${describeSchema(field === 'type' ? spec.schema : fieldToSchema(spec))}`
+  )
+  const ruleLines = missingFields
+    .filter(([, spec]) => spec.rule)
+    .map(([field, spec]) => `- ${field}: ${spec.rule}`)
+  if (profile) {
+    ruleLines.push(...profile.promptRules.map(rule => `- ${rule}`))
+  }
+
+  let knownContent = ''
+  for (const [field, value] of Object.entries(knownFields)) {
+    // Long text is already in PRODUCT DATA below, no need to repeat it
+    if (field === 'description' || field === 'title') continue
+    knownContent += `${field}: ${JSON.stringify(value)}\n`
+  }
+
+  const productKind = profile ? `This product is ${profile.label.toLowerCase()} (type "${profile.type}").\n\n` : ''
+
+  const exampleContent = examples.length > 0
+    ? `CORRECTED EXAMPLES (similar products checked by a reviewer - follow the same conventions, but take every value from PRODUCT DATA below):
+${formatExamples(examples, missingFields.map(([field]) => field))}
+
+`
+    : ''
+
   return `Extract product information from the following Amazon product data and return ONLY a valid JSON object matching the schema.
 
-Extract and map the following fields from the text below:
+${productKind}Some fields have already been read directly from the page. Use them for reasoning (e.g. to build rolls), but do not return them.
 
+ALREADY EXTRACTED (for ${asin || 'this product'}, ${url || 'no URL'}):
+${knownContent || 'none\n'}
 Required JSON schema (all fields required, use null if not found):
 {
-  "asin": "${asin || 'extract from URL'}",
-  "type": "wrapping_paper | ribbon | box | tag | bow | null",
-  "title": "string | null",
-  "price": number | null,
-  "brand": "string | null",
-  "description": "string | null",
-  "size": "string | null",
-  "quantity": number | null,
-  "dimensions": "string | null",
-  "rollLength": number | null,
-  "rollWidth": number | null,
-  "printNames": ["string"] | null,
-  "rolls": [{"rollNumber": number, "onHand": number, "maxArea": number, "image": "string | null", "printName": "string | null", "hasReverseSide": boolean, "pairedRollNumber": number | null}] | null,
-  "thumbnail": "string | null",
-  "images": ["string"],
-  "url": "${url || `https://www.amazon.com/dp/${asin || ''}`}"
+${schemaLines.join(',\n')}
 }
 
 EXTRACTION RULES:
-- type: Detect from title/description (wrapping/wrap/paper = wrapping_paper, ribbon = ribbon, box = box, tag/gift tag = tag, bow = bow)
-- title: Use PRODUCT TITLE if available
-- price: Extract number from PRICE section (remove $, commas, convert to number)
-- brand: Look for "Brand:" in PRODUCT DETAILS
-- description: Use DESCRIPTION section, combine all bullet points
-- size: Look for size info in PRODUCT DETAILS or DESCRIPTION (e.g., "88 sq. ft.", "22 sq. ft. per roll") - format as "88 sqft" or "22 sqft"
-- quantity: Look for "Pack of 4" (quantity=4), "4 Pack" (quantity=4), "Number of Items: 4" (quantity=4) in PRODUCT DETAILS or DESCRIPTION
-- rollWidth: Look for width in inches in PRODUCT DETAILS or DESCRIPTION (e.g., "30 inches", "30\\"", "30\\" x 8.8'" means 30)
-- rollLength: Look for length in feet in PRODUCT DETAILS or DESCRIPTION (e.g., "8.8 feet", "8.8'", "30\\" x 8.8'" means 8.8)
-- dimensions: For boxes, format as "WxLxH" in inches
-- printNames: Extract individual print/design names ONLY from what is explicitly mentioned in the title or description. IMPORTANT: Only extract names that are directly stated in the text - do NOT infer, guess, or make up names. 
-  
-  CRITICAL RULE FOR REVERSIBLE DESIGNS: If the description mentions "reversible" or "both sides", and you see a comma before a forward slash (/), treat the comma-separated items as ONE reversible design name. For example: "Skiing Santa, zebras and penguins /" means ONE design with two sides, so extract as ["Skiing Santa, zebras and penguins"] NOT ["Skiing Santa", "zebras and penguins"].
-  
-  Parsing patterns:
-  * Forward slash (/) is the PRIMARY separator between different designs. Split on forward slashes first.
-  * Within each slash-separated section, if there's a comma:
-    - If description mentions "reversible": Keep comma-separated items together as one design name (e.g., "Skiing Santa, zebras and penguins" = one design)
-    - If description does NOT mention "reversible": Split on commas (e.g., "Bold plaid, stripes, dots" = three designs)
-  * Quoted text: Preserve quotes and include in design name, e.g., "Joy to you, Fa la la, Ho ho ho" on blue → ["Joy to you, Fa la la, Ho ho ho on blue"]
-  * "X on Y" format: Include both parts, e.g., "Snowflakes and trees on red" → ["Snowflakes and trees on red"]
-  * Count validation: Check for explicit counts (e.g., "6 designs", "SIX CUTE DESIGNS") and ensure you extract exactly that many designs
-  
-  Examples: 
-  - "Bold plaid, stripes, dots, colorful houses, crafty trees and snowmen, 'Merry Everything' lettering" (not reversible) → ["Bold plaid", "Stripes", "Dots", "Colorful houses", "Crafty trees and snowmen", "Merry Everything"]
-  - "SIX CUTE DESIGNS: Bundle of reversible holiday wrapping paper features 6 adorable designs: Skiing Santa, zebras and penguins / Snowflakes and trees on red, 'Joy to you, Fa la la, Ho ho ho' on blue / Rainbow stripes, Snowmen and puppies/ Green trees" (REVERSIBLE - note "reversible" in description) → ["Skiing Santa, zebras and penguins", "Snowflakes and trees on red", "Joy to you, Fa la la, Ho ho ho on blue", "Rainbow stripes", "Snowmen and puppies", "Green trees"] (6 designs total)
-  
-  Return as array of strings. Use null or empty array if no print names are explicitly mentioned.
-- rolls: IMPORTANT - Only create if type is wrapping_paper AND quantity is found. Create an array with one Roll object for each roll in the pack.
-  * For each roll, set: rollNumber (1, 2, 3, ...), onHand (calculate from size per roll - e.g., if "22 sqft per roll" use 22, or if total size is "88 sqft" and quantity is 4, use 88/4 = 22), maxArea (same as onHand), image (null), printName (assign from printNames array if available, cycling through them - roll 1 gets printNames[0], roll 2 gets printNames[1], etc. If no printNames, use null), hasReverseSide (look for "reverse", "both sides", "cut lines on reverse" in description - set true if found, false otherwise), pairedRollNumber (null)
-  * Example: If quantity=4 and printNames=["Bold plaid", "Stripes", "Dots", "Merry Everything"] and size per roll is 22 sqft, create:
-    [
-      {"rollNumber": 1, "onHand": 22, "maxArea": 22, "image": null, "printName": "Bold plaid", "hasReverseSide": true, "pairedRollNumber": null},
-      {"rollNumber": 2, "onHand": 22, "maxArea": 22, "image": null, "printName": "Stripes", "hasReverseSide": true, "pairedRollNumber": null},
-      {"rollNumber": 3, "onHand": 22, "maxArea": 22, "image": null, "printName": "Dots", "hasReverseSide": true, "pairedRollNumber": null},
-      {"rollNumber": 4, "onHand": 22, "maxArea": 22, "image": null, "printName": "Merry Everything", "hasReverseSide": true, "pairedRollNumber": null}
-    ]
-  * If type is not wrapping_paper or quantity is not found, set rolls to null.
+${ruleLines.join('\n')}
 
-PRODUCT DATA:
+${exampleContent}PRODUCT DATA:
 ${textContent}
 
 Return ONLY the raw JSON object. No markdown, no explanations, no code blocks. Start with { and end with }.`
 }
 
-export function validateProductData(data) {
-  const errors = []
-  
-  if (data.asin && !/^[A-Z0-9]{10}$/.test(data.asin)) {
-    errors.push('ASIN must be 10 alphanumeric characters')
+/**
+ * Build a follow-up prompt that feeds schema validation errors back to the model
+ */
+export function createReaskPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}
+
+Your previous response did not match the required JSON schema:
+${previousResponse}
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only. Keep every value that was already valid.`
+}
+
+/**
+ * Normalize one field value to its declared type (null when it doesn't fit)
+ */
+function cleanFieldValue(spec, value) {
+  const type = spec.schema ? [].concat(spec.schema.type).find(t => t !== 'null') : spec.type
+  if (type === 'number' || type === 'integer') {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null
   }
-  
-  if (data.type && !['wrapping_paper', 'ribbon', 'box', 'tag', 'bow'].includes(data.type)) {
-    errors.push('Type must be one of: wrapping_paper, ribbon, box, tag, bow')
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? value : null
   }
-  
-  if (data.price !== null && (typeof data.price !== 'number' || data.price < 0 || data.price > 100000)) {
-    errors.push('Price must be a number between 0 and 100000')
+  if (type === 'string[]' || type === 'array') {
+    if (Array.isArray(value)) return value
+    return spec.schema && ![].concat(spec.schema.type).includes('null') ? [] : (value === null ? null : [])
+  }
+  return value || null
+}
+
+/**
+ * Build the cleaned output object for a profile: shared fields first, then the
+ * profile's own fields, then url
+ */
+export function shapeProductData(productData, profile = null) {
+  const shaped = { asin: productData.asin || null, type: productData.type || null }
+  for (const [field, spec] of Object.entries(BASE_FIELDS)) {
+    if (field === 'asin') continue
+    shaped[field] = cleanFieldValue(spec, productData[field])
   }
+  for (const [field, spec] of Object.entries(profile ? profile.fields : {})) {
+    shaped[field] = cleanFieldValue(spec, productData[field])
+  }
+  shaped.url = productData.url || null
+  return shaped
+}
+
+function humanizeField(field) {
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase()
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+/**
+ * Check a cleaned product against the base fields and the profile's
+ * declared ranges. Returns warning strings; an empty array means valid.
+ */
+export function validateProductData(data, profile = null) {
+  const errors = []
+  const productTypes = getProductTypes()
   
-  if (data.quantity !== null && (typeof data.quantity !== 'number' || data.quantity < 0 || data.quantity > 100000)) {
-    errors.push('Quantity must be a number between 0 and 100000')
+  if (data.asin && !/^[A-Z0-9]{10}$/.test(data.asin)) {
+    errors.push('ASIN must be 10 alphanumeric characters')
   }
   
-  if (data.rollWidth !== null && (typeof data.rollWidth !== 'number' || data.rollWidth < 0 || data.rollWidth > 100)) {
-    errors.push('Roll width must be a number between 0 and 100')
+  if (data.type && !productTypes.includes(data.type)) {
+    errors.push(`Type must be one of: ${productTypes.join(', ')}`)
   }
   
-  if (data.rollLength !== null && (typeof data.rollLength !== 'number' || data.rollLength < 0 || data.rollLength > 100)) {
-    errors.push('Roll length must be a number between 0 and 100')
+  const fields = { ...BASE_FIELDS, ...(profile ? profile.fields : {}) }
+  for (const [field, spec] of Object.entries(fields)) {
+    if (!spec.range || data[field] === null || data[field] === undefined) continue
+    const [min, max] = spec.range
+    const value = data[field]
+    if (typeof value !== 'number' || value < min || value > max) {
+      const unit = spec.unit ? ` (${spec.unit})` : ''
+      errors.push(`${humanizeField(field)} must be a number between ${min} and ${max}${unit}`)
+    }
   }
   
   return errors
 }
-
@@ -0,0 +1,80 @@
+/**
+ * Helpers for reading the JSON that Amazon embeds in inline page scripts
+ */
+
+/**
+ * Text of every inline script on a loaded cheerio document
+ */
+export function getScriptText($) {
+  return $('script').map((_, el) => $(el).html() || '').get().join('\n')
+}
+
+/**
+ * Read the balanced {...} or [...] literal starting at text[start], skipping over strings
+ */
+function readBalanced(text, start) {
+  const open = text[start]
+  const close = open === '{' ? '}' : ']'
+  let depth = 0
+  let quote = null
+  for (let i = start; i < text.length; i++) {
+    const char = text[i]
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+      continue
+    }
+    if (char === '"' || char === "'") quote = char
+    else if (char === open) depth++
+    else if (char === close && --depth === 0) return text.slice(start, i + 1)
+  }
+  return null
+}
+
+/**
+ * Parse a JS object literal whose keys may be single-quoted ('initial': [...])
+ */
+export function parseObjectLiteral(literal) {
+  try {
+    return JSON.parse(literal.replace(/'([^'"\\]*)'\s*:/g, '"$1":'))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Every value assigned to `key` in the script text ("key" : value or 'key': value)
+ * that parses as JSON - objects, arrays and double-quoted strings
+ */
+export function findScriptValues(scriptText, key) {
+  const values = []
+  const pattern = new RegExp(`["']${key}["']\\s*:\\s*`, 'g')
+  let match
+  while ((match = pattern.exec(scriptText)) !== null) {
+    const start = match.index + match[0].length
+    const char = scriptText[start]
+    if (char === '{' || char === '[') {
+      const literal = readBalanced(scriptText, start)
+      const parsed = literal ? parseObjectLiteral(literal) : null
+      if (parsed) values.push(parsed)
+    } else if (char === '"') {
+      const string = scriptText.slice(start).match(/^"((?:[^"\\]|\\.)*)"/)
+      if (string) {
+        try {
+          values.push(JSON.parse(`"${string[1]}"`))
+        } catch (error) {
+          // Not a JSON string literal - ignore it
+        }
+      }
+    }
+  }
+  return values
+}
+
+/**
+ * First value assigned to `key` in the script text, or null
+ */
+export function findScriptValue(scriptText, key) {
+  const [value = null] = findScriptValues(scriptText, key)
+  return value
+}
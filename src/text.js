@@ -0,0 +1,57 @@
+/**
+ * Text cleanup shared by the page extractors
+ */
+
+/**
+ * Collapse whitespace and drop the invisible direction marks Amazon puts around labels
+ */
+export function cleanText(text) {
+  if (!text) return ''
+  return text
+    .replace(/[\u200b\u200e\u200f\ufeff]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Lowercase words with punctuation dropped and a plural "s" trimmed, so
+ * "Bold Plaids!" and "bold plaid" compare equal
+ */
+export function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word))
+}
+
+/**
+ * Star rating out of 5 in a label like "4.6 out of 5 stars", "4,6 von 5 Sternen"
+ * or "5つ星のうち4.6", or null. The decimal wins, since the scale comes first in Japanese.
+ */
+export function parseStarRating(text) {
+  const label = cleanText(text)
+  const match = label.match(/(\d)[.,](\d)/) || label.match(/(\d)/)
+  if (!match) return null
+  const rating = parseFloat(match[2] ? `${match[1]}.${match[2]}` : match[1])
+  return rating >= 0 && rating <= 5 ? rating : null
+}
+
+/**
+ * Whole number with any thousands separator ("1,234", "1.234", "1 234") or
+ * abbreviated like search results show it ("1.2K", "3M"), or null
+ */
+export function parseCount(text) {
+  const label = cleanText(text)
+  const abbreviated = label.match(/(\d+(?:[.,]\d+)?)\s*([KM])\b/i)
+  if (abbreviated) {
+    const scale = abbreviated[2].toUpperCase() === 'K' ? 1000 : 1000000
+    return Math.round(parseFloat(abbreviated[1].replace(',', '.')) * scale)
+  }
+  const match = label.match(/\d[\d.,\s ]*/)
+  if (!match) return null
+  const count = parseInt(match[0].replace(/\D/g, ''), 10)
+  return Number.isFinite(count) ? count : null
+}
@@ -0,0 +1,273 @@
+/**
+ * Unit parsing and normalization for sizes, lengths and areas
+ *
+ * Amazon listings state measurements in many forms: `30" x 8.8'`,
+ * `2 1/2 inch`, `100 yards`, `88 sq. ft.`, `8 m x 70 cm`. Everything here
+ * returns explicit `{ value, unit }` pairs using these canonical units:
+ * lengths in `in`, `ft`, `yd`, `m`, `cm`, `mm` and areas in `sqft`.
+ */
+
+const INCHES_PER_UNIT = {
+  in: 1,
+  ft: 12,
+  yd: 36,
+  mm: 1 / 25.4,
+  cm: 1 / 2.54,
+  m: 100 / 2.54
+}
+
+const SQFT_PER_UNIT = {
+  sqft: 1,
+  sqin: 1 / 144,
+  sqyd: 9,
+  sqm: 10.7639
+}
+
+const VULGAR_FRACTIONS = {
+  '½': 1 / 2, '¼': 1 / 4, '¾': 3 / 4, '⅓': 1 / 3, '⅔': 2 / 3,
+  '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+}
+
+// "2 1/2", "2-1/2", "1/2", "2½", "2.5", "1,000"
+const NUMBER_PATTERN = '(?:(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?(?:[\\s-]+\\d+\\/\\d+|\\s*[½¼¾⅓⅔⅛⅜⅝⅞])?|\\d+\\/\\d+|[½¼¾⅓⅔⅛⅜⅝⅞])'
+
+// Longest alternatives first so "inches" is not read as "in" + "ches"
+const LENGTH_UNIT_PATTERNS = [
+  ['mm', 'millimet(?:er|re)s?\\b|mm\\b'],
+  ['cm', 'centimet(?:er|re)s?\\b|cm\\b'],
+  ['m', 'met(?:er|re)s?\\b|m\\b'],
+  ['yd', 'yards?\\b|yds?\\b\\.?'],
+  ['ft', "feet\\b|foot\\b|ft\\b\\.?|'(?!')|’|′"],
+  ['in', 'inch(?:es)?\\b|in\\b\\.?|"|”|″|\'\'']
+]
+
+const LENGTH_UNIT_SOURCE = LENGTH_UNIT_PATTERNS.map(([, pattern]) => `(?:${pattern})`).join('|')
+
+const AREA_PATTERN = new RegExp(
+  `(${NUMBER_PATTERN})\\s*(sq\\.?\\s*(?:ft|feet|foot)\\.?|square\\s+(?:feet|foot)|sqft|ft²|ft2|` +
+  `sq\\.?\\s*(?:in|inch(?:es)?)\\.?|square\\s+inch(?:es)?|in²|` +
+  `sq\\.?\\s*(?:yd|yards?)\\.?|square\\s+yards?|yd²|` +
+  `sq\\.?\\s*(?:m|met(?:er|re)s?)\\.?|square\\s+met(?:er|re)s?|m²|m2)`,
+  'i'
+)
+
+/**
+ * Parse a number that may be a fraction ("1/2"), mixed ("2 1/2", "2½"), decimal
+ * or have thousands separators ("1,000")
+ */
+export function parseNumber(text) {
+  if (text === null || text === undefined) return null
+  const trimmed = String(text).trim().replace(/^(\d{1,3}(?:,\d{3})+)(?=\.|\s|$)/, digits => digits.replace(/,/g, ''))
+
+  const vulgar = trimmed.match(/^(\d+)?\s*([½¼¾⅓⅔⅛⅜⅝⅞])$/)
+  if (vulgar) {
+    return (vulgar[1] ? parseInt(vulgar[1], 10) : 0) + VULGAR_FRACTIONS[vulgar[2]]
+  }
+
+  const mixed = trimmed.match(/^(\d+)[\s-]+(\d+)\/(\d+)$/)
+  if (mixed) {
+    return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10)
+  }
+
+  const fraction = trimmed.match(/^(\d+)\/(\d+)$/)
+  if (fraction) {
+    return parseInt(fraction[1], 10) / parseInt(fraction[2], 10)
+  }
+
+  const value = parseFloat(trimmed)
+  return Number.isFinite(value) ? value : null
+}
+
+function normalizeLengthUnit(unitText) {
+  if (!unitText) return null
+  for (const [unit, pattern] of LENGTH_UNIT_PATTERNS) {
+    if (new RegExp(`^(?:${pattern})$`, 'i').test(unitText.trim())) {
+      return unit
+    }
+  }
+  return null
+}
+
+function normalizeAreaUnit(unitText) {
+  const text = unitText.toLowerCase()
+  if (/in|inch/.test(text)) return 'sqin'
+  if (/yd|yard/.test(text)) return 'sqyd'
+  if (/ft|feet|foot/.test(text)) return 'sqft'
+  return 'sqm'
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+/**
+ * Convert a length between canonical units
+ */
+export function convertLength(value, from, to) {
+  if (typeof value !== 'number' || !INCHES_PER_UNIT[from] || !INCHES_PER_UNIT[to]) return null
+  return value * INCHES_PER_UNIT[from] / INCHES_PER_UNIT[to]
+}
+
+/**
+ * Convert an area to square feet
+ */
+export function convertAreaToSqft(value, from) {
+  if (typeof value !== 'number' || !SQFT_PER_UNIT[from]) return null
+  return value * SQFT_PER_UNIT[from]
+}
+
+/**
+ * Parse the first length with a unit, e.g. "2 1/2 inch" -> { value: 2.5, unit: 'in' }
+ */
+export function parseLength(text) {
+  if (!text) return null
+  const match = String(text).match(new RegExp(`(${NUMBER_PATTERN})\\s*(${LENGTH_UNIT_SOURCE})`, 'i'))
+  if (!match) return null
+  const value = parseNumber(match[1])
+  const unit = normalizeLengthUnit(match[2])
+  return value !== null && unit ? { value, unit } : null
+}
+
+/**
+ * Every length with a unit in the text, in order: "3/8 Inch x 100 Yards" ->
+ * [{ value: 0.375, unit: 'in' }, { value: 100, unit: 'yd' }]
+ */
+export function parseLengths(text) {
+  if (!text) return []
+  const lengths = []
+  for (const match of String(text).matchAll(new RegExp(`(${NUMBER_PATTERN})\\s*(${LENGTH_UNIT_SOURCE})`, 'gi'))) {
+    const value = parseNumber(match[1])
+    const unit = normalizeLengthUnit(match[2])
+    if (value !== null && unit) lengths.push({ value, unit })
+  }
+  return lengths
+}
+
+/**
+ * Parse the first area, e.g. "88 sq. ft." -> { value: 88, unit: 'sqft' }.
+ * Metric and square-inch areas are converted to square feet.
+ */
+export function parseArea(text) {
+  if (!text) return null
+  const match = String(text).match(AREA_PATTERN)
+  if (!match) return null
+  const value = parseNumber(match[1])
+  if (value === null) return null
+  return { value: round(convertAreaToSqft(value, normalizeAreaUnit(match[2]))), unit: 'sqft' }
+}
+
+/**
+ * Every area in the text, in order, with where it was found:
+ * [{ value, unit: 'sqft', index, text }] where text is the matched words
+ */
+export function parseAreas(text) {
+  if (!text) return []
+  const areas = []
+  for (const match of String(text).matchAll(new RegExp(AREA_PATTERN.source, 'gi'))) {
+    const value = parseNumber(match[1])
+    if (value === null) continue
+    areas.push({ value: round(convertAreaToSqft(value, normalizeAreaUnit(match[2]))), unit: 'sqft', index: match.index, text: match[0] })
+  }
+  return areas
+}
+
+/**
+ * Parse "A x B" or "A x B x C" dimensions with per-value or trailing units:
+ * `30" x 8.8'`, `12 x 12 x 6 in`, `8 m x 70 cm`, `12x12x6`.
+ * Values without a unit take the trailing unit, then defaultUnit.
+ * Returns an array of { value, unit } (with unitAssumed when defaultUnit was used).
+ */
+export function parseDimensions(text, defaultUnit = null) {
+  if (!text) return null
+  // Allow an axis label after each value: 30" W x 120' L
+  const token = `(${NUMBER_PATTERN})\\s*(${LENGTH_UNIT_SOURCE})?(?:\\s*(?:[WLHD]\\b|wide\\b|long\\b|high\\b|deep\\b))?`
+  const separator = '\\s*(?:x|×|\\*|by)\\s*'
+  const pattern = new RegExp(`${token}${separator}${token}(?:${separator}${token})?`, 'i')
+  const match = String(text).match(pattern)
+  if (!match) return null
+
+  const parts = []
+  for (let i = 1; i < match.length; i += 2) {
+    if (match[i] === undefined) continue
+    parts.push({ value: parseNumber(match[i]), unit: normalizeLengthUnit(match[i + 1]) })
+  }
+  if (parts.some(part => part.value === null)) return null
+
+  // "12 x 12 x 6 in": the trailing unit applies to the bare numbers before it
+  const trailingUnit = parts[parts.length - 1].unit
+  return parts.map(part => {
+    if (part.unit) return part
+    if (trailingUnit) return { value: part.value, unit: trailingUnit }
+    if (defaultUnit) return { value: part.value, unit: defaultUnit, unitAssumed: true }
+    return { value: part.value, unit: null }
+  })
+}
+
+/**
+ * Parse dimensions and convert every value to inches, e.g. "30 x 20 x 10 cm" -> [11.81, 7.87, 3.94].
+ * Bare numbers are taken to be inches.
+ */
+export function parseDimensionsInInches(text) {
+  const dims = parseDimensions(text, 'in')
+  if (!dims) return null
+  return dims.map(dim => round(convertLength(dim.value, dim.unit, 'in')))
+}
+
+/**
+ * Parse roll dimensions into width (inches) and length (feet).
+ * The shorter side is the width: `30" x 8.8'` and `8.8 ft x 30 in` give the same result.
+ */
+export function parseRollSize(text) {
+  const dims = parseDimensions(text)
+  if (!dims || dims.length !== 2 || dims.some(dim => !dim.unit)) return null
+
+  const [a, b] = dims.map(dim => convertLength(dim.value, dim.unit, 'in'))
+  const [widthIn, lengthIn] = a <= b ? [a, b] : [b, a]
+  return {
+    width: { value: round(widthIn), unit: 'in' },
+    length: { value: round(convertLength(lengthIn, 'in', 'ft')), unit: 'ft' }
+  }
+}
+
+/**
+ * Area of one roll in square feet from its width (in) and length (ft)
+ */
+export function rollArea(widthIn, lengthFt) {
+  if (typeof widthIn !== 'number' || typeof lengthFt !== 'number') return null
+  return round(widthIn / 12 * lengthFt)
+}
+
+/**
+ * Cross-check a stated total area against width × length × quantity.
+ * Returns null when there is not enough data to check.
+ */
+export function checkAreaConsistency({ totalArea, widthIn, lengthFt, quantity, tolerance = 0.1 }) {
+  const perRoll = rollArea(widthIn, lengthFt)
+  if (perRoll === null || typeof totalArea !== 'number' || typeof quantity !== 'number' || quantity <= 0) {
+    return null
+  }
+  const expected = round(perRoll * quantity)
+  const ratio = totalArea / expected
+  return {
+    expected,
+    actual: totalArea,
+    ratio: round(ratio, 3),
+    consistent: Math.abs(ratio - 1) <= tolerance
+  }
+}
+
+/**
+ * Parse a free-form size string into an explicit measurement: an area if it
+ * states one, otherwise a length, otherwise null
+ */
+export function parseMeasurement(text) {
+  return parseArea(text) || parseLength(text)
+}
+
+/**
+ * Format an area as the "88 sqft" string used in the size field
+ */
+export function formatArea(area) {
+  return area ? `${round(area.value)} sqft` : null
+}
@@ -0,0 +1,130 @@
+/**
+ * Variation (twister) extraction: sibling ASINs of a parent listing and the
+ * dimension values (pattern, size, color, ...) that tell them apart
+ *
+ * The twister script data is the source of truth for which children exist:
+ *   "dimensionsDisplay" : ["Pattern Name", "Size"]
+ *   "dimensionValuesDisplayData" : { "<child ASIN>": ["Snowflakes", "4 Rolls"], ... }
+ * Older pages only have dimensionToAsinMap + variationValues. Prices and
+ * availability come from the rendered swatches when the page has them.
+ */
+
+import { parsePriceText } from './rule-extractor.js'
+import { findScriptValue, findScriptValues, getScriptText } from './script-data.js'
+import { cleanText } from './text.js'
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/
+
+/**
+ * "pattern_name" -> "Pattern Name"
+ */
+function humanizeDimension(key) {
+  return key
+    .replace(/_name$/, '')
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+/**
+ * Child ASIN -> dimension values from dimensionToAsinMap ("0_1": ASIN) and variationValues
+ */
+function childrenFromDimensionMap(scriptText) {
+  const dimensionToAsinMap = findScriptValue(scriptText, 'dimensionToAsinMap')
+  const variationValues = findScriptValue(scriptText, 'variationValues')
+  // "dimensions" is a common key, so take the first one that is a list of dimension keys
+  const dimensionKeys = findScriptValues(scriptText, 'dimensions')
+    .find(value => Array.isArray(value) && value.every(key => typeof key === 'string'))
+  if (!dimensionToAsinMap || !variationValues || !Array.isArray(dimensionKeys)) return null
+
+  const values = {}
+  for (const [indexKey, asin] of Object.entries(dimensionToAsinMap)) {
+    const indexes = indexKey.split('_').map(index => parseInt(index, 10))
+    values[asin] = dimensionKeys.map((key, i) => (variationValues[key] || [])[indexes[i]] ?? null)
+  }
+  return { names: dimensionKeys.map(humanizeDimension), values }
+}
+
+/**
+ * Price and availability per child ASIN from the rendered twister swatches
+ */
+function extractSwatchDetails($, marketplace) {
+  const details = {}
+  $('#twister li, #twister_feature_div li, [id^="inline-twister"] li, #variation_size_name li, #variation_color_name li, #variation_pattern_name li').each((_, li) => {
+    const el = $(li)
+    const asin = el.attr('data-defaultasin') || el.attr('data-asin') || el.find('[data-asin]').first().attr('data-asin')
+    if (!asin || !ASIN_PATTERN.test(asin)) return
+
+    const className = el.attr('class') || ''
+    let availability = null
+    if (/swatchUnavailable/.test(className) || el.attr('data-initiallyunavailable') === 'true') {
+      availability = 'unavailable'
+    } else if (/swatchAvailable|swatchSelect|selected/.test(className)) {
+      availability = 'available'
+    }
+
+    const priceText = cleanText(el.find('.twisterSwatchPrice, .a-price .a-offscreen, .twister_swatch_price, .a-size-mini').first().text())
+    const availabilityText = cleanText(el.find('.twister-swatch-availability, .a-color-secondary').text())
+    if (/unavailable|out of stock/i.test(availabilityText)) availability = 'unavailable'
+
+    details[asin] = {
+      price: parsePriceText(priceText, marketplace),
+      availability
+    }
+  })
+  return details
+}
+
+/**
+ * Variation list for the product output: one entry per child, the loaded child marked as selected
+ */
+export function buildVariationList(variations, asin) {
+  if (!variations) return null
+  const selectedAsin = variations.currentAsin || asin
+  return variations.children.map(child => ({ ...child, selected: child.asin === selectedAsin }))
+}
+
+/**
+ * Extract the variation list from a loaded cheerio document, or null when the
+ * page has no variations. Returns { parentAsin, currentAsin, dimensions, children }.
+ */
+export function extractVariations($, marketplace) {
+  const scriptText = getScriptText($)
+
+  let names = findScriptValue(scriptText, 'dimensionsDisplay')
+  let values = findScriptValue(scriptText, 'dimensionValuesDisplayData')
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    const fromMap = childrenFromDimensionMap(scriptText)
+    if (!fromMap) return null
+    names = names || fromMap.names
+    values = fromMap.values
+  }
+
+  const swatches = extractSwatchDetails($, marketplace)
+  const children = []
+  for (const [asin, dimensionValues] of Object.entries(values)) {
+    if (!ASIN_PATTERN.test(asin)) continue
+    const valueList = [].concat(dimensionValues)
+    const dimensions = {}
+    valueList.forEach((value, index) => {
+      const name = Array.isArray(names) && names[index] ? names[index] : `Dimension ${index + 1}`
+      dimensions[name] = value === null ? null : cleanText(String(value))
+    })
+    children.push({
+      asin,
+      dimensions,
+      price: swatches[asin] ? swatches[asin].price : null,
+      availability: swatches[asin] ? swatches[asin].availability : null
+    })
+  }
+  if (children.length === 0) return null
+
+  const parentAsin = findScriptValue(scriptText, 'parentAsin')
+  const currentAsin = findScriptValue(scriptText, 'currentAsin')
+  return {
+    parentAsin: typeof parentAsin === 'string' && ASIN_PATTERN.test(parentAsin) ? parentAsin : null,
+    currentAsin: typeof currentAsin === 'string' && ASIN_PATTERN.test(currentAsin) ? currentAsin : null,
+    dimensions: Array.isArray(names) ? names : [],
+    children
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Vision pass: read print names, roll count and reverse sides from the
+ * product photos when the page text doesn't name the designs
+ *
+ * The gallery images are sent to a multimodal model (e.g. llama3.2-vision or
+ * llava) numbered in gallery order; the model answers with one entry per
+ * distinct roll and the number of the image that shows it. Answers only fill
+ * what the text left empty, and every roll they touched is listed in the
+ * result's `vision` field.
+ */
+
+import axios from 'axios'
+import { REVERSE_TYPES } from './roll-layout.js'
+
+// Bump when the vision prompt or response schema changes
+export const VISION_PROMPT_VERSION = '1.1.0'
+
+const IMAGE_TIMEOUT_MS = 15000
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024
+
+/**
+ * Download an http(s) image URL and return its contents as base64
+ */
+export async function loadImage(url, { signal = null } = {}) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: IMAGE_TIMEOUT_MS,
+    maxContentLength: MAX_IMAGE_BYTES,
+    signal
+  })
+  return Buffer.from(response.data).toString('base64')
+}
+
+/**
+ * Whether the text left something the photos could answer: no print names,
+ * no rolls, or rolls without a print name or image
+ */
+export function needsVisionPass(product) {
+  if (!Array.isArray(product.printNames) || product.printNames.length === 0) return true
+  if (!Array.isArray(product.rolls) || product.rolls.length === 0) return true
+  return product.rolls.some(roll => !roll.printName || !roll.image)
+}
+
+/**
+ * Schema for the model's answer
+ */
+export function createVisionResponseSchema() {
+  return {
+    type: 'object',
+    properties: {
+      rollCount: { type: ['integer', 'null'], minimum: 0, description: 'Number of separate rolls in the pack' },
+      rolls: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            imageNumber: { type: ['integer', 'null'], minimum: 1, description: 'Number of the image that shows this roll best' },
+            printName: { type: 'string', description: 'Short name for the print on the front, e.g. "Red plaid"' },
+            backPrintName: { type: ['string', 'null'], description: 'Short name for the print on the back of a double-sided roll' },
+            description: { type: 'string', description: 'One sentence describing the print' },
+            reverseType: { type: 'string', enum: REVERSE_TYPES, description: 'What the back of the roll shows' }
+          },
+          required: ['imageNumber', 'printName', 'backPrintName', 'description', 'reverseType'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['rollCount', 'rolls'],
+    additionalProperties: false
+  }
+}
+
+/**
+ * Prompt for the images, with what the text already told us as context
+ */
+export function createVisionPrompt(images, product) {
+  const imageList = images
+    .map((image, index) => `Image ${index + 1}: ${image.variant || 'gallery'}${image.color ? ` (variation "${image.color}")` : ''}`)
+    .join('\n')
+  const known = [
+    product.title ? `Title: ${product.title}` : null,
+    product.quantity ? `Rolls in the pack according to the listing: ${product.quantity}` : null,
+    Array.isArray(product.printNames) && product.printNames.length > 0 ? `Print names from the listing: ${product.printNames.join('; ')}` : null
+  ].filter(Boolean).join('\n')
+
+  return `You are looking at the photos of a wrapping paper listing. The images are attached in this order:
+${imageList}
+
+${known || 'The listing text gives no details about the rolls.'}
+
+RULES:
+- rollCount: count the separate physical rolls shown in the pack photo (usually image 1). Use null if you can't tell.
+- rolls: one entry per distinct print, in the order the rolls appear in the pack photo.
+  * printName: a short name for the print as a shopper would describe it ("Gold stars on navy", "Red and green plaid"). If the listing names the prints, use those names.
+  * description: one sentence on the motifs and colors.
+  * reverseType: "gridlines" if the back shows cutting grid lines, "design" if the back has a second print, "plain" if it is plain or not shown.
+  * backPrintName: a short name for the print on the back when reverseType is "design", otherwise null.
+  * imageNumber: the image that shows this print most clearly (a close-up of that roll if there is one), or null.
+- Only describe what is visible. Do not invent prints that are not shown.
+
+Return ONLY a JSON object with rollCount and rolls.`
+}
+
+/**
+ * Fill the gaps in a product's rolls from the model's answer. Changes `product`
+ * in place and returns { quantity, printNames, rolls: [{ rollNumber, fields }] }
+ * describing what came from the images.
+ */
+export function mergeVisionRolls(product, answer, images) {
+  const applied = { quantity: false, printNames: false, rolls: [] }
+  const visionRolls = (answer.rolls || []).map(roll => {
+    const reverseType = REVERSE_TYPES.includes(roll.reverseType) ? roll.reverseType : 'plain'
+    return {
+      printName: roll.printName ? roll.printName.trim() : null,
+      backPrintName: reverseType === 'design' && roll.backPrintName ? roll.backPrintName.trim() : null,
+      description: roll.description || null,
+      reverseType,
+      image: roll.imageNumber && images[roll.imageNumber - 1] ? images[roll.imageNumber - 1].url : null
+    }
+  })
+
+  if ((product.quantity === null || product.quantity === undefined) && answer.rollCount > 0) {
+    product.quantity = answer.rollCount
+    applied.quantity = true
+  }
+
+  if ((!Array.isArray(product.printNames) || product.printNames.length === 0) && visionRolls.length > 0) {
+    // Both sides of a double-sided roll are designs of their own
+    product.printNames = [...new Set(visionRolls.flatMap(roll => [roll.printName, roll.backPrintName]).filter(Boolean))]
+    applied.printNames = product.printNames.length > 0
+  }
+
+  if ((!Array.isArray(product.rolls) || product.rolls.length === 0) && product.quantity > 0) {
+    // Areas are filled in by the profile's post-processing
+    product.rolls = Array.from({ length: product.quantity }, (_, index) => ({
+      rollNumber: index + 1,
+      onHand: 0,
+      maxArea: 0,
+      image: null,
+      printName: null,
+      backPrintName: null,
+      reverseType: 'plain',
+      hasReverseSide: false,
+      pairedRollNumber: null
+    }))
+  }
+
+  if (Array.isArray(product.rolls) && visionRolls.length > 0) {
+    product.rolls.forEach((roll, index) => {
+      // Fewer prints than rolls means repeated designs, assigned in turn like the text prompt does
+      const seen = visionRolls[index % visionRolls.length]
+      const fields = []
+      if (!roll.printName && seen.printName) {
+        roll.printName = seen.printName
+        fields.push('printName')
+      }
+      if (!roll.image && seen.image) {
+        roll.image = seen.image
+        fields.push('image')
+      }
+      if ((!roll.reverseType || roll.reverseType === 'plain') && seen.reverseType !== 'plain') {
+        roll.reverseType = seen.reverseType
+        roll.hasReverseSide = true
+        fields.push('reverseType')
+      }
+      if (roll.reverseType === 'design' && !roll.backPrintName && seen.backPrintName) {
+        roll.backPrintName = seen.backPrintName
+        fields.push('backPrintName')
+      }
+      if (fields.length > 0) {
+        applied.rolls.push({
+          rollNumber: typeof roll.rollNumber === 'number' ? roll.rollNumber : index + 1,
+          fields,
+          description: seen.description,
+          reverseType: seen.reverseType
+        })
+      }
+    })
+  }
+
+  return applied
+}
@@ -0,0 +1,173 @@
+/**
+ * In-process scheduler for the watchlist: re-fetches due ASINs, records a
+ * price/stock snapshot and sends alerts when a price drops below the item's
+ * threshold or the item comes back in stock
+ *
+ * Snapshots are read deterministically from the page (buy-box price, list
+ * price, availability block, deal badge). Only when the page has no price and
+ * is not out of stock does a check fall back to a full parse with the model.
+ */
+
+import axios from 'axios'
+import { fetchAmazonPage } from './amazon-fetcher.js'
+import { createPageTypeError } from './errors.js'
+import { extractProductText } from './html-extractor.js'
+import { getProductUrl, resolveMarketplace } from './marketplaces.js'
+import { classifyPage } from './page-classifier.js'
+import { extractRuleBasedFields, parsePriceText } from './rule-extractor.js'
+
+const ALERT_TIMEOUT_MS = 10000
+
+/**
+ * Price, list price, stock and deal badge read straight from a product page
+ */
+export function extractPriceSnapshot(html, marketplace) {
+  const extracted = extractProductText(html, { marketplace })
+  const { fields } = extractRuleBasedFields(extracted, { marketplace })
+  return {
+    price: fields.price ?? null,
+    currency: (extracted.priceParts && extracted.priceParts.currency) || marketplace.currency,
+    listPrice: parsePriceText(extracted.listPrice, marketplace),
+    inStock: extracted.availability ? extracted.availability.inStock : null,
+    availability: extracted.availability ? extracted.availability.text : null,
+    deal: extracted.deal ? extracted.deal.badge : null,
+    savingsPercent: extracted.deal ? extracted.deal.savingsPercent : null
+  }
+}
+
+/**
+ * Alerts for a new snapshot, compared with the item's last check. A price drop
+ * fires once when the price crosses below `priceBelow`, not on every check after.
+ */
+export function detectAlerts(item, snapshot) {
+  const alerts = []
+  const base = {
+    asin: item.asin,
+    marketplace: item.marketplace,
+    url: getProductUrl(item.asin, resolveMarketplace({ marketplace: item.marketplace })),
+    price: snapshot.price,
+    previousPrice: item.lastPrice,
+    currency: snapshot.currency,
+    inStock: snapshot.inStock,
+    checkedAt: snapshot.checkedAt
+  }
+
+  const wasAbove = item.lastPrice === null || item.lastPrice >= item.priceBelow
+  if (item.priceBelow !== null && snapshot.price !== null && snapshot.price < item.priceBelow && wasAbove) {
+    alerts.push({ type: 'price_drop', priceBelow: item.priceBelow, ...base })
+  }
+  if (item.lastInStock === false && snapshot.inStock === true) {
+    alerts.push({ type: 'back_in_stock', ...base })
+  }
+  return alerts
+}
+
+async function sendAlert(url, alert) {
+  if (!url) {
+    console.log(`🔔 ${alert.type} for ${alert.asin} (no webhook configured)`)
+    return
+  }
+  try {
+    const response = await axios.post(url, alert, { timeout: ALERT_TIMEOUT_MS, validateStatus: () => true })
+    if (response.status >= 400) throw new Error(`HTTP ${response.status}`)
+    console.log(`🔔 Sent ${alert.type} alert for ${alert.asin} to ${url}`)
+  } catch (error) {
+    // A broken webhook must not stop the schedule; the snapshot still lists the alert
+    console.warn(`⚠️ Failed to send ${alert.type} alert for ${alert.asin} to ${url}: ${error.message}`)
+  }
+}
+
+/**
+ * Create the scheduler.
+ *
+ * Options:
+ *   watchlist    - from createWatchlist()
+ *   htmlCache    - fetched pages are written to it (checks always refetch)
+ *   fullParse    - ({ asin, marketplace, html }) => product, for pages without a readable price
+ *   alertWebhook - default webhook URL for alerts; items can set their own
+ *   tickSeconds  - how often to look for due items
+ */
+export function createWatchScheduler({ watchlist, htmlCache = null, fullParse = null, alertWebhook = null, tickSeconds = 60 }) {
+  let timer = null
+  let running = null
+
+  /**
+   * Check one watched item now. Returns { snapshot, alerts }; a failed check is
+   * recorded on the item and rethrown.
+   */
+  async function checkItem(item) {
+    const checkedAt = new Date().toISOString()
+    const marketplace = resolveMarketplace({ marketplace: item.marketplace })
+    try {
+      const { html } = await fetchAmazonPage(null, item.asin, { marketplace, cache: htmlCache, cacheMode: 'refresh' })
+      const pageError = createPageTypeError(classifyPage(html))
+      if (pageError) throw pageError
+
+      const snapshot = { checkedAt, ...extractPriceSnapshot(html, marketplace), source: 'rules' }
+      if (snapshot.price === null && snapshot.inStock !== false && fullParse) {
+        console.log(`🤖 No price in the buy box for ${item.asin}, falling back to a full parse`)
+        const product = await fullParse({ asin: item.asin, marketplace: marketplace.id, html })
+        snapshot.price = product.price ?? null
+        snapshot.currency = product.currency || snapshot.currency
+        snapshot.source = 'parse'
+      }
+
+      const alerts = detectAlerts(item, snapshot)
+      snapshot.alerts = alerts.map(alert => alert.type)
+      await watchlist.appendPrice(item.asin, snapshot)
+      // A check that could not read the price or stock keeps the last known value,
+      // so the next alert still compares against it
+      await watchlist.recordCheck(item.asin, { checkedAt, price: snapshot.price ?? undefined, inStock: snapshot.inStock ?? undefined })
+      console.log(`👀 ${item.asin}: ${snapshot.price ?? 'no price'} ${snapshot.currency}, ${snapshot.inStock === false ? 'out of stock' : snapshot.inStock ? 'in stock' : 'stock unknown'}${snapshot.deal ? `, ${snapshot.deal}` : ''}`)
+
+      for (const alert of alerts) {
+        await sendAlert(item.webhook || alertWebhook, alert)
+      }
+      return { snapshot, alerts }
+    } catch (error) {
+      await watchlist.recordCheck(item.asin, { checkedAt, error: error.code ? `${error.code}: ${error.message}` : error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Check every due item one after another. Overlapping calls share the run in progress.
+   */
+  function runDue(now = new Date()) {
+    if (running) return running
+    running = (async () => {
+      for (const item of await watchlist.dueItems(now)) {
+        try {
+          await checkItem(item)
+        } catch (error) {
+          console.warn(`⚠️ Watch check for ${item.asin} failed: ${error.message}`)
+        }
+      }
+    })().finally(() => {
+      running = null
+    })
+    return running
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(() => {
+      runDue().catch(error => console.error('❌ Watch scheduler run failed:', error.message))
+    }, tickSeconds * 1000)
+    // The schedule alone should not keep the process alive
+    timer.unref()
+    runDue().catch(error => console.error('❌ Watch scheduler run failed:', error.message))
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return {
+    start,
+    stop,
+    runDue,
+    checkItem
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Watchlist of ASINs to re-check on a schedule, with a price time series per ASIN
+ *
+ * Layout under the data dir:
+ *   watch/watchlist.json       { items: [{ asin, marketplace, intervalMinutes, priceBelow, webhook, ... }] }
+ *   watch/prices/<ASIN>.jsonl  one price/stock snapshot per line, oldest first
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { readJson, writeFileAtomic } from './fs-utils.js'
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/
+
+/**
+ * Create a watchlist rooted at dataDir
+ */
+export function createWatchlist({ dataDir }) {
+  const watchDir = path.join(dataDir, 'watch')
+  const listFile = path.join(watchDir, 'watchlist.json')
+  const pricesDir = path.join(watchDir, 'prices')
+  // Writes are serialized so concurrent updates don't drop each other's changes
+  let writeChain = Promise.resolve()
+
+  function checkAsin(asin) {
+    if (!ASIN_PATTERN.test(asin || '')) {
+      throw new Error('Invalid ASIN format. ASIN must be 10 alphanumeric characters.')
+    }
+  }
+
+  async function readItems() {
+    const data = await readJson(listFile)
+    return data && Array.isArray(data.items) ? data.items : []
+  }
+
+  /**
+   * Read, change and write the list as one step. `change` gets the items and returns the result.
+   */
+  function updateItems(change) {
+    const run = writeChain.then(async () => {
+      const items = await readItems()
+      const result = change(items)
+      await fs.mkdir(watchDir, { recursive: true })
+      await writeFileAtomic(listFile, JSON.stringify({ items }, null, 2))
+      return result
+    })
+    writeChain = run.catch(() => {})
+    return run
+  }
+
+  async function listItems() {
+    return readItems()
+  }
+
+  async function getItem(asin) {
+    return (await readItems()).find(item => item.asin === asin) || null
+  }
+
+  /**
+   * Add an ASIN or update its settings. The next check is due right away for new items.
+   */
+  function watch({ asin, marketplace = null, intervalMinutes, priceBelow = null, webhook = null }) {
+    checkAsin(asin)
+    return updateItems(items => {
+      const existing = items.find(item => item.asin === asin)
+      if (existing) {
+        Object.assign(existing, { marketplace, intervalMinutes, priceBelow, webhook })
+        existing.nextCheckAt = new Date(Math.min(
+          new Date(existing.nextCheckAt || 0).getTime(),
+          Date.now() + intervalMinutes * 60000
+        )).toISOString()
+        return existing
+      }
+      const item = {
+        asin,
+        marketplace,
+        intervalMinutes,
+        priceBelow,
+        webhook,
+        addedAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        nextCheckAt: new Date().toISOString(),
+        lastPrice: null,
+        lastInStock: null,
+        lastError: null
+      }
+      items.push(item)
+      return item
+    })
+  }
+
+  /**
+   * Remove an ASIN. Its price history is kept. Returns false when it was not watched.
+   */
+  function unwatch(asin) {
+    return updateItems(items => {
+      const index = items.findIndex(item => item.asin === asin)
+      if (index === -1) return false
+      items.splice(index, 1)
+      return true
+    })
+  }
+
+  /**
+   * Record the outcome of a check on the item and schedule the next one
+   */
+  function recordCheck(asin, { checkedAt, price = undefined, inStock = undefined, error = null }) {
+    return updateItems(items => {
+      const item = items.find(candidate => candidate.asin === asin)
+      if (!item) return null
+      item.lastCheckedAt = checkedAt
+      item.nextCheckAt = new Date(new Date(checkedAt).getTime() + item.intervalMinutes * 60000).toISOString()
+      item.lastError = error
+      if (price !== undefined) item.lastPrice = price
+      if (inStock !== undefined) item.lastInStock = inStock
+      return item
+    })
+  }
+
+  /**
+   * Items whose next check is due at `now`, most overdue first
+   */
+  async function dueItems(now = new Date()) {
+    return (await readItems())
+      .filter(item => new Date(item.nextCheckAt).getTime() <= now.getTime())
+      .sort((a, b) => a.nextCheckAt.localeCompare(b.nextCheckAt))
+  }
+
+  async function appendPrice(asin, snapshot) {
+    checkAsin(asin)
+    await fs.mkdir(pricesDir, { recursive: true })
+    await fs.appendFile(path.join(pricesDir, `${asin}.jsonl`), JSON.stringify(snapshot) + '\n')
+  }
+
+  /**
+   * Price snapshots for an ASIN, oldest first, optionally limited to [from, to] (Dates)
+   */
+  async function getPrices(asin, { from = null, to = null } = {}) {
+    checkAsin(asin)
+    let text
+    try {
+      text = await fs.readFile(path.join(pricesDir, `${asin}.jsonl`), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+    return text
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(snapshot => {
+        const checkedAt = new Date(snapshot.checkedAt)
+        return (!from || checkedAt >= from) && (!to || checkedAt <= to)
+      })
+  }
+
+  return {
+    listItems,
+    getItem,
+    watch,
+    unwatch,
+    recordCheck,
+    dueItems,
+    appendPrice,
+    getPrices
+  }
+}
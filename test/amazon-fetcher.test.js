@@ -0,0 +1,108 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { AxiosError } from 'axios'
+import { getMarketplace } from '../src/marketplaces.js'
+import { quietly, stubAxios } from './helpers.js'
+
+// The shared rate limiter is configured on import; retries are what these tests time
+process.env.FETCH_BURST = '100'
+const { fetchAmazonPage } = await import('../src/amazon-fetcher.js')
+
+const ASIN = 'B08XYZ1234'
+const PAGE = '<html><body><span id="productTitle">Wrapping Paper</span></body></html>'
+
+function timeout() {
+  return new AxiosError('timeout of 30000ms exceeded', 'ECONNABORTED', {}, {})
+}
+
+/**
+ * Fetch with each attempt answered by the next response, on a mocked clock:
+ * backoff sleeps end as soon as they start. Returns { result, error, delays, requests }.
+ */
+async function fetchWith(t, responses, { random = 0.5 } = {}) {
+  t.mock.method(Math, 'random', () => random)
+  t.mock.timers.enable({ apis: ['setTimeout'] })
+  const stub = stubAxios((config, number) => {
+    const response = responses[number - 1]
+    if (response instanceof Error) throw response
+    return response
+  })
+  const delays = []
+  try {
+    const result = await quietly(() => fetchAmazonPage(null, ASIN, {
+      marketplace: getMarketplace('us'),
+      onRetry: ({ delayMs }) => {
+        delays.push(delayMs)
+        // The backoff timer is set right after onRetry returns
+        queueMicrotask(() => t.mock.timers.tick(delayMs))
+      }
+    }))
+    return { result, error: null, delays, requests: stub.requests.length }
+  } catch (error) {
+    return { result: null, error, delays, requests: stub.requests.length }
+  } finally {
+    stub.restore()
+  }
+}
+
+const CASES = [
+  {
+    name: 'retries a 503 and returns the page',
+    responses: [{ status: 503 }, { data: PAGE }],
+    requests: 2,
+    delays: [500],
+    attempts: 2
+  },
+  {
+    name: 'retries a 429 and a timeout',
+    responses: [{ status: 429 }, timeout(), { data: PAGE }],
+    requests: 3,
+    delays: [500, 1000],
+    attempts: 3
+  },
+  {
+    name: 'doubles the backoff ceiling and gives up after the retries',
+    responses: [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 503 }],
+    random: 1,
+    requests: 4,
+    delays: [1000, 2000, 4000],
+    error: /status 503: HTTP 503 after 4 attempts/
+  },
+  {
+    name: 'waits at least as long as Retry-After asks',
+    responses: [{ status: 429, headers: { 'retry-after': '5' } }, { data: PAGE }],
+    random: 0,
+    requests: 2,
+    delays: [5000],
+    attempts: 2
+  },
+  {
+    name: 'does not retry a server error other than 503',
+    responses: [{ status: 500 }],
+    requests: 1,
+    delays: [],
+    error: /status 500/
+  },
+  {
+    name: 'turns a 404 into PRODUCT_NOT_FOUND without retrying',
+    responses: [{ status: 404 }],
+    requests: 1,
+    delays: [],
+    code: 'PRODUCT_NOT_FOUND'
+  }
+]
+
+for (const { name, responses, random, requests, delays, attempts, error, code } of CASES) {
+  test(`fetcher ${name}`, async (t) => {
+    const outcome = await fetchWith(t, responses, { random })
+    assert.equal(outcome.requests, requests)
+    assert.deepEqual(outcome.delays, delays)
+    if (attempts) {
+      assert.equal(outcome.error, null)
+      assert.equal(outcome.result.html, PAGE)
+      assert.equal(outcome.result.attempts, attempts)
+    }
+    if (error) assert.match(outcome.error.message, error)
+    if (code) assert.equal(outcome.error.code, code)
+  })
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { extractAsin } from '../src/amazon-fetcher.js'
+import { extractListing } from '../src/discovery.js'
+
+const URL_CASES = [
+  { url: 'https://www.amazon.com/Hallmark-Wrapping-Paper/dp/B08XYZ1234/ref=sr_1_1?keywords=wrap', asin: 'B08XYZ1234' },
+  { url: 'https://www.amazon.com/gp/product/B08XYZ1234?th=1', asin: 'B08XYZ1234' },
+  { url: 'https://www.amazon.co.uk/gp/aw/d/B08XYZ1234', asin: 'B08XYZ1234' },
+  { url: 'https://www.amazon.com/exec/obidos/ASIN/B08XYZ1234', asin: 'B08XYZ1234' },
+  { url: '/sspa/click?ie=UTF8&spc=MTo&url=%2FRibbon-Gold%2Fdp%2FB0RIBBON11%2Fref%3Dsr_1_1_sspa', asin: 'B0RIBBON11' },
+  { url: '/sspa/click?url=/Ribbon/dp/B0RIBBON11/&qid=1', asin: 'B0RIBBON11' },
+  { url: 'https://www.amazon.com/s?k=wrapping+paper', asin: null },
+  { url: 'https://www.amazon.com/dp/b08xyz1234', asin: null },
+  { url: '', asin: null }
+]
+
+for (const { url, asin } of URL_CASES) {
+  test(`extractAsin(${JSON.stringify(url)}) is ${asin}`, () => {
+    assert.equal(extractAsin(url), asin)
+  })
+}
+
+const CARD_CASES = [
+  { name: 'its own data-asin', card: '<div data-component-type="s-search-result" data-asin="B08XYZ1234"><h2>Wrap</h2></div>' },
+  { name: 'a nested data-asin', card: '<div data-component-type="s-search-result" data-asin=""><div data-asin="B08XYZ1234"><h2>Wrap</h2></div></div>' },
+  { name: 'its product link', card: '<div data-component-type="s-search-result"><a href="/Wrap/dp/B08XYZ1234/ref=sr_1_1"><h2>Wrap</h2></a></div>' },
+  { name: 'a sponsored click link', card: '<div data-component-type="s-search-result"><a href="/sspa/click?url=%2FWrap%2Fdp%2FB08XYZ1234"><h2>Wrap</h2></a></div>' }
+]
+
+for (const { name, card } of CARD_CASES) {
+  test(`reads the ASIN of a search card from ${name}`, () => {
+    const { kind, items } = extractListing(`<html><body><div class="s-main-slot">${card}</div></body></html>`, { url: 'https://www.amazon.com/s?k=wrap' })
+    assert.equal(kind, 'search')
+    assert.deepEqual(items.map(item => item.asin), ['B08XYZ1234'])
+  })
+}
+
+test('reads best-seller cards by their faceout id, keeping the rank badge', () => {
+  const html = `<html><body>
+    <div id="gridItemRoot"><span class="zg-bdg-text">#1</span>
+      <div class="zg-grid-general-faceout"><div class="p13n-sc-uncoverable-faceout" id="B08XYZ1234"><img alt="Hallmark Wrapping Paper" src="a.jpg"></div></div>
+    </div>
+    <div id="gridItemRoot"><span class="zg-bdg-text">#2</span>
+      <div class="zg-grid-general-faceout"><div class="p13n-sc-uncoverable-faceout" id="B0RIBBON11"><img alt="Gold Ribbon" src="b.jpg"></div></div>
+    </div>
+  </body></html>`
+  const { kind, items } = extractListing(html, { url: 'https://www.amazon.com/gp/bestsellers/arts-crafts/2617941011' })
+  assert.equal(kind, 'bestsellers')
+  assert.deepEqual(items.map(item => [item.asin, item.rank, item.title]), [['B08XYZ1234', 1, 'Hallmark Wrapping Paper'], ['B0RIBBON11', 2, 'Gold Ribbon']])
+})
+
+test('keeps one entry per ASIN, the organic card over a sponsored one', () => {
+  const html = `<html><body><div class="s-main-slot">
+    <div data-component-type="s-search-result" data-asin="B08XYZ1234"><span class="puis-sponsored-label-text">Sponsored</span><h2>Wrap (ad)</h2></div>
+    <div data-component-type="s-search-result" data-asin="B0RIBBON11"><h2>Ribbon</h2></div>
+    <div data-component-type="s-search-result" data-asin="B08XYZ1234"><h2>Wrap</h2></div>
+    <div data-component-type="s-search-result" data-asin="NOTANASIN"><h2>Broken</h2></div>
+  </div></body></html>`
+  const { items } = extractListing(html, { url: 'https://www.amazon.com/s?k=wrap' })
+  assert.deepEqual(items.map(item => [item.asin, item.sponsored, item.position]), [['B0RIBBON11', false, 2], ['B08XYZ1234', false, 3]])
+})
+
+test('falls back to product links on a storefront without data-asin', () => {
+  const html = `<html><body>
+    <a href="/Hallmark-Wrap/dp/B08XYZ1234?ref_=ast_sto_dp">Hallmark Wrap</a>
+    <a href="https://www.amazon.de/dp/B0RIBBON11"><img alt="Ribbon" src="r.jpg"></a>
+    <a href="/Hallmark-Wrap/dp/B08XYZ1234">Again</a>
+    <a href="/stores/page/ABC">Next</a>
+  </body></html>`
+  const { kind, items } = extractListing(html, { url: 'https://www.amazon.de/stores/Hallmark/page/ABC' })
+  assert.equal(kind, 'storefront')
+  assert.deepEqual(items.map(item => [item.asin, item.title, item.url]), [
+    ['B08XYZ1234', 'Hallmark Wrap', 'https://www.amazon.de/dp/B08XYZ1234'],
+    ['B0RIBBON11', 'Ribbon', 'https://www.amazon.de/dp/B0RIBBON11']
+  ])
+})
@@ -0,0 +1,21 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { readJson, writeFileAtomic } from '../src/fs-utils.js'
+
+test('concurrent writes to one file all succeed and leave one complete record', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fs-utils-'))
+  try {
+    const filePath = path.join(dir, 'us-B08XYZ1234.json')
+    const records = Array.from({ length: 20 }, (_, index) => ({ index, padding: 'x'.repeat(50000) }))
+    await Promise.all(records.map(record => writeFileAtomic(filePath, JSON.stringify(record))))
+
+    const saved = await readJson(filePath)
+    assert.ok(records.some(record => record.index === saved.index))
+    assert.deepEqual(await fs.readdir(dir), ['us-B08XYZ1234.json'])
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
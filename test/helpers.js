@@ -0,0 +1,83 @@
+/**
+ * Shared helpers for the test suite
+ */
+
+import fs from 'fs'
+import path from 'path'
+import axios, { AxiosError } from 'axios'
+import { fileURLToPath } from 'url'
+import { getImageId } from '../src/image-gallery.js'
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures')
+const EVAL_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'eval', 'fixtures')
+
+/**
+ * A saved product page from test/fixtures/pages
+ */
+export function readPage(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, 'pages', `${name}.html`), 'utf8')
+}
+
+/**
+ * A labelled page from eval/fixtures: { html, label }
+ */
+export function readEvalFixture(name) {
+  return {
+    html: fs.readFileSync(path.join(EVAL_FIXTURES_DIR, `${name}.html`), 'utf8'),
+    label: JSON.parse(fs.readFileSync(path.join(EVAL_FIXTURES_DIR, `${name}.json`), 'utf8'))
+  }
+}
+
+/**
+ * Image loader serving gallery URLs from an eval fixture's <name>.images directory
+ */
+export function createFixtureImageLoader(name) {
+  const dir = path.join(EVAL_FIXTURES_DIR, `${name}.images`)
+  const files = fs.readdirSync(dir)
+  return async (url) => {
+    const id = getImageId(url)
+    const file = files.find(file => file.slice(0, file.lastIndexOf('.')) === id)
+    if (!file) throw new Error(`no local copy of image ${id}`)
+    return fs.readFileSync(path.join(dir, file)).toString('base64')
+  }
+}
+
+/**
+ * Answer axios requests with respond(config, number) -> { status, data, headers }
+ * instead of the network. Statuses the request does not accept reject like axios
+ * does; respond may also throw (e.g. a timeout). Returns { requests, restore }.
+ */
+export function stubAxios(respond) {
+  const { adapter } = axios.defaults
+  const requests = []
+  axios.defaults.adapter = async (config) => {
+    requests.push(config)
+    const { status = 200, data = '', headers = {} } = await respond(config, requests.length)
+    const response = { status, statusText: `HTTP ${status}`, data, headers, config, request: {} }
+    if (config.validateStatus && !config.validateStatus(status)) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response)
+    }
+    return response
+  }
+  return {
+    requests,
+    restore: () => {
+      axios.defaults.adapter = adapter
+    }
+  }
+}
+
+/**
+ * Run fn with the parser's console output muted
+ */
+export async function quietly(fn) {
+  const { log, warn } = console
+  console.log = () => {}
+  console.warn = () => {}
+  try {
+    return await fn()
+  } finally {
+    console.log = log
+    console.warn = warn
+  }
+}
@@ -0,0 +1,99 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { createHtmlCache, getCacheKey } from '../src/html-cache.js'
+import { getMarketplace } from '../src/marketplaces.js'
+import { quietly, stubAxios } from './helpers.js'
+
+// The fetcher's shared rate limiter is configured on import; these fetches must not wait for it
+process.env.FETCH_BURST = '100'
+const { fetchAmazonPage } = await import('../src/amazon-fetcher.js')
+
+const ASIN = 'B08XYZ1234'
+const US = getMarketplace('us')
+const CACHED = '<html><body><span id="productTitle">Cached</span></body></html>'
+const LIVE = '<html><body><span id="productTitle">Live</span></body></html>'
+const CAPTCHA = '<html><body><form action="/errors/validateCaptcha"></form></body></html>'
+
+/**
+ * Fetch the ASIN with a cache in the given state ("empty", "fresh" or "stale")
+ * and mode. Returns { result, error, requests, stored } where stored is the
+ * cached HTML afterwards.
+ */
+async function fetchCached({ state, mode, page = LIVE }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'html-cache-'))
+  const stub = stubAxios(() => ({ data: page }))
+  try {
+    const cache = createHtmlCache({ cacheDir: dir, ttlSeconds: 3600 })
+    const key = getCacheKey({ asin: ASIN, marketplace: US })
+    if (state !== 'empty') {
+      await cache.set(key, { html: CACHED, url: `https://www.amazon.com/dp/${ASIN}`, marketplace: US, status: 200 })
+    }
+    if (state === 'stale') {
+      const meta = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), 'utf8'))
+      meta.fetchedAt = new Date(Date.now() - 2 * 3600 * 1000).toISOString()
+      await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify(meta))
+    }
+
+    let result = null
+    let error = null
+    try {
+      result = await quietly(() => fetchAmazonPage(null, ASIN, { marketplace: US, cache, cacheMode: mode }))
+    } catch (caught) {
+      error = caught
+    }
+    const stored = await cache.get(key, { allowStale: true })
+    return { result, error, requests: stub.requests.length, stored: stored ? stored.html : null }
+  } finally {
+    stub.restore()
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
+
+const CASES = [
+  { mode: 'refresh', state: 'fresh', html: LIVE, requests: 1, stored: LIVE },
+  { mode: 'refresh', state: 'empty', html: LIVE, requests: 1, stored: LIVE },
+  { mode: 'prefer', state: 'fresh', html: CACHED, requests: 0, stored: CACHED },
+  { mode: 'prefer', state: 'stale', html: LIVE, requests: 1, stored: LIVE },
+  { mode: 'prefer', state: 'empty', html: LIVE, requests: 1, stored: LIVE },
+  { mode: 'only', state: 'fresh', html: CACHED, requests: 0, stored: CACHED },
+  { mode: 'only', state: 'stale', html: CACHED, requests: 0, stored: CACHED },
+  { mode: 'only', state: 'empty', code: 'CACHE_MISS', requests: 0, stored: null }
+]
+
+for (const { mode, state, html, code, requests, stored } of CASES) {
+  test(`cache mode ${mode} with a ${state} cache`, async () => {
+    const outcome = await fetchCached({ state, mode })
+    assert.equal(outcome.requests, requests)
+    assert.equal(outcome.stored, stored)
+    if (code) {
+      assert.equal(outcome.error.code, code)
+      return
+    }
+    assert.equal(outcome.error, null)
+    assert.equal(outcome.result.html, html)
+    assert.equal(outcome.result.attempts, requests)
+    assert.equal(outcome.result.cachedAt === null, requests > 0)
+  })
+}
+
+test('a fetched CAPTCHA page is not cached', async () => {
+  const outcome = await fetchCached({ state: 'empty', mode: 'prefer', page: CAPTCHA })
+  assert.equal(outcome.result.html, CAPTCHA)
+  assert.equal(outcome.stored, null)
+})
+
+test('cache keys share one entry per ASIN and ignore tracking parameters', () => {
+  assert.equal(getCacheKey({ asin: ASIN, url: 'https://www.amazon.com/gp/product/B08XYZ1234', marketplace: US }), 'us-B08XYZ1234')
+  assert.equal(getCacheKey({ asin: ASIN, marketplace: getMarketplace('de') }), 'de-B08XYZ1234')
+  assert.equal(
+    getCacheKey({ url: 'https://www.amazon.com/s?k=wrapping+paper&ref=nb_sb_noss&crid=ABC', marketplace: US }),
+    getCacheKey({ url: 'https://amazon.com/s/?k=wrapping+paper#results', marketplace: US })
+  )
+  assert.notEqual(
+    getCacheKey({ url: 'https://www.amazon.com/s?k=wrapping+paper', marketplace: US }),
+    getCacheKey({ url: 'https://www.amazon.com/s?k=wrapping+paper&page=2', marketplace: US })
+  )
+})
@@ -0,0 +1,87 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { extractProductText } from '../src/html-extractor.js'
+import { MARKETPLACES } from '../src/marketplaces.js'
+import { quietly, readPage } from './helpers.js'
+
+const extract = (name, options) => quietly(() => extractProductText(readPage(name), options))
+
+test('nested bullets keep every line past inner </div>s, without the fitment helper', async () => {
+  const extracted = await extract('overview-table')
+  assert.deepEqual(extracted.bullets, [
+    'REVERSIBLE DESIGNS: Bold plaid, stripes, dots & "Merry Everything"',
+    'Each roll measures 30" x 8.8\' with cut lines on the reverse',
+    'Made in the USA'
+  ])
+  assert.equal(extracted.description, extracted.bullets.join('\n'))
+})
+
+test('split price parts are read as whole, fraction and currency', async () => {
+  const extracted = await extract('overview-table')
+  assert.equal(extracted.price, '$16.99')
+  assert.deepEqual(extracted.priceParts, { text: '$16.99', whole: '16', fraction: '99', symbol: '$', currency: 'USD' })
+  assert.equal(extracted.listPrice, '$24.99')
+})
+
+test('euro price parts with a decimal comma', async () => {
+  const extracted = await extract('tech-spec-table', { marketplace: MARKETPLACES.de })
+  assert.equal(extracted.priceParts.whole, '12')
+  assert.equal(extracted.priceParts.fraction, '49')
+  assert.equal(extracted.priceParts.currency, 'EUR')
+})
+
+test('legacy price block without parts', async () => {
+  const extracted = await extract('detail-bullets', { marketplace: MARKETPLACES.uk })
+  assert.equal(extracted.price, '£7.99')
+  assert.equal(extracted.priceParts.whole, null)
+  assert.equal(extracted.priceParts.currency, 'GBP')
+})
+
+test('overview table layout (td / td)', async () => {
+  const extracted = await extract('overview-table')
+  assert.deepEqual(extracted.productDetails, {
+    Brand: 'Hallmark',
+    Color: 'Red, Green & Gold',
+    'Number of Items': '4'
+  })
+})
+
+test('technical details table layout (th / td), across both columns', async () => {
+  const extracted = await extract('tech-spec-table', { marketplace: MARKETPLACES.de })
+  assert.equal(extracted.productDetails.Marke, 'Hallmark')
+  assert.equal(extracted.productDetails.Produktabmessungen, '70 x 200 cm; 450 Gramm')
+  assert.equal(extracted.productDetails['Anzahl der Artikel'], '3')
+  assert.equal(extracted.productDetails.ASIN, 'B0DE123456')
+})
+
+test('detailBullets list, with the direction marks around the colon dropped', async () => {
+  const extracted = await extract('detail-bullets', { marketplace: MARKETPLACES.uk })
+  assert.deepEqual(extracted.productDetails, {
+    'Package Dimensions': '15 x 15 x 2 cm; 80 g',
+    Manufacturer: 'Ribbons & Bows Ltd',
+    ASIN: 'B0UK654321'
+  })
+})
+
+test('HTML entities are decoded and invisible marks removed', async () => {
+  const overview = await extract('overview-table')
+  assert.equal(overview.title, 'Hallmark Reversible Christmas Wrapping Paper & Cut Lines (4 Rolls, 88 sq. ft. ttl)')
+  assert.ok(overview.bullets.every(bullet => !/&\w+;|&#\d+;|‎/.test(bullet)))
+
+  const techSpec = await extract('tech-spec-table', { marketplace: MARKETPLACES.de })
+  assert.equal(techSpec.title, 'Geschenkpapier Weihnachten, 3 Rollen – 70 cm x 2 m')
+  assert.equal(techSpec.price, '12,49 €')
+})
+
+test('product description and A+ content, without scripts', async () => {
+  const extracted = await extract('overview-table')
+  assert.equal(extracted.productDescription, 'Wrap every gift in style. Four rolls, two designs on each.')
+  assert.equal(extracted.aplus, 'From the manufacturer Holiday wrapping made easy Cut lines on the back keep every edge straight.')
+})
+
+test('sections a page does not have are left out', async () => {
+  const extracted = await extract('detail-bullets', { marketplace: MARKETPLACES.uk })
+  assert.equal(extracted.bullets, undefined)
+  assert.equal(extracted.productDescription, undefined)
+  assert.equal(extracted.aplus, undefined)
+})
@@ -0,0 +1,120 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildExport, normalizeColumns } from '../src/inventory-export.js'
+
+const EXPORTED_AT = new Date('2024-12-01T10:00:00Z')
+
+function roll(rollNumber, fields = {}) {
+  return {
+    rollNumber,
+    onHand: 22,
+    maxArea: 22,
+    image: null,
+    printName: null,
+    backPrintName: null,
+    reverseType: 'plain',
+    hasReverseSide: false,
+    pairedRollNumber: null,
+    ...fields
+  }
+}
+
+function entry(product, { parseId = 'parse-1', reviewed = false } = {}) {
+  return { product, parse: { id: parseId, parsedAt: '2024-11-30T09:00:00Z' }, reviewed, correctionId: null }
+}
+
+const PACK = entry({
+  asin: 'B08XYZ1234',
+  title: 'Wrapping Paper, 4 Rolls, 30" x 8.8\'',
+  type: 'wrapping_paper',
+  brand: 'Hallmark',
+  url: 'https://www.amazon.com/dp/B08XYZ1234',
+  price: 16.99,
+  currency: 'USD',
+  rollWidth: 30,
+  rollLength: 8.8,
+  rolls: [
+    roll(1, { printName: 'Plaid, red', pairedRollNumber: 2 }),
+    roll(2, { printName: 'Plaid, red', pairedRollNumber: 1 }),
+    roll(3, { printName: 'Say "Merry"', backPrintName: 'Dots', reverseType: 'design', hasReverseSide: true })
+  ]
+}, { reviewed: true })
+
+const RIBBON = entry({ asin: 'B0RIBBON11', title: 'Satin Ribbon\nGold', type: 'ribbon', price: 7.5, rolls: [] }, { parseId: 'parse-2' })
+
+function csvLines(entries, columns) {
+  return buildExport(entries, { format: 'csv', columns, exportedAt: EXPORTED_AT }).body.split('\r\n')
+}
+
+const CSV_CASES = [
+  { name: 'a plain value', value: 'Hallmark', cell: 'Hallmark' },
+  { name: 'a comma', value: 'Plaid, red', cell: '"Plaid, red"' },
+  { name: 'double quotes', value: 'Say "Merry"', cell: '"Say ""Merry"""' },
+  { name: 'a line break', value: 'Satin Ribbon\nGold', cell: '"Satin Ribbon\nGold"' },
+  { name: 'a list', value: ['Plaid', 'Dots'], cell: 'Plaid; Dots' },
+  { name: 'null', value: null, cell: '' },
+  { name: 'an object', value: { value: 22, unit: 'sqft' }, cell: '"{""value"":22,""unit"":""sqft""}"' }
+]
+
+for (const { name, value, cell } of CSV_CASES) {
+  test(`CSV cell for ${name}`, () => {
+    const lines = csvLines([entry({ asin: 'B08XYZ1234', note: value })], { ASIN: 'asin', Note: 'note' })
+    assert.equal(lines[1], `B08XYZ1234,${cell}`)
+  })
+}
+
+test('CSV has one row per roll and one for a product without rolls', () => {
+  const exported = buildExport([PACK, RIBBON], {
+    format: 'csv',
+    columns: { ASIN: 'asin', 'Roll #': 'roll.rollNumber', Design: 'roll.printName', Paired: 'roll.pairedRollNumber', Reviewed: 'reviewed', Parsed: 'parse.parsedAt' },
+    exportedAt: EXPORTED_AT
+  })
+  assert.equal(exported.rows, 4)
+  assert.equal(exported.products, 2)
+  assert.equal(exported.filename, 'inventory-2024-12-01.csv')
+  assert.deepEqual(exported.body.split('\r\n'), [
+    'ASIN,Roll #,Design,Paired,Reviewed,Parsed',
+    'B08XYZ1234,1,"Plaid, red",2,true,2024-11-30T09:00:00Z',
+    'B08XYZ1234,2,"Plaid, red",1,true,2024-11-30T09:00:00Z',
+    'B08XYZ1234,3,"Say ""Merry""",,true,2024-11-30T09:00:00Z',
+    'B0RIBBON11,,,,false,2024-11-30T09:00:00Z',
+    ''
+  ])
+})
+
+test('roll tracking gives every roll a stable id and points pairs at each other', () => {
+  const exported = buildExport([PACK, RIBBON], { format: 'rolls', exportedAt: EXPORTED_AT })
+  const payload = JSON.parse(exported.body)
+  assert.equal(payload.format, 'roll-tracking')
+  assert.equal(payload.exportedAt, '2024-12-01T10:00:00.000Z')
+  assert.equal(exported.rows, 3)
+  assert.deepEqual(payload.rolls.map(r => [r.id, r.pairedRollId]), [
+    ['B08XYZ1234-1', 'B08XYZ1234-2'],
+    ['B08XYZ1234-2', 'B08XYZ1234-1'],
+    ['B08XYZ1234-3', null]
+  ])
+  assert.equal(payload.rolls[2].backPrintName, 'Dots')
+  assert.equal(payload.rolls[2].reverseType, 'design')
+  assert.deepEqual(payload.rolls[0].product, {
+    title: PACK.product.title,
+    brand: 'Hallmark',
+    type: 'wrapping_paper',
+    url: 'https://www.amazon.com/dp/B08XYZ1234',
+    price: 16.99,
+    currency: 'USD',
+    rollWidthIn: 30,
+    rollLengthFt: 8.8
+  })
+})
+
+test('JSON lines has one product per line', () => {
+  const exported = buildExport([PACK, RIBBON], { format: 'jsonl', exportedAt: EXPORTED_AT })
+  const lines = exported.body.trim().split('\n').map(line => JSON.parse(line))
+  assert.deepEqual(lines.map(line => [line.asin, line.parseId, line.reviewed]), [['B08XYZ1234', 'parse-1', true], ['B0RIBBON11', 'parse-2', false]])
+})
+
+test('rejects unknown formats and malformed column mappings', () => {
+  assert.throws(() => buildExport([], { format: 'xml' }), /format must be one of: csv, jsonl, rolls/)
+  assert.throws(() => normalizeColumns([]), /columns must be an object/)
+  assert.throws(() => normalizeColumns({ Design: 'roll..printName' }), /Column "Design" must map to a field path/)
+})
@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import { createOpenAIProvider } from '../src/providers/openai.js'
+
+/**
+ * Serve one chat completion as the given raw SSE body (a string, or Buffer
+ * chunks written one at a time), then close
+ */
+async function withServer(body, fn) {
+  const server = http.createServer((req, res) => {
+    req.resume()
+    req.on('end', async () => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+      for (const chunk of [].concat(body)) {
+        res.write(chunk)
+        // Let each chunk reach the client on its own
+        await new Promise(resolve => setTimeout(resolve, 20))
+      }
+      res.end()
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/v1`)
+  } finally {
+    await new Promise(resolve => server.close(resolve))
+  }
+}
+
+function event(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`
+}
+
+test('skips keep-alive and non-JSON data lines in the stream', async () => {
+  const body = [': ping', event('{"a":'), 'data: keep-alive', '', event('1}'), 'data: [DONE]', ''].join('\n')
+  const text = await withServer(body, baseUrl =>
+    createOpenAIProvider({ baseUrl }).generate({ model: 'test', prompt: 'hi' }))
+  assert.equal(text, '{"a":1}')
+})
+
+test('keeps the last event when the stream ends without a newline', async () => {
+  const tokens = []
+  const body = [event('{"a":'), event('1}')].join('\n')
+  const text = await withServer(body, baseUrl =>
+    createOpenAIProvider({ baseUrl }).generate({ model: 'test', prompt: 'hi', onToken: token => tokens.push(token) }))
+  assert.equal(text, '{"a":1}')
+  assert.deepEqual(tokens, ['{"a":', '1}'])
+})
+
+test('keeps a multi-byte character split across two chunks', async () => {
+  const bytes = Buffer.from(`${event('{"price":"12,99 €"}')}\n\ndata: [DONE]\n`)
+  const split = bytes.indexOf(Buffer.from('€')) + 1
+  const text = await withServer([bytes.subarray(0, split), bytes.subarray(split)], baseUrl =>
+    createOpenAIProvider({ baseUrl }).generate({ model: 'test', prompt: 'hi' }))
+  assert.equal(text, '{"price":"12,99 €"}')
+})
@@ -0,0 +1,94 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { classifyPage } from '../src/page-classifier.js'
+import { createPageTypeError, ParseError } from '../src/errors.js'
+import { readPage } from './helpers.js'
+
+function page(body, title = 'Amazon.com') {
+  return `<html><head><title>${title}</title></head><body>${body}</body></html>`
+}
+
+const CASES = [
+  {
+    name: 'CAPTCHA form',
+    html: page('<form action="/errors/validateCaptcha"><input id="captchacharacters"></form>'),
+    type: 'captcha',
+    code: 'AMAZON_CAPTCHA',
+    status: 503
+  },
+  {
+    name: 'sign-in form without product content',
+    html: page('<form name="signIn" action="/ap/signin"><input id="ap_email"><input id="ap_password"></form>'),
+    type: 'sign_in',
+    code: 'AMAZON_SIGN_IN_REQUIRED',
+    status: 502
+  },
+  {
+    name: 'Dogs of Amazon 404 page',
+    html: page('<a href="/ref=cs_404_logo"><img alt="Dogs of Amazon" src="/images/G/01/error-pages/dog.jpg"></a>', 'Page Not Found'),
+    type: 'not_found',
+    code: 'PRODUCT_NOT_FOUND',
+    status: 404
+  },
+  {
+    name: 'product that does not ship to the region',
+    html: page('<span id="productTitle">Wrapping Paper</span><div id="exports_desktop_undeliverable_buybox"></div><div id="availability">This item cannot be shipped to your selected delivery location.</div>'),
+    type: 'region_unavailable',
+    code: 'REGION_UNAVAILABLE',
+    status: 422
+  },
+  {
+    name: 'search results',
+    html: page('<div class="s-main-slot"><div data-component-type="s-search-result" data-asin="B08XYZ1234"></div></div>'),
+    type: 'listing',
+    code: 'LISTING_PAGE',
+    status: 422
+  },
+  {
+    name: 'product page with a sign-in flyout',
+    html: page('<form name="signIn" action="/ap/signin"></form><span id="productTitle">Wrapping Paper</span>'),
+    type: 'product',
+    code: null
+  },
+  {
+    name: 'product page with a price next to a region notice',
+    html: page('<span id="productTitle">Wrapping Paper</span><div id="exports_desktop_undeliverable_buybox"></div><div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">$9.99</span></span></div>'),
+    type: 'product',
+    code: null
+  },
+  {
+    name: 'saved product page',
+    html: readPage('overview-table'),
+    type: 'product',
+    code: null
+  },
+  {
+    name: 'page without any markers',
+    html: page('<p>Hello</p>'),
+    type: 'unknown',
+    code: null
+  }
+]
+
+for (const { name, html, type, code, status } of CASES) {
+  test(`classifies a ${name} as ${type}`, () => {
+    const classification = classifyPage(html)
+    assert.equal(classification.type, type)
+
+    const error = createPageTypeError(classification)
+    if (!code) {
+      assert.equal(error, null)
+      return
+    }
+    assert.ok(error instanceof ParseError)
+    assert.equal(error.code, code)
+    assert.equal(error.status, status)
+    assert.equal(error.details.pageType, type)
+    assert.ok(error.details.signals.length > 0)
+  })
+}
+
+test('classifies missing HTML as unknown', () => {
+  assert.deepEqual(classifyPage(null), { type: 'unknown', signals: [] })
+  assert.deepEqual(classifyPage(''), { type: 'unknown', signals: [] })
+})
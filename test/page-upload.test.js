@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import zlib from 'zlib'
+import { findPageAsin, readUploadedPage } from '../src/page-upload.js'
+
+const PAGE = '<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body><span id="productTitle">Geschenkpapier – 3 Rollen, 12,99 €</span></body></html>'
+
+/**
+ * "Save page as > single file" archive with the page as its first text/html part
+ */
+function mhtml(part, { encoding = 'quoted-printable', charset = 'utf-8', location = 'https://www.amazon.de/dp/B08XYZ1234' } = {}) {
+  return [
+    'From: <Saved by Blink>',
+    `Snapshot-Content-Location: ${location}`,
+    'Subject: Geschenkpapier',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/related;',
+    '\ttype="text/html";',
+    '\tboundary="----MultipartBoundary--abc123----"',
+    '',
+    '',
+    '------MultipartBoundary--abc123----',
+    'Content-Type: text/css',
+    'Content-Location: https://www.amazon.de/style.css',
+    '',
+    'body { color: black; }',
+    '------MultipartBoundary--abc123----',
+    `Content-Type: text/html; charset="${charset}"`,
+    `Content-Transfer-Encoding: ${encoding}`,
+    'Content-Location: https://www.amazon.de/dp/B08XYZ1234',
+    '',
+    part,
+    '------MultipartBoundary--abc123------',
+    ''
+  ].join('\r\n')
+}
+
+/**
+ * Quoted-printable the way Chrome writes it: =XX for non-ASCII and "=", soft breaks every 76 characters
+ */
+function quotedPrintable(text) {
+  const encoded = [...Buffer.from(text, 'utf8')]
+    .map(byte => (byte > 126 || byte === 61 ? `=${byte.toString(16).toUpperCase().padStart(2, '0')}` : String.fromCharCode(byte)))
+    .join('')
+  return encoded.match(/.{1,73}(?:=[0-9A-F]{2})?/g).join('=\r\n')
+}
+
+const CASES = [
+  { name: 'plain HTML', body: Buffer.from(PAGE), format: 'html', compressed: false, url: null },
+  { name: 'gzip-compressed HTML', body: zlib.gzipSync(PAGE), format: 'html', compressed: true, url: null },
+  {
+    name: 'latin1 HTML declaring its charset',
+    body: Buffer.from(PAGE.replace('utf-8', 'iso-8859-1').replace(' – ', ' - ').replace('€', 'EUR').replace('Rollen', 'Größen'), 'latin1'),
+    format: 'html',
+    compressed: false,
+    url: null,
+    text: 'Geschenkpapier - 3 Größen, 12,99 EUR'
+  },
+  { name: 'quoted-printable MHTML', body: Buffer.from(mhtml(quotedPrintable(PAGE))), format: 'mhtml', compressed: false, url: 'https://www.amazon.de/dp/B08XYZ1234' },
+  { name: 'base64 MHTML', body: Buffer.from(mhtml(Buffer.from(PAGE).toString('base64').match(/.{1,76}/g).join('\r\n'), { encoding: 'base64' })), format: 'mhtml', compressed: false, url: 'https://www.amazon.de/dp/B08XYZ1234' },
+  { name: 'gzip-compressed MHTML', body: zlib.gzipSync(mhtml(quotedPrintable(PAGE))), format: 'mhtml', compressed: true, url: 'https://www.amazon.de/dp/B08XYZ1234' }
+]
+
+for (const { name, body, format, compressed, url, text = 'Geschenkpapier – 3 Rollen, 12,99 €' } of CASES) {
+  test(`reads ${name}`, () => {
+    const page = readUploadedPage(body)
+    assert.equal(page.format, format)
+    assert.equal(page.compressed, compressed)
+    assert.equal(page.url, url)
+    assert.ok(page.html.includes(`<span id="productTitle">${text}</span>`), page.html)
+  })
+}
+
+test('reads MHTML named by its content type even without the usual headers', () => {
+  const archive = mhtml(quotedPrintable(PAGE)).replace(/^From: .*\r\n/, '')
+  assert.equal(readUploadedPage(Buffer.from(archive), { contentType: 'multipart/related' }).format, 'mhtml')
+})
+
+const ERROR_CASES = [
+  { name: 'a file that is not a page', body: Buffer.from('just some text'), code: 'INVALID_UPLOAD' },
+  { name: 'a broken gzip stream', body: Buffer.concat([Buffer.from([0x1f, 0x8b]), Buffer.from('not gzip')]), code: 'INVALID_UPLOAD' },
+  { name: 'MHTML without an HTML part', body: Buffer.from(mhtml('x').replace('Content-Type: text/html; charset="utf-8"', 'Content-Type: image/png')), code: 'INVALID_UPLOAD' },
+  { name: 'gzip that unpacks past the limit', body: zlib.gzipSync(PAGE + ' '.repeat(10000)), options: { maxBytes: 1000 }, code: 'UPLOAD_TOO_LARGE' }
+]
+
+for (const { name, body, options, code } of ERROR_CASES) {
+  test(`rejects ${name} with ${code}`, () => {
+    assert.throws(() => readUploadedPage(body, options), error => error.code === code)
+  })
+}
+
+test('finds the ASIN of an uploaded page in its form field or canonical link', () => {
+  assert.equal(findPageAsin('<input type="hidden" id="ASIN" name="ASIN" value="B08XYZ1234">'), 'B08XYZ1234')
+  assert.equal(findPageAsin('<link rel="canonical" href="https://www.amazon.de/Geschenkpapier/dp/B0RIBBON11">'), 'B0RIBBON11')
+  assert.equal(findPageAsin('<link rel="canonical" href="https://www.amazon.de/s?k=geschenkpapier">'), null)
+})
@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseAmazonPage } from '../src/parser.js'
+import { createMockProvider } from '../src/providers/mock.js'
+import { quietly, readEvalFixture } from './helpers.js'
+
+function parse(provider, models, { html, label }, options = {}) {
+  return quietly(() => parseAmazonPage(provider, models, label.input.url || null, label.input.asin || null, html, {
+    marketplace: label.input.marketplace,
+    ...options
+  }))
+}
+
+test('fills the open fields from a structured answer', async () => {
+  const fixture = readEvalFixture('hallmark-4-rolls')
+  const provider = createMockProvider({ answers: fixture.label.model })
+  const { product, model } = await parse(provider, ['mock'], fixture)
+
+  assert.equal(provider.calls.length, 1)
+  assert.equal(provider.calls[0].format.type, 'object')
+  assert.ok(provider.calls[0].format.properties.printNames)
+  assert.equal(model, 'mock')
+  assert.deepEqual(product.printNames, fixture.label.expected.printNames)
+  assert.equal(product.quantity, 4)
+  assert.equal(product.fieldSources.printNames, 'llm')
+})
+
+test('re-asks with the validation errors when the answer does not match the schema', async () => {
+  const fixture = readEvalFixture('reversible-2-rolls')
+  const provider = createMockProvider({ responses: fixture.label.responses, answers: fixture.label.model })
+  const { product } = await parse(provider, ['mock'], fixture)
+
+  assert.equal(provider.calls.length, 2)
+  assert.match(provider.calls[1].prompt, /did not match the required JSON schema/)
+  assert.match(provider.calls[1].prompt, /printNames/)
+  assert.deepEqual(product.printNames, fixture.label.expected.printNames)
+  assert.deepEqual(product.rolls.map(roll => roll.backPrintName), ['Zebras and Penguins', 'Joy to You on Blue'])
+})
+
+test('falls back to the next model when the first never returns valid output', async () => {
+  const fixture = readEvalFixture('hallmark-4-rolls')
+  const mock = createMockProvider({ answers: fixture.label.model })
+  const calls = []
+  const provider = {
+    name: 'mock',
+    async generate(request) {
+      calls.push(request.model)
+      return request.model === 'broken' ? 'not json' : mock.generate(request)
+    }
+  }
+  const stages = []
+  const { product, model } = await parse(provider, ['broken', 'mock'], fixture, {
+    onProgress: event => stages.push(event)
+  })
+
+  assert.equal(model, 'mock')
+  assert.deepEqual(calls, ['broken', 'broken', 'broken', 'mock'])
+  assert.deepEqual(stages.find(event => event.stage === 'model:fallback'), {
+    stage: 'model:fallback', from: 'broken', to: 'mock', reason: 'INVALID_MODEL_OUTPUT'
+  })
+  assert.deepEqual(product.printNames, fixture.label.expected.printNames)
+})
@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRateLimiter } from '../src/rate-limiter.js'
+import { ParseError } from '../src/errors.js'
+
+/**
+ * Fake clock: wait(ms) records the wait and moves the time forward
+ */
+function createClock() {
+  const clock = { time: 0, waits: [] }
+  clock.now = () => clock.time
+  clock.wait = async (ms, signal) => {
+    if (signal && signal.aborted) throw new ParseError('PARSE_CANCELLED')
+    clock.waits.push(ms)
+    clock.time += ms
+  }
+  return clock
+}
+
+const CASES = [
+  { name: 'serves the burst without waiting', options: { ratePerSecond: 1, burst: 3 }, takes: 3, waits: [] },
+  { name: 'waits one refill interval per request after the burst', options: { ratePerSecond: 2, burst: 1 }, takes: 4, waits: [500, 500, 500] },
+  { name: 'waits seconds at rates below one per second', options: { ratePerSecond: 0.5, burst: 2 }, takes: 4, waits: [2000, 2000] }
+]
+
+for (const { name, options, takes, waits } of CASES) {
+  test(`rate limiter ${name}`, async () => {
+    const clock = createClock()
+    const limiter = createRateLimiter({ ...options, now: clock.now, wait: clock.wait })
+    for (let i = 0; i < takes; i++) await limiter.take('www.amazon.com')
+    assert.deepEqual(clock.waits, waits)
+  })
+}
+
+test('rate limiter refills tokens as time passes', async () => {
+  const clock = createClock()
+  const limiter = createRateLimiter({ ratePerSecond: 1, burst: 2, now: clock.now, wait: clock.wait })
+  await limiter.take('www.amazon.com')
+  await limiter.take('www.amazon.com')
+  clock.time += 1500
+  await limiter.take('www.amazon.com')
+  assert.deepEqual(clock.waits, [])
+  await limiter.take('www.amazon.com')
+  assert.deepEqual(clock.waits, [500])
+})
+
+test('rate limiter keeps a bucket per host', async () => {
+  const clock = createClock()
+  const limiter = createRateLimiter({ ratePerSecond: 1, burst: 1, now: clock.now, wait: clock.wait })
+  await limiter.take('www.amazon.com')
+  await limiter.take('www.amazon.de')
+  assert.deepEqual(clock.waits, [])
+})
+
+test('rate limiter serves waiters in arrival order and skips cancelled ones', async () => {
+  const clock = createClock()
+  const limiter = createRateLimiter({ ratePerSecond: 1, burst: 1, now: clock.now, wait: clock.wait })
+  const order = []
+  const controller = new AbortController()
+  controller.abort()
+  await Promise.allSettled([
+    limiter.take('www.amazon.com').then(() => order.push('first')),
+    limiter.take('www.amazon.com', controller.signal).then(() => order.push('cancelled'), error => order.push(error.code)),
+    limiter.take('www.amazon.com').then(() => order.push('third'))
+  ])
+  assert.deepEqual(order, ['first', 'PARSE_CANCELLED', 'third'])
+  assert.deepEqual(clock.waits, [1000])
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyRollLayout, detectRollLayout } from '../src/roll-layout.js'
+
+function roll(rollNumber, fields = {}) {
+  return { rollNumber, printName: null, backPrintName: null, reverseType: 'plain', hasReverseSide: false, ...fields }
+}
+
+test('reads grid lines next to "reversible" as a gridlines back', () => {
+  const layout = detectRollLayout({ title: 'Reversible Christmas Wrapping Paper & Gridlines, 4 Rolls' })
+  assert.equal(layout.reverseType, 'gridlines')
+  assert.equal(layout.evidence.reverseType, 'Gridlines')
+})
+
+test('reads grid lines on the back before a generic reversible statement', () => {
+  const layout = detectRollLayout({
+    title: 'Reversible Wrapping Paper, 3 Rolls',
+    description: 'Cutting grid lines on the back for straight edges'
+  })
+  assert.equal(layout.reverseType, 'gridlines')
+})
+
+test('reads "reversible" without grid lines as a second design', () => {
+  assert.equal(detectRollLayout({ title: 'Reversible Christmas Wrapping Paper, 2 Rolls' }).reverseType, 'design')
+  assert.equal(detectRollLayout({ description: 'Printed on both sides' }).reverseType, 'design')
+  assert.equal(detectRollLayout({ title: 'Christmas Wrapping Paper, 2 Rolls' }).reverseType, null)
+})
+
+test('keeps a model reverse type that agrees with the stated one', () => {
+  const layout = detectRollLayout({ title: 'Reversible Christmas Wrapping Paper, 2 Rolls' })
+  const rolls = applyRollLayout([
+    roll(1, { printName: 'Plaid', reverseType: 'gridlines', hasReverseSide: true }),
+    roll(2, { printName: 'Stripes', backPrintName: 'Dots', reverseType: 'design', hasReverseSide: true })
+  ], layout)
+  assert.deepEqual(rolls.map(r => r.reverseType), ['gridlines', 'design'])
+  assert.deepEqual(rolls.map(r => r.backPrintName), [null, 'Dots'])
+})
+
+test('replaces a model reverse type the text contradicts', () => {
+  const gridlines = detectRollLayout({ title: 'Wrapping Paper with Cut Lines on Reverse, 2 Rolls' })
+  const fromGridlines = applyRollLayout([
+    roll(1, { printName: 'Plaid', backPrintName: 'Dots', reverseType: 'design', hasReverseSide: true }),
+    roll(2, { printName: 'Stripes' })
+  ], gridlines)
+  assert.deepEqual(fromGridlines.map(r => r.reverseType), ['gridlines', 'gridlines'])
+  assert.deepEqual(fromGridlines.map(r => r.backPrintName), [null, null])
+  assert.ok(fromGridlines.every(r => r.hasReverseSide))
+
+  const reversible = detectRollLayout({ title: 'Double-Sided Wrapping Paper, 1 Roll' })
+  assert.equal(applyRollLayout([roll(1, { printName: 'Plaid' })], reversible)[0].reverseType, 'design')
+})
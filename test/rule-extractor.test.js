@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { extractProductText } from '../src/html-extractor.js'
+import { extractRuleBasedFields } from '../src/rule-extractor.js'
+import { quietly, readPage } from './helpers.js'
+
+async function extractPage(name) {
+  const html = readPage(name)
+  const extractedText = await quietly(() => extractProductText(html))
+  return extractRuleBasedFields(extractedText, { html })
+}
+
+test('the thumbnail is the main image without its size suffix', async () => {
+  const { fields } = await extractPage('overview-table')
+  assert.equal(fields.thumbnail, 'https://m.media-amazon.com/images/I/81MainRoll.jpg')
+})
+
+test('images is the whole de-duplicated gallery, main image first', async () => {
+  const { fields } = await extractPage('overview-table')
+  assert.deepEqual(fields.images, [
+    'https://m.media-amazon.com/images/I/81MainRoll.jpg',
+    'https://m.media-amazon.com/images/I/71PlaidRoll.jpg',
+    'https://m.media-amazon.com/images/I/61StripeRoll.jpg'
+  ])
+})
+
+test('the main image comes first even when the gallery lists it later', () => {
+  const gallery = [
+    { url: 'https://m.media-amazon.com/images/I/71PlaidRoll.jpg', variant: 'PT01', color: null },
+    { url: 'https://m.media-amazon.com/images/I/81MainRoll.jpg', variant: 'MAIN', color: null }
+  ]
+  const { fields } = extractRuleBasedFields({ gallery })
+  assert.equal(fields.thumbnail, 'https://m.media-amazon.com/images/I/81MainRoll.jpg')
+  assert.deepEqual(fields.images, gallery.map(image => image.url).reverse())
+})
@@ -0,0 +1,113 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  checkAreaConsistency,
+  convertLength,
+  formatArea,
+  parseArea,
+  parseAreas,
+  parseDimensionsInInches,
+  parseLength,
+  parseLengths,
+  parseNumber,
+  parseRollSize
+} from '../src/units.js'
+
+const NUMBER_CASES = [
+  ['2.5', 2.5],
+  ['1/2', 0.5],
+  ['2 1/2', 2.5],
+  ['2-1/2', 2.5],
+  ['2½', 2.5],
+  ['¾', 0.75],
+  ['1,000', 1000],
+  ['12,500.5', 12500.5],
+  ['abc', null]
+]
+
+for (const [text, value] of NUMBER_CASES) {
+  test(`parseNumber(${JSON.stringify(text)}) is ${value}`, () => {
+    assert.equal(parseNumber(text), value)
+  })
+}
+
+const LENGTH_CASES = [
+  ['2 1/2 inch ribbon', { value: 2.5, unit: 'in' }],
+  ['100 Yards', { value: 100, unit: 'yd' }],
+  ['50 yds.', { value: 50, unit: 'yd' }],
+  ['8.8\'', { value: 8.8, unit: 'ft' }],
+  ['30"', { value: 30, unit: 'in' }],
+  ['1,000 ft', { value: 1000, unit: 'ft' }],
+  ['25 m', { value: 25, unit: 'm' }],
+  ['70 cm', { value: 70, unit: 'cm' }],
+  ['4 rolls', null]
+]
+
+for (const [text, length] of LENGTH_CASES) {
+  test(`parseLength(${JSON.stringify(text)})`, () => {
+    assert.deepEqual(parseLength(text), length)
+  })
+}
+
+test('parseLengths reads every length in order', () => {
+  assert.deepEqual(parseLengths('3/8 Inch x 100 Yards'), [{ value: 0.375, unit: 'in' }, { value: 100, unit: 'yd' }])
+  assert.deepEqual(parseLengths('no lengths here'), [])
+})
+
+const AREA_CASES = [
+  ['88 sq. ft. ttl.', { value: 88, unit: 'sqft' }],
+  ['2,500 sq ft', { value: 2500, unit: 'sqft' }],
+  ['120 square feet', { value: 120, unit: 'sqft' }],
+  ['10 ft²', { value: 10, unit: 'sqft' }],
+  ['144 sq. in.', { value: 1, unit: 'sqft' }],
+  ['2 sq yd', { value: 18, unit: 'sqft' }],
+  ['5 m²', { value: 53.82, unit: 'sqft' }],
+  ['30 in x 10 ft', null]
+]
+
+for (const [text, area] of AREA_CASES) {
+  test(`parseArea(${JSON.stringify(text)})`, () => {
+    assert.deepEqual(parseArea(text), area)
+  })
+}
+
+test('parseAreas reads every area with where it was found', () => {
+  assert.deepEqual(parseAreas('(50 sq. ft. per roll, 200 sq. ft. total)'), [
+    { value: 50, unit: 'sqft', index: 1, text: '50 sq. ft.' },
+    { value: 200, unit: 'sqft', index: 22, text: '200 sq. ft.' }
+  ])
+})
+
+const ROLL_SIZE_CASES = [
+  ['30" x 8.8\'', { width: 30, length: 8.8 }],
+  ['8.8 ft x 30 in', { width: 30, length: 8.8 }],
+  ['30 in x 1,000 ft', { width: 30, length: 1000 }],
+  ['24" x 1,200\'', { width: 24, length: 1200 }],
+  ['76 cm x 5 m', { width: 29.92, length: 16.4 }],
+  ['30 x 120', null]
+]
+
+for (const [text, size] of ROLL_SIZE_CASES) {
+  test(`parseRollSize(${JSON.stringify(text)})`, () => {
+    const parsed = parseRollSize(text)
+    assert.deepEqual(parsed && { width: parsed.width.value, length: parsed.length.value }, size)
+  })
+}
+
+test('parseDimensionsInInches applies a trailing unit and takes bare numbers as inches', () => {
+  assert.deepEqual(parseDimensionsInInches('30 x 20 x 10 cm'), [11.81, 7.87, 3.94])
+  assert.deepEqual(parseDimensionsInInches('12x12x6'), [12, 12, 6])
+})
+
+test('converts lengths and formats areas', () => {
+  assert.equal(convertLength(3, 'ft', 'yd'), 1)
+  assert.equal(convertLength(1, 'parsec', 'in'), null)
+  assert.equal(formatArea({ value: 87.999, unit: 'sqft' }), '88 sqft')
+  assert.equal(formatArea(null), null)
+})
+
+test('checkAreaConsistency compares the stated area with width x length x quantity', () => {
+  assert.deepEqual(checkAreaConsistency({ totalArea: 88, widthIn: 30, lengthFt: 8.8, quantity: 4 }), { expected: 88, actual: 88, ratio: 1, consistent: true })
+  assert.equal(checkAreaConsistency({ totalArea: 22, widthIn: 30, lengthFt: 8.8, quantity: 4 }).consistent, false)
+  assert.equal(checkAreaConsistency({ totalArea: 88, widthIn: 30, lengthFt: 8.8, quantity: null }), null)
+})
@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as cheerio from 'cheerio'
+import { getMarketplace } from '../src/marketplaces.js'
+import { buildVariationList, extractVariations } from '../src/variations.js'
+
+const US = getMarketplace('us')
+
+function page(script, body = '') {
+  return cheerio.load(`<html><body>${body}<script type="text/javascript">${script}</script></body></html>`)
+}
+
+const TWISTER_DISPLAY = `
+  P.register('twister-js-init-dpx-data', function() {
+    var dataToReturn = {
+      "parentAsin" : "B0PARENT00",
+      "currentAsin" : "B08XYZ1234",
+      "dimensionsDisplay" : ["Pattern Name", "Size"],
+      "dimensionValuesDisplayData" : {"B08XYZ1234":["Snowflakes","4 Rolls"],"B08XYZ5678":["Plaid & Dots","2 Rolls"],"not-an-asin":["x","y"]}
+    };
+    return dataToReturn;
+  });`
+
+const SWATCHES = `
+  <div id="twister">
+    <ul>
+      <li data-defaultasin="B08XYZ1234" class="swatchSelect"><span class="twisterSwatchPrice">$16.99</span></li>
+      <li data-defaultasin="B08XYZ5678" class="swatchUnavailable"><span class="twisterSwatchPrice">$9.49</span></li>
+    </ul>
+  </div>`
+
+test('reads children and dimension names from the twister display data', () => {
+  const variations = extractVariations(page(TWISTER_DISPLAY), US)
+  assert.equal(variations.parentAsin, 'B0PARENT00')
+  assert.equal(variations.currentAsin, 'B08XYZ1234')
+  assert.deepEqual(variations.dimensions, ['Pattern Name', 'Size'])
+  assert.deepEqual(variations.children.map(child => [child.asin, child.dimensions]), [
+    ['B08XYZ1234', { 'Pattern Name': 'Snowflakes', Size: '4 Rolls' }],
+    ['B08XYZ5678', { 'Pattern Name': 'Plaid & Dots', Size: '2 Rolls' }]
+  ])
+})
+
+test('takes prices and availability from the rendered swatches', () => {
+  const variations = extractVariations(page(TWISTER_DISPLAY, SWATCHES), US)
+  assert.deepEqual(variations.children.map(child => [child.asin, child.price, child.availability]), [
+    ['B08XYZ1234', 16.99, 'available'],
+    ['B08XYZ5678', 9.49, 'unavailable']
+  ])
+})
+
+test('falls back to dimensionToAsinMap and variationValues on older pages', () => {
+  const variations = extractVariations(page(`
+    var dataToReturn = {
+      "dimensions" : ["pattern_name", "size_name"],
+      "variationValues" : {"pattern_name":["Snowflakes","Plaid"],"size_name":["2 Rolls","4 Rolls"]},
+      "dimensionToAsinMap" : {"0_1":"B08XYZ1234","1_0":"B08XYZ5678"}
+    };`), US)
+  assert.deepEqual(variations.dimensions, ['Pattern', 'Size'])
+  assert.deepEqual(variations.children.map(child => [child.asin, child.dimensions]), [
+    ['B08XYZ1234', { Pattern: 'Snowflakes', Size: '4 Rolls' }],
+    ['B08XYZ5678', { Pattern: 'Plaid', Size: '2 Rolls' }]
+  ])
+})
+
+test('returns null for a page without variations', () => {
+  assert.equal(extractVariations(page('var data = { "colorImages": {} };'), US), null)
+})
+
+test('marks the loaded child as selected, falling back to the product ASIN', () => {
+  const variations = extractVariations(page(TWISTER_DISPLAY), US)
+  assert.deepEqual(buildVariationList(variations, 'B08XYZ5678').map(child => child.selected), [true, false])
+  assert.deepEqual(buildVariationList({ ...variations, currentAsin: null }, 'B08XYZ5678').map(child => child.selected), [false, true])
+  assert.equal(buildVariationList(null, 'B08XYZ1234'), null)
+})
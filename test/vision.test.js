@@ -0,0 +1,43 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseAmazonPage } from '../src/parser.js'
+import { createMockProvider } from '../src/providers/mock.js'
+import { createFixtureImageLoader, quietly, readEvalFixture } from './helpers.js'
+
+const NAME = 'photos-only-3-rolls'
+
+async function parseWithVision() {
+  const { html, label } = readEvalFixture(NAME)
+  const vision = createMockProvider(label.vision)
+  const { product } = await quietly(() => parseAmazonPage(createMockProvider({ answers: label.model }), ['mock'], null, label.input.asin, html, {
+    marketplace: label.input.marketplace,
+    vision: { provider: vision, models: ['mock-vision'], loadImage: createFixtureImageLoader(NAME) }
+  }))
+  return { product, vision, label }
+}
+
+test('sends the local gallery images to the vision model', async () => {
+  const { vision } = await parseWithVision()
+  assert.equal(vision.calls.length, 1)
+  assert.equal(vision.calls[0].images.length, 4)
+  assert.ok(vision.calls[0].images.every(image => image.startsWith('iVBOR')))
+})
+
+test('takes the roll count and prints from the photos when the text names none', async () => {
+  const { product, label } = await parseWithVision()
+  assert.equal(product.quantity, 3)
+  assert.equal(product.rolls.length, 3)
+  assert.deepEqual(product.printNames, label.expected.printNames)
+  assert.deepEqual(product.rolls.map(roll => roll.printName), ['Santa on red', 'Green trees', 'Gold stars on navy'])
+  assert.deepEqual(product.rolls.map(roll => roll.image), label.expected.rolls.map(roll => roll.image))
+  assert.equal(product.fieldSources.quantity, 'vision')
+  assert.equal(product.fieldSources.printNames, 'vision')
+})
+
+test('fills reverse sides seen in the photos', async () => {
+  const { product } = await parseWithVision()
+  assert.deepEqual(product.rolls.map(roll => roll.reverseType), ['design', 'gridlines', 'gridlines'])
+  assert.deepEqual(product.rolls.map(roll => roll.backPrintName), ['Candy canes', null, null])
+  assert.ok(product.rolls.every(roll => roll.hasReverseSide))
+  assert.deepEqual(product.vision.applied.rolls[0].fields, ['printName', 'image', 'reverseType', 'backPrintName'])
+})
@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { createWatchlist } from '../src/watchlist.js'
+import { quietly, stubAxios } from './helpers.js'
+
+// The fetcher's shared rate limiter is configured on import; these checks must not wait for it
+process.env.FETCH_BURST = '100'
+const { createWatchScheduler, detectAlerts } = await import('../src/watch-scheduler.js')
+
+const ASIN = 'B08XYZ1234'
+
+/**
+ * Product page with the given buy-box price (null: none) and stock (null: not stated)
+ */
+function productPage({ price = null, inStock = null }) {
+  const priceBlock = price === null ? '' : `<div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">$${price.toFixed(2)}</span></span></div>`
+  const availability = inStock === null ? '' : `<div id="availability">${inStock ? 'In Stock' : 'Currently unavailable.'}</div>`
+  return `<html><body><span id="productTitle">Wrapping Paper</span>${priceBlock}${availability}</body></html>`
+}
+
+/**
+ * Check the item once per page through the scheduler, returning the alert types of each check
+ */
+async function runChecks(settings, pages) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'))
+  let page = null
+  const stub = stubAxios(() => ({ data: productPage(page) }))
+  try {
+    const watchlist = createWatchlist({ dataDir: dir })
+    await watchlist.watch({ asin: ASIN, marketplace: 'us', intervalMinutes: 60, ...settings })
+    const scheduler = createWatchScheduler({ watchlist })
+    const fired = []
+    for (page of pages) {
+      const { alerts } = await quietly(async () => scheduler.checkItem(await watchlist.getItem(ASIN)))
+      fired.push(alerts.map(alert => alert.type))
+    }
+    return fired
+  } finally {
+    stub.restore()
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
+
+test('a check without a price does not re-arm a price drop', async () => {
+  const fired = await runChecks({ priceBelow: 60 }, [{ price: 50 }, { price: null, inStock: true }, { price: 55 }])
+  assert.deepEqual(fired, [['price_drop'], [], []])
+})
+
+test('a check without stock information does not hide a restock', async () => {
+  const fired = await runChecks({}, [{ price: 20, inStock: false }, { price: 20 }, { price: 20, inStock: true }])
+  assert.deepEqual(fired, [[], [], ['back_in_stock']])
+})
+
+test('detectAlerts compares against the last known price after a check without one', () => {
+  const item = { asin: ASIN, marketplace: 'us', priceBelow: 60, lastPrice: 50, lastInStock: true }
+  assert.deepEqual(detectAlerts(item, { price: null, inStock: true }), [])
+  assert.deepEqual(detectAlerts(item, { price: 55, inStock: true }), [])
+  assert.deepEqual(detectAlerts({ ...item, lastPrice: null }, { price: 55, inStock: true }).map(alert => alert.type), ['price_drop'])
+})
+
+const ALERT_CASES = [
+  { name: 'first price below the threshold', item: { priceBelow: 60, lastPrice: null }, snapshot: { price: 50 }, alerts: ['price_drop'] },
+  { name: 'price crossing below the threshold', item: { priceBelow: 60, lastPrice: 65 }, snapshot: { price: 59.99 }, alerts: ['price_drop'] },
+  { name: 'price at the threshold before', item: { priceBelow: 60, lastPrice: 60 }, snapshot: { price: 55 }, alerts: ['price_drop'] },
+  { name: 'price staying below the threshold', item: { priceBelow: 60, lastPrice: 50 }, snapshot: { price: 45 }, alerts: [] },
+  { name: 'price at the threshold', item: { priceBelow: 60, lastPrice: 65 }, snapshot: { price: 60 }, alerts: [] },
+  { name: 'no threshold', item: { priceBelow: null, lastPrice: 65 }, snapshot: { price: 10 }, alerts: [] },
+  { name: 'no price', item: { priceBelow: 60, lastPrice: 65 }, snapshot: { price: null }, alerts: [] },
+  { name: 'back in stock', item: { lastInStock: false }, snapshot: { inStock: true }, alerts: ['back_in_stock'] },
+  { name: 'still in stock', item: { lastInStock: true }, snapshot: { inStock: true }, alerts: [] },
+  { name: 'stock unknown before', item: { lastInStock: null }, snapshot: { inStock: true }, alerts: [] },
+  { name: 'stock unknown now', item: { lastInStock: false }, snapshot: { inStock: null }, alerts: [] },
+  { name: 'price drop and restock together', item: { priceBelow: 60, lastPrice: 70, lastInStock: false }, snapshot: { price: 50, inStock: true }, alerts: ['price_drop', 'back_in_stock'] }
+]
+
+for (const { name, item, snapshot, alerts } of ALERT_CASES) {
+  test(`detectAlerts: ${name}`, () => {
+    const fired = detectAlerts(
+      { asin: ASIN, marketplace: 'uk', priceBelow: null, lastPrice: null, lastInStock: null, ...item },
+      { checkedAt: '2024-12-01T10:00:00.000Z', price: null, currency: 'GBP', inStock: null, ...snapshot }
+    )
+    assert.deepEqual(fired.map(alert => alert.type), alerts)
+  })
+}
+
+test('detectAlerts describes the change and links the marketplace page', () => {
+  const [alert] = detectAlerts(
+    { asin: ASIN, marketplace: 'uk', priceBelow: 60, lastPrice: 65, lastInStock: true },
+    { checkedAt: '2024-12-01T10:00:00.000Z', price: 50, currency: 'GBP', inStock: true }
+  )
+  assert.deepEqual(alert, {
+    type: 'price_drop',
+    priceBelow: 60,
+    asin: ASIN,
+    marketplace: 'uk',
+    url: 'https://www.amazon.co.uk/dp/B08XYZ1234',
+    price: 50,
+    previousPrice: 65,
+    currency: 'GBP',
+    inStock: true,
+    checkedAt: '2024-12-01T10:00:00.000Z'
+  })
+})